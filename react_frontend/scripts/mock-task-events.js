@@ -0,0 +1,100 @@
+/**
+ * Mock server for the live task event stream, for trying out real-time updates
+ * without the backend.
+ *
+ *   npm run mock:events
+ *   REACT_APP_TASK_EVENTS_URL=http://localhost:3002/tasks/events npm start
+ *
+ * Broadcast an event to every connected client:
+ *
+ *   curl -X POST localhost:3002/events -H 'Content-Type: application/json' \
+ *     -d '{"type":"task.updated","task":{"id":"123","title":"Renamed","status":"completed"}}'
+ *
+ * Stopping and restarting the server exercises the client's reconnect backoff.
+ */
+const http = require('http');
+
+const PORT = Number(process.env.MOCK_EVENTS_PORT) || 3002;
+
+// Keep idle connections open through proxies that drop silent streams
+const HEARTBEAT_MS = 15 * 1000;
+
+const EVENT_TYPES = ['task.created', 'task.updated', 'task.deleted'];
+
+const clients = new Set();
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+/**
+ * Send an event to every connected client
+ * @param {Object} event - { type, task, id }
+ */
+const broadcast = ({ type, ...payload }) => {
+  const message = `event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+  clients.forEach((res) => res.write(message));
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/tasks/events') {
+    if (!url.searchParams.get('token')) {
+      res.writeHead(401, corsHeaders);
+      res.end();
+      return;
+    }
+    res.writeHead(200, {
+      ...corsHeaders,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(': connected\n\n');
+    clients.add(res);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+    console.log(`Client connected (${clients.size} open)`);
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/events') {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        const event = JSON.parse(body);
+        if (!EVENT_TYPES.includes(event.type)) {
+          throw new Error(`type must be one of ${EVENT_TYPES.join(', ')}`);
+        }
+        broadcast(event);
+        res.writeHead(202, corsHeaders);
+        res.end();
+      } catch (error) {
+        res.writeHead(400, { ...corsHeaders, 'Content-Type': 'text/plain' });
+        res.end(error.message);
+      }
+    });
+    return;
+  }
+
+  res.writeHead(404, corsHeaders);
+  res.end();
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock task events on http://localhost:${PORT}/tasks/events`);
+});
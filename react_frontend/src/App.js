@@ -1,11 +1,18 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './contexts/AuthContext';
+import { ToastProvider } from './contexts/ToastContext';
 import ProtectedRoute from './components/ProtectedRoute';
+import LastSectionRedirect from './components/LastSectionRedirect';
+import Overview from './components/Overview';
+import Profile from './components/Profile';
+import Tasks from './components/Tasks';
+import TaskDetail from './components/TaskDetail';
 import Login from './pages/Login';
 import Signup from './pages/Signup';
 import Dashboard from './pages/Dashboard';
 import NotFound from './pages/NotFound';
+import UpdatePrompt from './components/UpdatePrompt';
 import './App.css';
 
 // PUBLIC_INTERFACE
@@ -15,29 +22,38 @@ import './App.css';
 function App() {
   return (
     <Router future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
-      <AuthProvider>
-        <Routes>
-          {/* Public routes */}
-          <Route path="/login" element={<Login />} />
-          <Route path="/signup" element={<Signup />} />
+      <ToastProvider>
+        <UpdatePrompt />
+        <AuthProvider>
+          <Routes>
+            {/* Public routes */}
+            <Route path="/login" element={<Login />} />
+            <Route path="/signup" element={<Signup />} />
           
-          {/* Protected routes */}
-          <Route
-            path="/dashboard"
-            element={
-              <ProtectedRoute>
-                <Dashboard />
-              </ProtectedRoute>
-            }
-          />
+            {/* Protected routes */}
+            <Route
+              path="/dashboard"
+              element={
+                <ProtectedRoute>
+                  <Dashboard />
+                </ProtectedRoute>
+              }
+            >
+              <Route index element={<LastSectionRedirect />} />
+              <Route path="overview" element={<Overview />} />
+              <Route path="profile" element={<Profile />} />
+              <Route path="tasks" element={<Tasks />} />
+              <Route path="tasks/:id" element={<TaskDetail />} />
+            </Route>
           
-          {/* Redirect root to dashboard */}
-          <Route path="/" element={<Navigate to="/dashboard" replace />} />
+            {/* Redirect root to the last visited dashboard section */}
+            <Route path="/" element={<Navigate to="/dashboard" replace />} />
           
-          {/* 404 fallback */}
-          <Route path="*" element={<NotFound />} />
-        </Routes>
-      </AuthProvider>
+            {/* 404 fallback */}
+            <Route path="*" element={<NotFound />} />
+          </Routes>
+        </AuthProvider>
+      </ToastProvider>
     </Router>
   );
 }
@@ -1,8 +1,9 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('sends signed-out visitors to the login page', async () => {
+  window.history.pushState({}, '', '/dashboard/tasks');
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByRole('heading', { name: /login/i })).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/login');
 });
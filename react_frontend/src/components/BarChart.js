@@ -0,0 +1,82 @@
+import React from 'react';
+
+const WIDTH = 320;
+const HEIGHT = 160;
+const AXIS_HEIGHT = 20;
+const LABEL_WIDTH = 24;
+
+// PUBLIC_INTERFACE
+/**
+ * Grouped bar chart drawn as SVG, one group per category and one bar per series
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Categories as { label, values: { [seriesKey]: number } }
+ * @param {Array} props.series - Series as { key, label, className }, className setting the SVG fill
+ * @param {string} props.title - Accessible description of the chart
+ */
+const BarChart = ({ data, series, title }) => {
+  const max = Math.max(1, ...data.flatMap(item => series.map(({ key }) => item.values[key] || 0)));
+  const plotHeight = HEIGHT - AXIS_HEIGHT;
+  const groupWidth = (WIDTH - LABEL_WIDTH) / data.length;
+  const barWidth = (groupWidth * 0.7) / series.length;
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={title} className="w-full h-auto">
+        <title>{title}</title>
+        {[0, 0.5, 1].map(fraction => (
+          <g key={fraction}>
+            <line
+              x1={LABEL_WIDTH}
+              x2={WIDTH}
+              y1={plotHeight - fraction * plotHeight + 0.5}
+              y2={plotHeight - fraction * plotHeight + 0.5}
+              className="stroke-gray-600"
+            />
+            <text x={LABEL_WIDTH - 4} y={plotHeight - fraction * plotHeight + 3} textAnchor="end" fontSize="9" className="fill-gray-400">
+              {Math.round(max * fraction)}
+            </text>
+          </g>
+        ))}
+        {data.map((item, index) => {
+          const groupX = LABEL_WIDTH + index * groupWidth + groupWidth * 0.15;
+          return (
+            <g key={item.label}>
+              {series.map(({ key, label, className }, seriesIndex) => {
+                const value = item.values[key] || 0;
+                const barHeight = (value / max) * plotHeight;
+                return (
+                  <rect
+                    key={key}
+                    x={groupX + seriesIndex * barWidth}
+                    y={plotHeight - barHeight}
+                    width={Math.max(1, barWidth - 1)}
+                    height={barHeight}
+                    rx="1"
+                    className={className}
+                  >
+                    <title>{`${item.label}: ${value} ${label.toLowerCase()}`}</title>
+                  </rect>
+                );
+              })}
+              <text x={groupX + (barWidth * series.length) / 2} y={HEIGHT - 6} textAnchor="middle" fontSize="9" className="fill-gray-400">
+                {item.label}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      <figcaption className="flex flex-wrap gap-4 mt-2 text-xs text-gray-400">
+        {series.map(({ key, label, className }) => (
+          <span key={key} className="flex items-center">
+            <svg className="w-3 h-3 mr-1" viewBox="0 0 10 10" aria-hidden="true">
+              <rect width="10" height="10" rx="2" className={className} />
+            </svg>
+            {label}
+          </span>
+        ))}
+      </figcaption>
+    </figure>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { TASK_STATUSES } from '../utils/tasks';
+
+// PUBLIC_INTERFACE
+/**
+ * Action bar for the selected tasks, with progress and per-item failure reporting
+ * @param {Object} props - Component props
+ * @param {number} props.selectedCount - Number of selected tasks
+ * @param {Object|null} props.progress - { done, total } while a bulk action runs, otherwise null
+ * @param {Array} props.failures - Failed items as { id, title, message }
+ * @param {Function} props.onChangeStatus - Called with the new status for all selected tasks
+ * @param {Function} props.onDelete - Called to delete all selected tasks
+ * @param {Function} props.onClearSelection - Called to deselect everything
+ * @param {Function} props.onDismissFailures - Called to hide the failure report
+ */
+const BulkActionBar = ({
+  selectedCount,
+  progress,
+  failures,
+  onChangeStatus,
+  onDelete,
+  onClearSelection,
+  onDismissFailures,
+}) => {
+  const [status, setStatus] = useState('');
+  const running = progress !== null;
+
+  if (selectedCount === 0 && !running && failures.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4 p-3 bg-background border border-secondary rounded-lg text-sm text-textColor">
+      {running ? (
+        <div>
+          <div className="flex justify-between mb-2">
+            <span>Working on {progress.total} tasks…</span>
+            <span>
+              {progress.done}/{progress.total}
+            </span>
+          </div>
+          <div
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={progress.total}
+            aria-valuenow={progress.done}
+            className="h-2 bg-surface rounded-full overflow-hidden"
+          >
+            <div
+              className="h-full bg-secondary transition-all"
+              style={{ width: `${(progress.done / progress.total) * 100}%` }}
+            />
+          </div>
+        </div>
+      ) : (
+        selectedCount > 0 && (
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between space-y-3 sm:space-y-0">
+            <span className="font-medium">{selectedCount} selected</span>
+            <div className="flex flex-wrap items-center gap-2">
+              <select
+                value={status}
+                onChange={(e) => setStatus(e.target.value)}
+                aria-label="New status for selected tasks"
+                className="px-3 py-1 bg-surface border border-gray-600 rounded text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                <option value="">Set status…</option>
+                {TASK_STATUSES.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => onChangeStatus(status)}
+                disabled={!status}
+                className="bg-secondary hover:bg-primary text-white px-3 py-1 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Apply
+              </button>
+              <button
+                type="button"
+                onClick={onDelete}
+                className="bg-error hover:bg-red-600 text-white px-3 py-1 rounded transition"
+              >
+                Delete selected
+              </button>
+              <button
+                type="button"
+                onClick={onClearSelection}
+                className="text-secondary hover:text-primary px-2"
+              >
+                Clear
+              </button>
+            </div>
+          </div>
+        )
+      )}
+
+      {!running && failures.length > 0 && (
+        <div className={`${selectedCount > 0 ? 'mt-3 pt-3 border-t border-gray-600' : ''} text-error`}>
+          <div className="flex justify-between items-center mb-1">
+            <span className="font-medium">
+              {failures.length} {failures.length === 1 ? 'task' : 'tasks'} failed
+            </span>
+            <button
+              type="button"
+              onClick={onDismissFailures}
+              className="text-gray-400 hover:text-textColor"
+            >
+              Dismiss
+            </button>
+          </div>
+          <ul className="list-disc list-inside space-y-1">
+            {failures.map(({ id, title, message }) => (
+              <li key={id}>
+                <span className="text-textColor">{title}</span>: {message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
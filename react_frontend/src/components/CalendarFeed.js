@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { calendarAPI, isNetworkError } from '../utils/api';
+
+/**
+ * Turn an http(s) feed URL into a webcal:// one, which calendar apps open as a subscription
+ * @param {string} url - Feed URL
+ * @returns {string} Subscription URL
+ */
+const toWebcalUrl = (url) => url.replace(/^https?:\/\//, 'webcal://');
+
+// PUBLIC_INTERFACE
+/**
+ * Profile card with the user's calendar feed URL. Calendar apps subscribed to it
+ * show every task with a due date and pick up changes as they refresh the feed.
+ */
+const CalendarFeed = () => {
+  const { showToast } = useToast();
+  const [url, setUrl] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [unavailable, setUnavailable] = useState(false);
+  const [error, setError] = useState('');
+  const [resetting, setResetting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    calendarAPI
+      .getFeed()
+      .then((response) => {
+        if (!cancelled) {
+          setUrl(response.data.url);
+        }
+      })
+      .catch((err) => {
+        if (cancelled) {
+          return;
+        }
+        if (err.response?.status === 404) {
+          setUnavailable(true);
+        } else {
+          setError(
+            isNetworkError(err)
+              ? "You're offline. Reconnect to see your calendar feed."
+              : err.response?.data?.message || 'Failed to load the calendar feed'
+          );
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Copy the feed URL to the clipboard
+   */
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      showToast({ type: 'success', message: 'Feed URL copied.' });
+    } catch {
+      showToast({ type: 'error', message: 'Copying failed. Select the URL and copy it instead.' });
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Replace the feed URL after confirming, cutting off everyone who has the old one
+   */
+  const handleReset = async () => {
+    if (!window.confirm('Reset the feed URL? Calendars subscribed to the current URL will stop updating.')) {
+      return;
+    }
+    setResetting(true);
+    try {
+      const response = await calendarAPI.resetFeed();
+      setUrl(response.data.url);
+      showToast({ type: 'success', message: 'Feed URL reset. Subscribe again with the new URL.' });
+    } catch (err) {
+      showToast({
+        type: 'error',
+        message: isNetworkError(err)
+          ? "You're offline. Reconnect to reset the feed URL."
+          : err.response?.data?.message || 'Failed to reset the feed URL',
+      });
+    } finally {
+      setResetting(false);
+    }
+  };
+
+  return (
+    <section aria-labelledby="calendar-feed-title" className="bg-surface rounded-lg shadow-xl p-6">
+      <h2 id="calendar-feed-title" className="text-xl font-bold text-textColor mb-2">
+        Calendar feed
+      </h2>
+      <p className="text-sm text-gray-400 mb-4">
+        Subscribe to this URL in a calendar app to see your tasks with due dates there. Anyone with the URL can
+        read those tasks, so keep it private and reset it if it is shared by mistake.
+      </p>
+
+      {loading ? (
+        <p className="text-sm text-textColor">Loading feed...</p>
+      ) : unavailable ? (
+        <p className="text-sm text-gray-400">Calendar feeds aren't available on this server.</p>
+      ) : error ? (
+        <p className="text-sm text-error">{error}</p>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              readOnly
+              value={url}
+              onFocus={(e) => e.target.select()}
+              aria-label="Calendar feed URL"
+              className="flex-1 min-w-0 px-4 py-2 bg-background border border-gray-600 rounded-lg text-textColor text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="px-4 py-2 bg-primary hover:bg-secondary text-white rounded-lg text-sm font-medium transition"
+            >
+              Copy
+            </button>
+          </div>
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <a href={toWebcalUrl(url)} className="text-secondary hover:text-primary">
+              Subscribe in calendar app
+            </a>
+            <button
+              type="button"
+              onClick={handleReset}
+              disabled={resetting}
+              className="px-3 py-1 border border-gray-600 rounded-lg text-textColor hover:bg-background transition disabled:opacity-50"
+            >
+              {resetting ? 'Resetting...' : 'Reset URL'}
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default CalendarFeed;
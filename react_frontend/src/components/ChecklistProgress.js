@@ -0,0 +1,41 @@
+import React from 'react';
+import { getSubtaskProgress } from '../utils/tasks';
+
+// PUBLIC_INTERFACE
+/**
+ * Progress bar showing how many checklist items of a task are done; renders
+ * nothing for tasks without a checklist
+ * @param {Object} props - Component props
+ * @param {Object} props.task - Task with optional subtasks
+ * @param {string} [props.className] - Extra classes for the wrapper
+ */
+const ChecklistProgress = ({ task, className = '' }) => {
+  const { done, total } = getSubtaskProgress(task);
+  if (total === 0) {
+    return null;
+  }
+  const percent = Math.round((done / total) * 100);
+
+  return (
+    <div className={`flex items-center space-x-2 w-full max-w-xs ${className}`}>
+      <div
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={total}
+        aria-valuenow={done}
+        aria-label="Checklist progress"
+        className="flex-1 h-1.5 bg-gray-600 rounded-full overflow-hidden"
+      >
+        <div
+          className={`h-full rounded-full transition-all ${done === total ? 'bg-success' : 'bg-secondary'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      <span className="text-xs text-gray-400 whitespace-nowrap">
+        {done}/{total} done
+      </span>
+    </div>
+  );
+};
+
+export default ChecklistProgress;
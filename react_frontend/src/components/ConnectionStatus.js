@@ -0,0 +1,104 @@
+import React, { useEffect } from 'react';
+import useOfflineStatus from '../hooks/useOfflineStatus';
+import { useToast } from '../contexts/ToastContext';
+import { setOnline, loadQueue, dismissFailures } from '../utils/offlineQueue';
+import { syncOfflineChanges, resolveConflict } from '../utils/taskCache';
+import TaskConflictDialog from './TaskConflictDialog';
+
+// How often to check whether the API is back while offline
+const RECONNECT_INTERVAL_MS = 15 * 1000;
+
+// PUBLIC_INTERFACE
+/**
+ * Online/offline indicator for the header. It also drives syncing: queued
+ * changes are replayed whenever connectivity returns, sync failures are
+ * reported as toasts and conflicts are put to the user one at a time.
+ */
+const ConnectionStatus = () => {
+  const { online, syncing, pendingCount, conflicts, failures } = useOfflineStatus();
+  const { showToast } = useToast();
+
+  // Follow the browser's connectivity events; coming back online is confirmed by syncing
+  useEffect(() => {
+    loadQueue();
+    const handleOnline = () => syncOfflineChanges();
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Replay anything queued in an earlier session, and whenever the API is reachable again
+  useEffect(() => {
+    if (online && pendingCount > 0) {
+      syncOfflineChanges();
+    }
+  }, [online, pendingCount]);
+
+  // The browser may report being online while the API is down, so keep checking
+  useEffect(() => {
+    if (online) {
+      return undefined;
+    }
+    const interval = setInterval(syncOfflineChanges, RECONNECT_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [online]);
+
+  useEffect(() => {
+    if (failures.length === 0) {
+      return;
+    }
+    failures.forEach(({ title, message }) => {
+      showToast({
+        type: 'error',
+        message: `Couldn't sync ${title ? `"${title}"` : 'a change'}: ${message}`,
+        duration: 0,
+      });
+    });
+    dismissFailures();
+  }, [failures, showToast]);
+
+  let label;
+  if (!online) {
+    label = pendingCount > 0 ? `Offline · ${pendingCount} queued` : 'Offline';
+  } else if (syncing && pendingCount > 0) {
+    label = `Syncing ${pendingCount}…`;
+  } else {
+    label = 'Online';
+  }
+
+  return (
+    <>
+      <span
+        role="status"
+        title={online ? 'Connected to the server' : 'Changes are saved on this device and sync when you reconnect'}
+        className={`flex items-center text-xs font-medium px-3 py-1 rounded-full border ${
+          online ? 'border-success text-success' : 'border-error text-error'
+        }`}
+      >
+        <span
+          aria-hidden="true"
+          className={`w-2 h-2 rounded-full mr-2 ${online ? 'bg-success' : 'bg-error'} ${
+            syncing && pendingCount > 0 ? 'animate-pulse' : ''
+          }`}
+        />
+        {label}
+      </span>
+      {conflicts.length > 0 && (
+        <TaskConflictDialog
+          key={conflicts[0].id}
+          description={`"${conflicts[0].title || conflicts[0].server.title}" was changed on the server while you were offline.`}
+          local={conflicts[0].local}
+          server={conflicts[0].server}
+          onSave={(data) => resolveConflict(conflicts[0], data)}
+          onUseServer={() => resolveConflict(conflicts[0], null)}
+        />
+      )}
+    </>
+  );
+};
+
+export default ConnectionStatus;
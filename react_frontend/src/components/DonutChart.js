@@ -0,0 +1,66 @@
+import React from 'react';
+
+const SIZE = 120;
+const RADIUS = 46;
+const STROKE = 16;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+// PUBLIC_INTERFACE
+/**
+ * Donut chart drawn as SVG, with a legend listing each segment's value
+ * @param {Object} props - Component props
+ * @param {Array} props.segments - Segments as { label, value, className }, className setting the SVG stroke
+ * @param {string} props.centerLabel - Text shown in the middle, e.g. the total
+ * @param {string} props.title - Accessible description of the chart
+ */
+const DonutChart = ({ segments, centerLabel, title }) => {
+  const total = segments.reduce((sum, { value }) => sum + value, 0);
+  let offset = 0;
+
+  return (
+    <div className="flex items-center space-x-6">
+      <svg viewBox={`0 0 ${SIZE} ${SIZE}`} role="img" aria-label={title} className="w-32 h-32 flex-shrink-0">
+        <title>{title}</title>
+        <circle cx={SIZE / 2} cy={SIZE / 2} r={RADIUS} fill="none" strokeWidth={STROKE} className="stroke-background" />
+        {total > 0 &&
+          segments.map(({ label, value, className }) => {
+            const length = (value / total) * CIRCUMFERENCE;
+            const segment = (
+              <circle
+                key={label}
+                cx={SIZE / 2}
+                cy={SIZE / 2}
+                r={RADIUS}
+                fill="none"
+                strokeWidth={STROKE}
+                strokeDasharray={`${length} ${CIRCUMFERENCE - length}`}
+                strokeDashoffset={-offset}
+                transform={`rotate(-90 ${SIZE / 2} ${SIZE / 2})`}
+                className={className}
+              >
+                <title>{`${label}: ${value}`}</title>
+              </circle>
+            );
+            offset += length;
+            return segment;
+          })}
+        <text x={SIZE / 2} y={SIZE / 2 + 6} textAnchor="middle" fontSize="18" fontWeight="bold" className="fill-textColor">
+          {centerLabel}
+        </text>
+      </svg>
+      <ul className="space-y-2 text-sm">
+        {segments.map(({ label, value, className }) => (
+          <li key={label} className="flex items-center text-textColor">
+            <svg className="w-3 h-3 mr-2" viewBox="0 0 10 10" aria-hidden="true">
+              <circle cx="5" cy="5" r="3" fill="none" strokeWidth="4" className={className} />
+            </svg>
+            {label}
+            <span className="ml-3 text-gray-400">{value}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DonutChart;
@@ -0,0 +1,390 @@
+import React, { useState } from 'react';
+import { tasksAPI } from '../utils/api';
+import { settleWithConcurrency } from '../utils/async';
+import { applyTaskEvent, invalidateQueries } from '../utils/taskCache';
+import { rememberTags } from '../utils/tagStore';
+import { validateTask, getTaskId } from '../utils/tasks';
+import {
+  IMPORT_FIELDS,
+  parseImportFile,
+  guessColumnMapping,
+  buildImportTask,
+} from '../utils/taskTransfer';
+
+// Largest file and number of rows accepted in one import
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 1000;
+// Tasks created at once while importing
+const IMPORT_BATCH_SIZE = 5;
+// Rows listed in the preview table
+const PREVIEW_ROWS = 100;
+
+const STEPS = ['Upload', 'Map columns', 'Review', 'Import'];
+
+/**
+ * Show an imported value as text, e.g. a checklist from a JSON file
+ * @param {*} value - Imported value
+ * @returns {string} Text to show
+ */
+const formatSample = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? ''));
+
+// PUBLIC_INTERFACE
+/**
+ * Wizard for importing tasks from a CSV or JSON file: upload the file, map its
+ * columns to task fields, review each row against the task form's validation,
+ * then create the valid rows a few at a time with a progress report
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Called when the wizard is dismissed
+ */
+const ImportTasksModal = ({ onClose }) => {
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [fileError, setFileError] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [rows, setRows] = useState([]);
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const importing = progress !== null && result === null;
+  const validRows = rows.filter(row => Object.keys(row.errors).length === 0);
+  const invalidCount = rows.length - validRows.length;
+  const missingRequired = IMPORT_FIELDS.filter(field => field.required && !mapping[field.name]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Read the chosen file and suggest a column mapping
+   * @param {Event} e - File input change event
+   */
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files[0];
+    setFile(null);
+    setFileError('');
+    if (!chosen) {
+      return;
+    }
+    if (chosen.size > MAX_FILE_SIZE) {
+      setFileError('The file is larger than 2 MB.');
+      return;
+    }
+    try {
+      const parsed = parseImportFile(await chosen.text(), chosen.name);
+      if (parsed.rows.length === 0) {
+        setFileError('The file has no task rows.');
+      } else if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        setFileError(`The file has ${parsed.rows.length} rows; import at most ${MAX_IMPORT_ROWS} at a time.`);
+      } else {
+        setFile({ name: chosen.name, ...parsed });
+        setMapping(guessColumnMapping(parsed.columns));
+      }
+    } catch (error) {
+      setFileError(error.message || 'The file could not be read.');
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Build and validate a task for every row with the chosen mapping
+   */
+  const handleReview = () => {
+    setRows(
+      file.rows.map((row, index) => {
+        const task = buildImportTask(row, mapping);
+        // Imported tasks are often overdue or already done, so past due dates are allowed
+        return { number: index + 1, task, errors: validateTask(task) };
+      })
+    );
+    setShowErrorsOnly(false);
+    setStep(2);
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Create every valid row, a few at a time, and report what failed
+   */
+  const handleImport = async () => {
+    setStep(3);
+    setProgress({ done: 0, total: validRows.length });
+
+    const results = await settleWithConcurrency(
+      validRows,
+      async row => {
+        const response = await tasksAPI.create(row.task);
+        return response.data?.task || response.data;
+      },
+      {
+        concurrency: IMPORT_BATCH_SIZE,
+        onProgress: (done, total) => setProgress({ done, total }),
+      }
+    );
+
+    const created = results.filter(({ ok }) => ok);
+    // Add the new tasks to the cache as if pushed by the server, so the list of every
+    // task takes them in without refetching; if the API didn't send some back, it is refetched
+    const saved = created.map(({ value }) => value).filter(task => task && getTaskId(task));
+    saved.forEach(task => applyTaskEvent({ type: 'created', task }));
+    invalidateQueries({ includeComplete: saved.length < created.length });
+    rememberTags([...new Set(created.flatMap(({ item }) => item.task.tags))]);
+    setResult({
+      created: created.length,
+      failures: results
+        .filter(({ ok }) => !ok)
+        .map(({ item, error }) => ({
+          number: item.number,
+          title: item.task.title,
+          message: error.response?.data?.message || 'Request failed',
+        })),
+    });
+  };
+
+  const previewRows = (showErrorsOnly ? rows.filter(row => Object.keys(row.errors).length > 0) : rows).slice(
+    0,
+    PREVIEW_ROWS
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-tasks-title"
+        className="bg-surface rounded-lg shadow-xl p-6 max-w-2xl w-full max-h-full overflow-y-auto"
+      >
+        <h3 id="import-tasks-title" className="text-xl font-bold text-textColor mb-2">
+          Import Tasks
+        </h3>
+        <ol className="flex flex-wrap gap-x-4 mb-4 text-xs">
+          {STEPS.map((label, index) => (
+            <li
+              key={label}
+              aria-current={index === step ? 'step' : undefined}
+              className={index === step ? 'text-secondary font-semibold' : 'text-gray-400'}
+            >
+              {index + 1}. {label}
+            </li>
+          ))}
+        </ol>
+
+        {step === 0 && (
+          <div className="space-y-3 text-sm text-textColor">
+            <p className="text-gray-400">
+              Choose a CSV file with a header row, or a JSON file holding a list of tasks. Up to{' '}
+              {MAX_IMPORT_ROWS} rows can be imported at a time.
+            </p>
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleFileChange}
+              aria-label="File to import"
+              className="block w-full text-sm text-textColor file:mr-3 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-primary file:text-white hover:file:bg-secondary"
+            />
+            {fileError && (
+              <p role="alert" className="text-error">
+                {fileError}
+              </p>
+            )}
+            {file && (
+              <p>
+                {file.name}: {file.rows.length} {file.rows.length === 1 ? 'row' : 'rows'}, {file.columns.length}{' '}
+                {file.columns.length === 1 ? 'column' : 'columns'}
+              </p>
+            )}
+          </div>
+        )}
+
+        {step === 1 && (
+          <div className="space-y-3 text-sm">
+            <p className="text-gray-400">Pick the column that fills each task field.</p>
+            {IMPORT_FIELDS.map(field => (
+              <div key={field.name} className="flex items-center space-x-3">
+                <label htmlFor={`import-${field.name}`} className="w-28 text-textColor">
+                  {field.label}
+                  {field.required && <span className="text-error"> *</span>}
+                </label>
+                <select
+                  id={`import-${field.name}`}
+                  value={mapping[field.name] || ''}
+                  onChange={(e) => setMapping(prev => ({ ...prev, [field.name]: e.target.value }))}
+                  className="flex-1 px-3 py-2 bg-background border border-gray-600 rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
+                >
+                  <option value="">{field.required ? 'Choose a column…' : 'Not imported'}</option>
+                  {file.columns.map(column => (
+                    <option key={column} value={column}>
+                      {column}
+                    </option>
+                  ))}
+                </select>
+                <span className="w-40 truncate text-xs text-gray-400" title="Value in the first row">
+                  {mapping[field.name] ? formatSample(file.rows[0][mapping[field.name]]) : ''}
+                </span>
+              </div>
+            ))}
+            <p className="text-xs text-gray-400">
+              Missing statuses import as Pending. Tags can be separated with commas or semicolons, and
+              checklist items put on separate lines.
+            </p>
+          </div>
+        )}
+
+        {step === 2 && (
+          <div className="space-y-3 text-sm text-textColor">
+            <p>
+              <span className="text-success">{validRows.length} ready to import</span>
+              {invalidCount > 0 && (
+                <>
+                  , <span className="text-error">{invalidCount} with errors</span> that will be skipped
+                </>
+              )}
+              .
+            </p>
+            {invalidCount > 0 && (
+              <label className="flex items-center text-gray-400">
+                <input
+                  type="checkbox"
+                  checked={showErrorsOnly}
+                  onChange={(e) => setShowErrorsOnly(e.target.checked)}
+                  className="mr-2 h-4 w-4 accent-secondary"
+                />
+                Only show rows with errors
+              </label>
+            )}
+            <div className="max-h-72 overflow-y-auto border border-gray-600 rounded-lg">
+              <table className="w-full text-left text-xs">
+                <thead className="sticky top-0 bg-background text-gray-400">
+                  <tr>
+                    <th scope="col" className="px-3 py-2">Row</th>
+                    <th scope="col" className="px-3 py-2">Title</th>
+                    <th scope="col" className="px-3 py-2">Status</th>
+                    <th scope="col" className="px-3 py-2">Problems</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {previewRows.map(row => {
+                    const messages = Object.values(row.errors);
+                    return (
+                      <tr key={row.number} className="border-t border-gray-600 align-top">
+                        <td className="px-3 py-2 text-gray-400">{row.number}</td>
+                        <td className="px-3 py-2 break-words">{row.task.title || '—'}</td>
+                        <td className="px-3 py-2">{row.task.status}</td>
+                        <td className={`px-3 py-2 ${messages.length ? 'text-error' : 'text-success'}`}>
+                          {messages.length ? messages.join('; ') : 'OK'}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            {(showErrorsOnly ? invalidCount : rows.length) > PREVIEW_ROWS && (
+              <p className="text-xs text-gray-400">Showing the first {PREVIEW_ROWS} rows.</p>
+            )}
+          </div>
+        )}
+
+        {step === 3 && progress && (
+          <div className="space-y-3 text-sm text-textColor">
+            <div className="flex justify-between">
+              <span>{result ? 'Import finished' : `Creating ${progress.total} tasks…`}</span>
+              <span>
+                {progress.done}/{progress.total}
+              </span>
+            </div>
+            <div
+              role="progressbar"
+              aria-valuemin={0}
+              aria-valuemax={progress.total}
+              aria-valuenow={progress.done}
+              className="h-2 bg-background rounded-full overflow-hidden"
+            >
+              <div
+                className="h-full bg-secondary transition-all"
+                style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 100}%` }}
+              />
+            </div>
+            {result && (
+              <div role="status" className="space-y-2">
+                <p>
+                  Created {result.created} of {progress.total} tasks.
+                  {invalidCount > 0 && ` Skipped ${invalidCount} rows with errors.`}
+                </p>
+                {result.failures.length > 0 && (
+                  <ul className="max-h-40 overflow-y-auto text-xs text-error space-y-1">
+                    {result.failures.map(failure => (
+                      <li key={failure.number}>
+                        Row {failure.number} ({failure.title}): {failure.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex space-x-3 pt-6">
+          {step === 3 ? (
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={importing}
+              className="flex-1 bg-primary hover:bg-secondary text-white font-semibold py-2 px-4 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {importing ? 'Importing…' : 'Done'}
+            </button>
+          ) : (
+            <>
+              {step > 0 && (
+                <button
+                  type="button"
+                  onClick={() => setStep(step - 1)}
+                  className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-lg transition"
+                >
+                  Back
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-lg transition"
+              >
+                Cancel
+              </button>
+              {step === 0 && (
+                <button
+                  type="button"
+                  onClick={() => setStep(1)}
+                  disabled={!file}
+                  className="flex-1 bg-primary hover:bg-secondary text-white font-semibold py-2 px-4 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                </button>
+              )}
+              {step === 1 && (
+                <button
+                  type="button"
+                  onClick={handleReview}
+                  disabled={missingRequired.length > 0}
+                  className="flex-1 bg-primary hover:bg-secondary text-white font-semibold py-2 px-4 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Review
+                </button>
+              )}
+              {step === 2 && (
+                <button
+                  type="button"
+                  onClick={handleImport}
+                  disabled={validRows.length === 0}
+                  className="flex-1 bg-primary hover:bg-secondary text-white font-semibold py-2 px-4 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Import {validRows.length} {validRows.length === 1 ? 'task' : 'tasks'}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportTasksModal;
@@ -0,0 +1,85 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ImportTasksModal from './ImportTasksModal';
+import { tasksAPI } from '../utils/api';
+import { ALL_TASKS_QUERY_KEY, clearTaskCache, fetchAllTaskQuery, getCachedQuery } from '../utils/taskCache';
+
+jest.mock('../utils/api', () => ({
+  ...jest.requireActual('../utils/api'),
+  tasksAPI: { create: jest.fn(), getAll: jest.fn() },
+}));
+
+jest.mock('../utils/offlineStore', () => ({
+  readOffline: jest.fn(() => Promise.resolve()),
+  writeOffline: jest.fn(),
+  clearOffline: jest.fn(),
+}));
+
+const CSV = [
+  'title,description,status,dueDate',
+  'File taxes,Last year,completed,2024-01-02',
+  'Overdue,Still open,pending,2025-03-04',
+].join('\r\n');
+
+beforeEach(() => {
+  clearTaskCache();
+  jest.clearAllMocks();
+});
+
+/**
+ * Choose a file in the wizard's upload step and go on to the review
+ * @param {string} name - File name
+ * @param {string} contents - File contents
+ */
+const uploadAndReview = async (name, contents) => {
+  const file = new File([contents], name);
+  // jsdom's File has no text()
+  file.text = () => Promise.resolve(contents);
+  fireEvent.change(screen.getByLabelText('File to import'), { target: { files: [file] } });
+  await screen.findByText(new RegExp(`^${name}:`));
+  fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Review' }));
+};
+
+test('accepts tasks due in the past, e.g. completed ones from an export', async () => {
+  tasksAPI.create.mockResolvedValue({ data: {} });
+  render(<ImportTasksModal onClose={() => {}} />);
+  await uploadAndReview('tasks.csv', CSV);
+
+  expect(screen.getByText('2 ready to import')).toBeInTheDocument();
+  expect(screen.queryByText(/cannot be in the past/)).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Import 2 tasks' }));
+  expect(await screen.findByText('Import finished')).toBeInTheDocument();
+  expect(tasksAPI.create).toHaveBeenCalledWith(expect.objectContaining({ title: 'File taxes', dueDate: '2024-01-02' }));
+});
+
+test('still reports rows that fail validation', async () => {
+  render(<ImportTasksModal onClose={() => {}} />);
+  await uploadAndReview('tasks.csv', 'title,description,dueDate\r\nNo description,,2026-01-01\r\nBad date,Text,someday');
+
+  expect(screen.getByText('0 ready to import')).toBeInTheDocument();
+  expect(screen.getByText(/Description is required/)).toBeInTheDocument();
+  expect(screen.getByText(/Due date is invalid/)).toBeInTheDocument();
+});
+
+test('adds the imported tasks to the cached list of every task', async () => {
+  tasksAPI.getAll.mockResolvedValue({ data: { tasks: [{ _id: 'old', title: 'Existing' }], total: 1 } });
+  await fetchAllTaskQuery();
+  let nextId = 0;
+  tasksAPI.create.mockImplementation(async (task) => {
+    nextId += 1;
+    return { data: { ...task, _id: `new-${nextId}` } };
+  });
+
+  render(<ImportTasksModal onClose={() => {}} />);
+  await uploadAndReview('tasks.csv', CSV);
+  fireEvent.click(screen.getByRole('button', { name: 'Import 2 tasks' }));
+  expect(await screen.findByText('Import finished')).toBeInTheDocument();
+
+  const query = getCachedQuery(ALL_TASKS_QUERY_KEY);
+  expect(query.tasks.map(task => task.title).sort()).toEqual(['Existing', 'File taxes', 'Overdue']);
+  expect(query.total).toBe(3);
+  // Taken in without paging through every task again
+  expect(query.stale).toBe(false);
+  expect(tasksAPI.getAll).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,16 @@
+import React from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth, getUserId } from '../contexts/AuthContext';
+import { getLastDashboardSection } from '../utils/dashboardSections';
+
+// PUBLIC_INTERFACE
+/**
+ * Redirect to the dashboard section the user visited last in this session,
+ * or to the Overview right after logging in
+ */
+const LastSectionRedirect = () => {
+  const { user } = useAuth();
+  return <Navigate to={`/dashboard/${getLastDashboardSection(getUserId(user))}`} replace />;
+};
+
+export default LastSectionRedirect;
@@ -0,0 +1,51 @@
+import React from 'react';
+
+const WIDTH = 320;
+const HEIGHT = 160;
+const AXIS_HEIGHT = 20;
+const LABEL_WIDTH = 32;
+const TOP_PADDING = 8;
+
+// PUBLIC_INTERFACE
+/**
+ * Line chart of percentages drawn as SVG
+ * @param {Object} props - Component props
+ * @param {Array} props.points - Points as { label, value } with value from 0 to 1
+ * @param {string} props.lineClassName - Classes setting the line's SVG stroke
+ * @param {string} props.pointClassName - Classes setting the points' SVG fill
+ * @param {string} props.title - Accessible description of the chart
+ */
+const LineChart = ({ points, lineClassName, pointClassName, title }) => {
+  const plotHeight = HEIGHT - AXIS_HEIGHT - TOP_PADDING;
+  const step = points.length > 1 ? (WIDTH - LABEL_WIDTH - 12) / (points.length - 1) : 0;
+  const toX = (index) => LABEL_WIDTH + 6 + index * step;
+  const toY = (value) => TOP_PADDING + plotHeight - value * plotHeight;
+  const path = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${toX(index)},${toY(point.value)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={title} className="w-full h-auto">
+      <title>{title}</title>
+      {[0, 0.5, 1].map(fraction => (
+        <g key={fraction}>
+          <line x1={LABEL_WIDTH} x2={WIDTH} y1={toY(fraction) + 0.5} y2={toY(fraction) + 0.5} className="stroke-gray-600" />
+          <text x={LABEL_WIDTH - 4} y={toY(fraction) + 3} textAnchor="end" fontSize="9" className="fill-gray-400">
+            {fraction * 100}%
+          </text>
+        </g>
+      ))}
+      <path d={path} fill="none" strokeWidth="2" strokeLinejoin="round" className={lineClassName} />
+      {points.map((point, index) => (
+        <g key={point.label}>
+          <circle cx={toX(index)} cy={toY(point.value)} r="3" className={pointClassName}>
+            <title>{`${point.label}: ${Math.round(point.value * 100)}%`}</title>
+          </circle>
+          <text x={toX(index)} y={HEIGHT - 6} textAnchor="middle" fontSize="9" className="fill-gray-400">
+            {point.label}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+export default LineChart;
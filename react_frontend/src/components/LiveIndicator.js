@@ -0,0 +1,33 @@
+import React, { useSyncExternalStore } from 'react';
+import { subscribe, getStatus } from '../utils/taskEvents';
+
+const STATUS_DISPLAY = {
+  live: { label: 'Live', dot: 'bg-success', title: 'Changes from teammates appear as they happen' },
+  connecting: { label: 'Connecting…', dot: 'bg-gray-400', title: 'Connecting to live updates' },
+  reconnecting: { label: 'Reconnecting…', dot: 'bg-error', title: 'Live updates paused; retrying' },
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Small badge showing whether live task updates are streaming
+ */
+const LiveIndicator = () => {
+  const status = useSyncExternalStore(subscribe, getStatus);
+  const display = STATUS_DISPLAY[status];
+
+  if (!display) {
+    return null;
+  }
+
+  return (
+    <span role="status" title={display.title} className="flex items-center text-xs text-gray-400">
+      <span
+        aria-hidden="true"
+        className={`w-2 h-2 rounded-full mr-1.5 ${display.dot} ${status === 'live' ? 'animate-pulse' : ''}`}
+      />
+      {display.label}
+    </span>
+  );
+};
+
+export default LiveIndicator;
@@ -0,0 +1,195 @@
+import React from 'react';
+
+// Inline syntax: `code`, [text](url), **bold**, *italic*, ~~strikethrough~~ and bare URLs
+const INLINE_PATTERN =
+  /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\*(.+?)\*|~~(.+?)~~|(https?:\/\/[^\s<]*[^\s<.,:;"')\]])/g;
+
+// Links may only point at these protocols, so comments can't smuggle in javascript: URLs
+const SAFE_LINK_PATTERN = /^(https?:|mailto:)/i;
+
+const UNORDERED_ITEM = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const QUOTE = /^>\s?(.*)$/;
+const FENCE = /^```/;
+
+const HEADING_STYLES = {
+  1: 'text-lg font-bold',
+  2: 'text-base font-bold',
+  3: 'text-sm font-bold',
+};
+
+/**
+ * Render inline markdown to React nodes
+ * @param {string} text - Text without line breaks
+ * @param {string} keyPrefix - Prefix keeping keys unique across calls
+ * @returns {Array} React nodes
+ */
+const renderInline = (text, keyPrefix) => {
+  const nodes = [];
+  let lastIndex = 0;
+  let match;
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      nodes.push(text.slice(lastIndex, match.index));
+    }
+    const key = `${keyPrefix}-${match.index}`;
+    const [whole, code, linkText, linkUrl, bold, italic, strike, url] = match;
+
+    if (code !== undefined) {
+      nodes.push(
+        <code key={key} className="px-1 rounded bg-background font-mono text-xs">
+          {code}
+        </code>
+      );
+    } else if (linkText !== undefined) {
+      nodes.push(
+        SAFE_LINK_PATTERN.test(linkUrl) ? (
+          <a key={key} href={linkUrl} target="_blank" rel="noopener noreferrer" className="text-secondary hover:text-primary underline">
+            {renderInline(linkText, key)}
+          </a>
+        ) : (
+          whole
+        )
+      );
+    } else if (bold !== undefined) {
+      nodes.push(<strong key={key}>{renderInline(bold, key)}</strong>);
+    } else if (italic !== undefined) {
+      nodes.push(<em key={key}>{renderInline(italic, key)}</em>);
+    } else if (strike !== undefined) {
+      nodes.push(<del key={key}>{renderInline(strike, key)}</del>);
+    } else {
+      nodes.push(
+        <a key={key} href={url} target="_blank" rel="noopener noreferrer" className="text-secondary hover:text-primary underline break-all">
+          {url}
+        </a>
+      );
+    }
+    lastIndex = match.index + whole.length;
+  }
+
+  if (lastIndex < text.length) {
+    nodes.push(text.slice(lastIndex));
+  }
+  return nodes;
+};
+
+/**
+ * Render lines of inline markdown separated by line breaks
+ * @param {Array<string>} lines - Lines of text
+ * @param {string} keyPrefix - Prefix keeping keys unique
+ * @returns {Array} React nodes
+ */
+const renderLines = (lines, keyPrefix) =>
+  lines.flatMap((line, index) => [
+    ...(index > 0 ? [<br key={`${keyPrefix}-br-${index}`} />] : []),
+    ...renderInline(line, `${keyPrefix}-${index}`),
+  ]);
+
+/**
+ * Check whether a line starts a block other than a paragraph
+ * @param {string} line - Line of text
+ * @returns {boolean} Whether the line starts a list, heading, quote or code block
+ */
+const startsBlock = (line) =>
+  [UNORDERED_ITEM, ORDERED_ITEM, HEADING, QUOTE, FENCE].some(pattern => pattern.test(line));
+
+/**
+ * Render block-level markdown to React elements
+ * @param {string} text - Markdown source
+ * @param {string} [keyPrefix='md'] - Prefix keeping keys unique when nested
+ * @returns {Array} React elements
+ */
+const renderBlocks = (text, keyPrefix = 'md') => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  /**
+   * Collect consecutive lines matching a pattern, returning their first capture group
+   * @param {RegExp} pattern - Line pattern
+   * @returns {Array<string>} Captured contents
+   */
+  const collect = (pattern) => {
+    const items = [];
+    while (i < lines.length && pattern.test(lines[i])) {
+      items.push(pattern.exec(lines[i])[1]);
+      i += 1;
+    }
+    return items;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const key = `${keyPrefix}-${i}`;
+
+    if (!line.trim()) {
+      i += 1;
+    } else if (FENCE.test(line)) {
+      i += 1;
+      const code = [];
+      while (i < lines.length && !FENCE.test(lines[i])) {
+        code.push(lines[i]);
+        i += 1;
+      }
+      i += 1;
+      blocks.push(
+        <pre key={key} className="p-3 rounded bg-background overflow-x-auto">
+          <code className="font-mono text-xs">{code.join('\n')}</code>
+        </pre>
+      );
+    } else if (HEADING.test(line)) {
+      const [, hashes, content] = HEADING.exec(line);
+      i += 1;
+      blocks.push(
+        <p key={key} className={HEADING_STYLES[hashes.length]}>
+          {renderInline(content, key)}
+        </p>
+      );
+    } else if (QUOTE.test(line)) {
+      const quoted = collect(QUOTE);
+      blocks.push(
+        <blockquote key={key} className="border-l-4 border-gray-600 pl-3 text-gray-400">
+          {renderBlocks(quoted.join('\n'), key)}
+        </blockquote>
+      );
+    } else if (UNORDERED_ITEM.test(line) || ORDERED_ITEM.test(line)) {
+      const ordered = ORDERED_ITEM.test(line);
+      const items = collect(ordered ? ORDERED_ITEM : UNORDERED_ITEM);
+      const List = ordered ? 'ol' : 'ul';
+      blocks.push(
+        <List key={key} className={`${ordered ? 'list-decimal' : 'list-disc'} list-inside space-y-1`}>
+          {items.map((item, index) => (
+            <li key={index}>{renderInline(item, `${key}-${index}`)}</li>
+          ))}
+        </List>
+      );
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+        paragraph.push(lines[i]);
+        i += 1;
+      }
+      blocks.push(<p key={key}>{renderLines(paragraph, key)}</p>);
+    }
+  }
+
+  return blocks;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Render a safe subset of markdown: paragraphs, headings, lists, quotes, code,
+ * bold, italic, strikethrough and links. Output is built from React elements,
+ * never raw HTML, so user content can't inject markup.
+ * @param {Object} props - Component props
+ * @param {string} props.children - Markdown source
+ * @param {string} [props.className] - Extra classes for the wrapper
+ */
+const Markdown = ({ children, className = '' }) => (
+  <div className={`space-y-2 break-words ${className}`}>{renderBlocks(children || '')}</div>
+);
+
+export default Markdown;
@@ -0,0 +1,68 @@
+import { render, screen } from '@testing-library/react';
+import Markdown from './Markdown';
+
+/**
+ * Render markdown and return the wrapper element
+ * @param {string} source - Markdown source
+ * @returns {HTMLElement} Wrapper element
+ */
+const renderMarkdown = (source) => render(<Markdown>{source}</Markdown>).container.firstChild;
+
+describe('links', () => {
+  test('links http, https and mailto URLs', () => {
+    renderMarkdown('See [the docs](https://example.com/docs) or [mail us](mailto:help@example.com)');
+    expect(screen.getByRole('link', { name: 'the docs' })).toHaveAttribute('href', 'https://example.com/docs');
+    expect(screen.getByRole('link', { name: 'mail us' })).toHaveAttribute('href', 'mailto:help@example.com');
+  });
+
+  test.each([
+    ['javascript:', '[click me](javascript:alert(1))'],
+    ['data:', '[click me](data:text/html;base64,PHNjcmlwdD4=)'],
+    ['upper-case javascript:', '[click me](JAVASCRIPT:alert(1))'],
+  ])('renders %s links as plain text', (_, source) => {
+    const wrapper = renderMarkdown(source);
+    expect(screen.queryByRole('link')).toBeNull();
+    expect(wrapper).toHaveTextContent(source);
+  });
+
+  test('links bare URLs without trailing punctuation', () => {
+    renderMarkdown('Read https://example.com/a?b=1.');
+    expect(screen.getByRole('link')).toHaveAttribute('href', 'https://example.com/a?b=1');
+  });
+});
+
+test('nests emphasis', () => {
+  const wrapper = renderMarkdown(
+    '**bold with *italic* and ~~struck~~ inside** and [**bold link**](https://example.com)'
+  );
+  expect(wrapper.querySelector('strong > em')).toHaveTextContent('italic');
+  expect(wrapper.querySelector('strong > del')).toHaveTextContent('struck');
+  expect(wrapper.querySelector('a > strong')).toHaveTextContent('bold link');
+});
+
+test('keeps markdown inside code as written', () => {
+  const code = '# not a heading\n- not a list\n[not](https://a.link)';
+  const wrapper = renderMarkdown(`Use \`**not bold**\` here\n\n\`\`\`\n${code}\n\`\`\`\nAfter`);
+  expect(wrapper.querySelector('p > code')).toHaveTextContent('**not bold**');
+  expect(wrapper.querySelector('pre code').textContent).toBe(code);
+  expect(wrapper.querySelectorAll('strong, ul, a')).toHaveLength(0);
+  expect(wrapper.lastChild).toHaveTextContent('After');
+});
+
+test('renders ordered and unordered lists', () => {
+  const wrapper = renderMarkdown('- milk\n* **eggs**\n\n1. first\n2) second\n3. third');
+  const [unordered, ordered] = wrapper.children;
+
+  expect(unordered.tagName).toBe('UL');
+  expect([...unordered.children].map(item => item.textContent)).toEqual(['milk', 'eggs']);
+  expect(unordered.querySelector('li strong')).toHaveTextContent('eggs');
+  expect(ordered.tagName).toBe('OL');
+  expect([...ordered.children].map(item => item.textContent)).toEqual(['first', 'second', 'third']);
+});
+
+test('escapes HTML in the input', () => {
+  const source = '<img src=x onerror="alert(1)"> <script>alert(2)</script> <b>bold?</b>';
+  const wrapper = renderMarkdown(source);
+  expect(wrapper.querySelectorAll('img, script, b')).toHaveLength(0);
+  expect(wrapper).toHaveTextContent(source);
+});
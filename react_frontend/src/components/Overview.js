@@ -0,0 +1,191 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { isNetworkError } from '../utils/api';
+import { TASK_STATUSES, formatDateTime } from '../utils/tasks';
+import { useAllTasks } from '../hooks/useTaskQuery';
+import { getTaskCounts, getWeeklyStats, getRecentActivity } from '../utils/taskStats';
+import DonutChart from './DonutChart';
+import LineChart from './LineChart';
+import BarChart from './BarChart';
+
+// Weeks covered by the charts, ending with the current one
+const CHART_WEEKS = 8;
+const RECENT_ACTIVITY_COUNT = 8;
+
+// Chart colors per status, matching the status badges
+const STATUS_CHART_CLASSES = {
+  pending: 'stroke-gray-500',
+  'in-progress': 'stroke-secondary',
+  completed: 'stroke-success',
+};
+
+const WEEKLY_SERIES = [
+  { key: 'created', label: 'Created', className: 'fill-secondary' },
+  { key: 'completed', label: 'Completed', className: 'fill-success' },
+];
+
+const ACTIVITY_VERBS = {
+  created: 'Created',
+  completed: 'Completed',
+  updated: 'Updated',
+};
+
+/**
+ * Short label for the week starting on a date, e.g. "Oct 18"
+ * @param {Date} date - First day of the week
+ * @returns {string} Week label
+ */
+const formatWeek = (date) => date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+/**
+ * Card with a headline number
+ * @param {Object} props - Component props
+ * @param {string} props.label - What the number counts
+ * @param {string|number} props.value - The number
+ * @param {string} [props.detail] - Extra line under the number
+ * @param {string} [props.valueClassName='text-textColor'] - Color of the number
+ */
+const StatCard = ({ label, value, detail, valueClassName = 'text-textColor' }) => (
+  <div className="bg-background border border-gray-600 rounded-lg p-4">
+    <p className="text-sm text-gray-400">{label}</p>
+    <p className={`text-3xl font-bold ${valueClassName}`}>{value}</p>
+    {detail && <p className="text-xs text-gray-400 mt-1">{detail}</p>}
+  </div>
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Overview section of the dashboard: task counts per status, overdue tasks,
+ * completion rate and tasks created vs completed per week, and recent
+ * activity, all worked out from the user's tasks
+ */
+const Overview = () => {
+  // Every task, kept in the cache between visits and shown from it offline
+  const { tasks: allTasks, loaded, fetching: loading, error, refetch } = useAllTasks();
+  const tasks = loaded ? allTasks : null;
+
+  const now = new Date();
+  const counts = tasks && getTaskCounts(tasks, now);
+  const weeks = tasks ? getWeeklyStats(tasks, CHART_WEEKS, now) : [];
+  const activity = tasks ? getRecentActivity(tasks, RECENT_ACTIVITY_COUNT) : [];
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold text-textColor">Overview</h2>
+        <button
+          type="button"
+          onClick={refetch}
+          disabled={loading}
+          className="px-3 py-2 border border-gray-600 rounded-lg text-sm text-textColor hover:bg-surface transition disabled:opacity-50"
+        >
+          {loading ? 'Loading…' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-error/10 border border-error rounded-lg text-error text-sm flex justify-between items-center">
+          <span>
+            {isNetworkError(error)
+              ? "You're offline. Statistics show once your tasks have been loaded online."
+              : error.response?.data?.message || 'Failed to load task statistics'}
+          </span>
+          <button onClick={refetch} className="font-semibold hover:underline">
+            Retry
+          </button>
+        </div>
+      )}
+
+      {!counts ? (
+        loading && <div className="text-center py-8 text-textColor">Loading statistics...</div>
+      ) : counts.total === 0 ? (
+        <div className="bg-surface rounded-lg shadow-xl p-6 text-center text-gray-400">
+          No tasks yet.{' '}
+          <Link to="/dashboard/tasks" className="text-secondary hover:text-primary">
+            Create your first task
+          </Link>{' '}
+          to see statistics here.
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <StatCard label="Total tasks" value={counts.total} />
+            <StatCard
+              label="Completed"
+              value={`${Math.round(counts.completionRate * 100)}%`}
+              detail={`${counts.byStatus.completed} of ${counts.total} tasks`}
+              valueClassName="text-success"
+            />
+            <StatCard
+              label="Overdue"
+              value={counts.overdue}
+              detail="Open tasks past their due date"
+              valueClassName={counts.overdue > 0 ? 'text-error' : 'text-textColor'}
+            />
+            <StatCard label="Due soon" value={counts.dueSoon} detail="Open tasks due in the next few days" />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <section className="bg-surface rounded-lg shadow-xl p-6">
+              <h3 className="text-lg font-semibold text-textColor mb-4">Tasks by status</h3>
+              <DonutChart
+                title={`Tasks by status: ${TASK_STATUSES.map(({ value, label }) => `${counts.byStatus[value]} ${label}`).join(', ')}`}
+                centerLabel={String(counts.total)}
+                segments={TASK_STATUSES.map(({ value, label }) => ({
+                  label,
+                  value: counts.byStatus[value],
+                  className: STATUS_CHART_CLASSES[value],
+                }))}
+              />
+            </section>
+
+            <section className="bg-surface rounded-lg shadow-xl p-6">
+              <h3 className="text-lg font-semibold text-textColor mb-4">Completion rate</h3>
+              <LineChart
+                title={`Share of tasks completed at the end of each of the last ${CHART_WEEKS} weeks`}
+                lineClassName="stroke-success"
+                pointClassName="fill-success"
+                points={weeks.map(week => ({ label: formatWeek(week.start), value: week.completionRate }))}
+              />
+            </section>
+
+            <section className="bg-surface rounded-lg shadow-xl p-6">
+              <h3 className="text-lg font-semibold text-textColor mb-4">Created vs completed per week</h3>
+              <BarChart
+                title={`Tasks created and completed in each of the last ${CHART_WEEKS} weeks`}
+                series={WEEKLY_SERIES}
+                data={weeks.map(week => ({
+                  label: formatWeek(week.start),
+                  values: { created: week.created, completed: week.completed },
+                }))}
+              />
+            </section>
+
+            <section className="bg-surface rounded-lg shadow-xl p-6">
+              <h3 className="text-lg font-semibold text-textColor mb-4">Recent activity</h3>
+              <ul className="space-y-3">
+                {activity.map(event => (
+                  <li key={event.id} className="flex justify-between items-baseline text-sm space-x-4">
+                    <span className="text-textColor min-w-0 truncate">
+                      <span className={event.type === 'completed' ? 'text-success' : 'text-gray-400'}>
+                        {ACTIVITY_VERBS[event.type]}
+                      </span>{' '}
+                      <Link to={`/dashboard/tasks/${event.taskId}`} className="hover:text-secondary">
+                        {event.title}
+                      </Link>
+                    </span>
+                    <time dateTime={event.at.toISOString()} className="text-xs text-gray-400 whitespace-nowrap">
+                      {formatDateTime(event.at)}
+                    </time>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Overview;
@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+
+export const PAGE_SIZE_OPTIONS = [10, 20, 50, 100];
+
+// PUBLIC_INTERFACE
+/**
+ * Pagination controls with page size selection, prev/next and jump-to-page
+ * @param {Object} props - Component props
+ * @param {number} props.page - Current page (1-based)
+ * @param {number} props.limit - Current page size
+ * @param {number} props.total - Total number of items across all pages
+ * @param {Function} props.onPageChange - Called with the new page number
+ * @param {Function} props.onLimitChange - Called with the new page size
+ * @param {boolean} [props.disabled] - Disable all controls
+ */
+const Pagination = ({ page, limit, total, onPageChange, onLimitChange, disabled = false }) => {
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+  const [jumpValue, setJumpValue] = useState(String(page));
+
+  useEffect(() => {
+    setJumpValue(String(page));
+  }, [page]);
+
+  const firstItem = total === 0 ? 0 : (page - 1) * limit + 1;
+  const lastItem = Math.min(page * limit, total);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Handle jump-to-page form submission
+   * @param {Event} e - Form submit event
+   */
+  const handleJump = (e) => {
+    e.preventDefault();
+    const target = parseInt(jumpValue, 10);
+    if (Number.isNaN(target)) {
+      setJumpValue(String(page));
+      return;
+    }
+    const clamped = Math.min(Math.max(target, 1), totalPages);
+    setJumpValue(String(clamped));
+    if (clamped !== page) {
+      onPageChange(clamped);
+    }
+  };
+
+  const buttonClass =
+    'bg-background border border-gray-600 text-textColor px-3 py-1 rounded text-sm transition hover:border-primary disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="mt-6 flex flex-col md:flex-row justify-between items-start md:items-center space-y-3 md:space-y-0 text-sm text-textColor">
+      <div className="flex items-center space-x-2">
+        <label htmlFor="pageSize" className="text-gray-400">
+          Per page
+        </label>
+        <select
+          id="pageSize"
+          value={limit}
+          onChange={(e) => onLimitChange(parseInt(e.target.value, 10))}
+          disabled={disabled}
+          className="px-2 py-1 bg-background border border-gray-600 rounded text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
+        >
+          {PAGE_SIZE_OPTIONS.map((size) => (
+            <option key={size} value={size}>
+              {size}
+            </option>
+          ))}
+        </select>
+        <span className="text-gray-400">
+          {firstItem}-{lastItem} of {total}
+        </span>
+      </div>
+
+      <div className="flex items-center space-x-2">
+        <button
+          type="button"
+          onClick={() => onPageChange(page - 1)}
+          disabled={disabled || page <= 1}
+          className={buttonClass}
+          aria-label="Previous page"
+        >
+          Prev
+        </button>
+        <form onSubmit={handleJump} className="flex items-center space-x-2">
+          <label htmlFor="jumpToPage" className="text-gray-400">
+            Page
+          </label>
+          <input
+            type="number"
+            id="jumpToPage"
+            min="1"
+            max={totalPages}
+            value={jumpValue}
+            onChange={(e) => setJumpValue(e.target.value)}
+            onBlur={handleJump}
+            disabled={disabled}
+            className="w-16 px-2 py-1 bg-background border border-gray-600 rounded text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+          <span className="text-gray-400">of {totalPages}</span>
+        </form>
+        <button
+          type="button"
+          onClick={() => onPageChange(page + 1)}
+          disabled={disabled || page >= totalPages}
+          className={buttonClass}
+          aria-label="Next page"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Pagination;
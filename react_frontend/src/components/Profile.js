@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
 import { profileAPI } from '../utils/api';
+import CalendarFeed from './CalendarFeed';
 
 // PUBLIC_INTERFACE
 /**
@@ -8,6 +10,7 @@ import { profileAPI } from '../utils/api';
  */
 const Profile = () => {
   const { user, updateUser } = useAuth();
+  const { showToast } = useToast();
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
@@ -16,7 +19,6 @@ const Profile = () => {
   });
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
-  const [message, setMessage] = useState({ type: '', text: '' });
 
   useEffect(() => {
     if (user) {
@@ -74,7 +76,6 @@ const Profile = () => {
    */
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setMessage({ type: '', text: '' });
 
     if (!validate()) {
       return;
@@ -97,11 +98,11 @@ const Profile = () => {
       updateUser(response.data.user);
       setIsEditing(false);
       setFormData(prev => ({ ...prev, password: '' }));
-      setMessage({ type: 'success', text: 'Profile updated successfully!' });
+      showToast({ type: 'success', message: 'Profile updated successfully!' });
     } catch (error) {
-      setMessage({
+      showToast({
         type: 'error',
-        text: error.response?.data?.message || 'Failed to update profile',
+        message: error.response?.data?.message || 'Failed to update profile',
       });
     } finally {
       setLoading(false);
@@ -120,11 +121,10 @@ const Profile = () => {
       password: '',
     });
     setErrors({});
-    setMessage({ type: '', text: '' });
   };
 
   return (
-    <div className="max-w-2xl mx-auto">
+    <div className="max-w-2xl mx-auto space-y-6">
       <div className="bg-surface rounded-lg shadow-xl p-6">
         <div className="flex justify-between items-center mb-6">
           <h2 className="text-2xl font-bold text-textColor">Profile</h2>
@@ -138,18 +138,6 @@ const Profile = () => {
           )}
         </div>
 
-        {message.text && (
-          <div
-            className={`mb-4 p-3 rounded-lg text-sm ${
-              message.type === 'success'
-                ? 'bg-success/10 border border-success text-success'
-                : 'bg-error/10 border border-error text-error'
-            }`}
-          >
-            {message.text}
-          </div>
-        )}
-
         {isEditing ? (
           <form onSubmit={handleSubmit} className="space-y-4">
             <div>
@@ -244,6 +232,7 @@ const Profile = () => {
           </div>
         )}
       </div>
+      <CalendarFeed />
     </div>
   );
 };
@@ -0,0 +1,209 @@
+import React from 'react';
+import { formatDueDate } from '../utils/tasks';
+import {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAY_LABELS,
+  MAX_RECURRENCE_INTERVAL,
+  MAX_RECURRENCE_COUNT,
+  createRecurrence,
+  validateRecurrence,
+  getUpcomingDueDates,
+} from '../utils/recurrence';
+
+// Occurrences listed in the preview, including the current one
+const PREVIEW_COUNT = 5;
+
+const inputClassName =
+  'px-3 py-1 bg-background border border-gray-600 rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary';
+
+/**
+ * Read a number input, keeping an empty input empty rather than zero
+ * @param {Event} e - Input change event
+ * @returns {number|null} Entered number, or null when cleared
+ */
+const readNumber = (e) => (e.target.value === '' ? null : Number(e.target.value));
+
+// PUBLIC_INTERFACE
+/**
+ * Repeat settings for the task form: frequency, interval, weekdays or day of
+ * the month, when the rule ends, and a preview of the next due dates
+ * @param {Object} props - Component props
+ * @param {Object|null} props.value - Recurrence rule, or null when the task doesn't repeat
+ * @param {string} props.dueDate - Due date the rule repeats from
+ * @param {Function} props.onChange - Called with the updated rule, or null to stop repeating
+ * @param {string} [props.error] - Validation message to show under the settings
+ */
+const RecurrenceEditor = ({ value, dueDate, onChange, error }) => {
+  const frequency = RECURRENCE_FREQUENCIES.find(option => option.value === value?.frequency);
+  const preview = value && !validateRecurrence(value, dueDate) ? getUpcomingDueDates(value, dueDate, PREVIEW_COUNT) : [];
+
+  // PUBLIC_INTERFACE
+  /**
+   * Update part of the rule
+   * @param {Object} changes - Fields to change
+   */
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  // PUBLIC_INTERFACE
+  /**
+   * Switch frequency, starting a fresh rule from the due date
+   * @param {Event} e - Select change event
+   */
+  const handleFrequencyChange = (e) => {
+    onChange(e.target.value ? createRecurrence(e.target.value, dueDate) : null);
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Add or remove a weekday from a weekly rule
+   * @param {number} day - Weekday index, Sunday first
+   */
+  const toggleWeekday = (day) => {
+    const weekdays = value.weekdays.includes(day)
+      ? value.weekdays.filter(d => d !== day)
+      : [...value.weekdays, day].sort((a, b) => a - b);
+    update({ weekdays });
+  };
+
+  return (
+    <fieldset className="space-y-3">
+      <legend className="block text-textColor text-sm font-medium mb-2">Repeat</legend>
+      <select
+        value={value?.frequency || ''}
+        onChange={handleFrequencyChange}
+        aria-label="Repeat"
+        className={`w-full ${inputClassName} py-2`}
+      >
+        <option value="">Does not repeat</option>
+        {RECURRENCE_FREQUENCIES.map(option => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+
+      {frequency && (
+        <>
+          <label className="flex items-center space-x-2 text-sm text-textColor">
+            <span>Every</span>
+            <input
+              type="number"
+              min={1}
+              max={MAX_RECURRENCE_INTERVAL}
+              value={value.interval ?? ''}
+              onChange={(e) => update({ interval: readNumber(e) })}
+              className={`w-20 ${inputClassName}`}
+            />
+            <span>{value.interval === 1 ? frequency.unit : `${frequency.unit}s`}</span>
+          </label>
+
+          {value.frequency === 'weekly' && (
+            <div role="group" aria-label="Repeat on" className="flex flex-wrap gap-1">
+              {WEEKDAY_LABELS.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  onClick={() => toggleWeekday(day)}
+                  aria-pressed={value.weekdays.includes(day)}
+                  className={`px-2 py-1 rounded text-xs transition ${
+                    value.weekdays.includes(day)
+                      ? 'bg-primary text-white'
+                      : 'border border-gray-600 text-textColor hover:bg-background'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {value.frequency === 'monthly' && (
+            <label className="flex items-center space-x-2 text-sm text-textColor">
+              <span>On day</span>
+              <input
+                type="number"
+                min={1}
+                max={31}
+                value={value.monthDay ?? ''}
+                onChange={(e) => update({ monthDay: readNumber(e) })}
+                className={`w-20 ${inputClassName}`}
+              />
+              <span className="text-xs text-gray-400">(the last day in shorter months)</span>
+            </label>
+          )}
+
+          <div role="radiogroup" aria-label="Ends" className="space-y-2 text-sm text-textColor">
+            <label className="flex items-center">
+              <input
+                type="radio"
+                name="recurrence-ends"
+                checked={value.ends === 'never'}
+                onChange={() => update({ ends: 'never' })}
+                className="mr-2 h-4 w-4 accent-secondary"
+              />
+              Never ends
+            </label>
+            <label className="flex items-center space-x-2">
+              <input
+                type="radio"
+                name="recurrence-ends"
+                checked={value.ends === 'on'}
+                onChange={() => update({ ends: 'on' })}
+                className="h-4 w-4 accent-secondary"
+              />
+              <span>Ends on</span>
+              <input
+                type="date"
+                value={value.until}
+                min={dueDate || undefined}
+                onChange={(e) => update({ ends: 'on', until: e.target.value })}
+                aria-label="End date"
+                className={inputClassName}
+              />
+            </label>
+            <label className="flex items-center space-x-2">
+              <input
+                type="radio"
+                name="recurrence-ends"
+                checked={value.ends === 'after'}
+                onChange={() => update({ ends: 'after', count: value.count ?? 10 })}
+                className="h-4 w-4 accent-secondary"
+              />
+              <span>Ends after</span>
+              <input
+                type="number"
+                min={1}
+                max={MAX_RECURRENCE_COUNT}
+                value={value.count ?? ''}
+                onChange={(e) => update({ ends: 'after', count: readNumber(e) })}
+                aria-label="Number of occurrences"
+                className={`w-20 ${inputClassName}`}
+              />
+              <span>occurrences</span>
+            </label>
+          </div>
+
+          {preview.length > 0 && (
+            <div className="text-xs text-gray-400">
+              <p className="mb-1">Next due dates:</p>
+              <ol className="flex flex-wrap gap-x-3">
+                {preview.map((date, index) => (
+                  <li key={date} className={index === 0 ? 'text-textColor' : ''}>
+                    {formatDueDate(date)}
+                    {index === 0 && ' (this task)'}
+                  </li>
+                ))}
+              </ol>
+              {preview.length < PREVIEW_COUNT && <p className="mt-1">Then the task stops repeating.</p>}
+              <p className="mt-1">Completing the task creates the next one.</p>
+            </div>
+          )}
+        </>
+      )}
+
+      {error && <p className="text-error text-sm">{error}</p>}
+    </fieldset>
+  );
+};
+
+export default RecurrenceEditor;
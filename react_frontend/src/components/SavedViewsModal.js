@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import useSavedViews from '../hooks/useSavedViews';
+import { MAX_VIEW_NAME_LENGTH } from '../utils/savedViews';
+
+/**
+ * One saved view with its rename, reorder, default and delete controls
+ * @param {Object} props - Component props
+ * @param {Object} props.view - Saved view
+ * @param {number} props.index - Position in the list
+ * @param {number} props.count - Number of saved views
+ * @param {boolean} props.isDefault - Whether this is the default view
+ * @param {Object} props.actions - Bound actions from useSavedViews
+ */
+const SavedViewRow = ({ view, index, count, isDefault, actions }) => {
+  const [name, setName] = useState(view.name);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Save the new name, or restore the old one if it was cleared
+   */
+  const commitName = () => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setName(view.name);
+    } else if (trimmed !== view.name) {
+      actions.renameView(view.id, trimmed);
+    }
+  };
+
+  return (
+    <li className="flex items-center space-x-2 py-2 border-t border-gray-600 first:border-t-0">
+      <input
+        type="radio"
+        name="default-view"
+        checked={isDefault}
+        onChange={() => actions.setDefaultView(view.id)}
+        aria-label={`Open Tasks with "${view.name}" by default`}
+        className="h-4 w-4 accent-secondary"
+      />
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={commitName}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.currentTarget.blur();
+          }
+        }}
+        maxLength={MAX_VIEW_NAME_LENGTH}
+        aria-label={`Name of view ${index + 1}`}
+        className="flex-1 min-w-0 px-3 py-1 bg-background border border-gray-600 rounded-lg text-sm text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
+      />
+      <button
+        type="button"
+        onClick={() => actions.moveView(view.id, -1)}
+        disabled={index === 0}
+        aria-label={`Move "${view.name}" up`}
+        className="text-gray-400 hover:text-textColor disabled:opacity-30"
+      >
+        ↑
+      </button>
+      <button
+        type="button"
+        onClick={() => actions.moveView(view.id, 1)}
+        disabled={index === count - 1}
+        aria-label={`Move "${view.name}" down`}
+        className="text-gray-400 hover:text-textColor disabled:opacity-30"
+      >
+        ↓
+      </button>
+      <button
+        type="button"
+        onClick={() => {
+          if (window.confirm(`Delete the saved view "${view.name}"?`)) {
+            actions.deleteView(view.id);
+          }
+        }}
+        aria-label={`Delete "${view.name}"`}
+        className="text-gray-400 hover:text-error"
+      >
+        ✕
+      </button>
+    </li>
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Modal for managing saved task views: rename, reorder, delete and pick the
+ * default view Tasks opens with
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ */
+const SavedViewsModal = ({ onClose }) => {
+  const { views, defaultView, ...actions } = useSavedViews();
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="saved-views-title"
+        className="bg-surface rounded-lg shadow-xl p-6 max-w-md w-full max-h-full overflow-y-auto"
+      >
+        <h3 id="saved-views-title" className="text-xl font-bold text-textColor mb-1">
+          Saved Views
+        </h3>
+        <p className="text-sm text-gray-400 mb-4">The selected view opens when you go to Tasks.</p>
+
+        {views.length === 0 ? (
+          <p className="text-sm text-gray-400 mb-4">
+            No saved views yet. Filter the task list and choose "Save view".
+          </p>
+        ) : (
+          <>
+            <ul className="mb-2">
+              {views.map((view, index) => (
+                <SavedViewRow
+                  key={view.id}
+                  view={view}
+                  index={index}
+                  count={views.length}
+                  isDefault={defaultView?.id === view.id}
+                  actions={actions}
+                />
+              ))}
+            </ul>
+            <label className="flex items-center space-x-2 py-2 mb-4 text-sm text-textColor">
+              <input
+                type="radio"
+                name="default-view"
+                checked={!defaultView}
+                onChange={() => actions.setDefaultView(null)}
+                className="h-4 w-4 accent-secondary"
+              />
+              <span>No default: open Tasks without filters</span>
+            </label>
+          </>
+        )}
+
+        <button
+          type="button"
+          onClick={onClose}
+          className="w-full bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-lg transition"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SavedViewsModal;
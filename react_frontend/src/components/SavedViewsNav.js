@@ -0,0 +1,63 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import useSavedViews from '../hooks/useSavedViews';
+import { parseTaskFilters, toFilterQuery } from '../utils/taskFilters';
+
+// PUBLIC_INTERFACE
+/**
+ * Saved task views listed in the sidebar under Tasks, with a link to manage them
+ * @param {Object} props - Component props
+ * @param {Function} [props.onNavigate] - Called when a view is opened, e.g. to close the mobile sidebar
+ * @param {Function} props.onManage - Opens the saved views manager
+ */
+const SavedViewsNav = ({ onNavigate, onManage }) => {
+  const location = useLocation();
+  const { views, defaultView } = useSavedViews();
+
+  if (views.length === 0) {
+    return null;
+  }
+
+  const currentQuery =
+    location.pathname === '/dashboard/tasks'
+      ? toFilterQuery(parseTaskFilters(new URLSearchParams(location.search)))
+      : null;
+
+  return (
+    <ul aria-label="Saved views" className="pl-8 space-y-1">
+      {views.map(view => {
+        const isActive = currentQuery === view.query;
+        return (
+          <li key={view.id}>
+            <Link
+              to={`/dashboard/tasks?${view.query}`}
+              onClick={onNavigate}
+              aria-current={isActive ? 'page' : undefined}
+              className={`flex items-center justify-between px-3 py-2 rounded-lg text-sm transition ${
+                isActive ? 'bg-background text-secondary' : 'text-textColor hover:bg-background'
+              }`}
+            >
+              <span className="truncate">{view.name}</span>
+              {defaultView?.id === view.id && (
+                <span className="ml-2 text-xs text-gray-400" title="Default view">
+                  ★<span className="sr-only"> (default)</span>
+                </span>
+              )}
+            </Link>
+          </li>
+        );
+      })}
+      <li>
+        <button
+          type="button"
+          onClick={onManage}
+          className="px-3 py-1 text-xs text-gray-400 hover:text-textColor"
+        >
+          Manage views
+        </button>
+      </li>
+    </ul>
+  );
+};
+
+export default SavedViewsNav;
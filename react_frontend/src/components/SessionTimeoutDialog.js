@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * Format a number of seconds as m:ss
+ * @param {number} seconds - Seconds remaining
+ * @returns {string} Formatted countdown
+ */
+const formatCountdown = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Dialog warning the user that their session is about to end, with a live countdown
+ * @param {Object} props - Component props
+ * @param {string} props.reason - Why the session is ending ('expiry' or 'idle')
+ * @param {number} props.deadline - Millisecond timestamp at which the user is logged out
+ * @param {Function} [props.onStay] - Keep the session alive; omitted when it cannot be extended
+ * @param {Function} props.onLogout - Log out immediately
+ */
+const SessionTimeoutDialog = ({ reason, deadline, onStay, onLogout }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const secondsLeft = Math.max(0, Math.ceil((deadline - now) / 1000));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="session-timeout-title"
+        aria-describedby="session-timeout-description"
+        className="bg-surface rounded-lg shadow-xl p-6 max-w-md w-full"
+      >
+        <h3 id="session-timeout-title" className="text-xl font-bold text-textColor mb-2">
+          {reason === 'idle' ? 'Are you still there?' : 'Your session is expiring'}
+        </h3>
+        <p id="session-timeout-description" className="text-gray-400 text-sm mb-4">
+          {reason === 'idle'
+            ? 'You have been inactive for a while. For your security you will be logged out in'
+            : 'Your session will end and you will need to log in again in'}{' '}
+          <span className="font-mono font-semibold text-textColor" aria-live="polite">
+            {formatCountdown(secondsLeft)}
+          </span>
+          .
+        </p>
+        <div className="flex space-x-3">
+          {onStay && (
+            <button
+              type="button"
+              onClick={onStay}
+              autoFocus
+              className="flex-1 bg-primary hover:bg-secondary text-white font-semibold py-2 px-4 rounded-lg transition"
+            >
+              Stay signed in
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onLogout}
+            autoFocus={!onStay}
+            className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-lg transition"
+          >
+            Log out now
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionTimeoutDialog;
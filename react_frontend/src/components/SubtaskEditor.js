@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+
+let nextSubtaskKey = 1;
+
+// PUBLIC_INTERFACE
+/**
+ * Give checklist items a stable React key for editing; new items have no ID yet
+ * @param {Array} [subtasks=[]] - Checklist items from a task
+ * @returns {Array} Items with a `key` added
+ */
+export const withSubtaskKeys = (subtasks = []) =>
+  subtasks.map(subtask => ({ ...subtask, key: subtask._id || subtask.id || `new-${nextSubtaskKey++}` }));
+
+// PUBLIC_INTERFACE
+/**
+ * Strip the editing keys from checklist items before saving them
+ * @param {Array} subtasks - Checklist items from the editor
+ * @returns {Array} Items as sent to the API
+ */
+export const withoutSubtaskKeys = (subtasks) =>
+  subtasks.map(subtask => {
+    const item = { ...subtask, title: subtask.title.trim(), completed: Boolean(subtask.completed) };
+    delete item.key;
+    return item;
+  });
+
+// PUBLIC_INTERFACE
+/**
+ * Checklist editor for the task form: add, rename, reorder, check off and delete items
+ * @param {Object} props - Component props
+ * @param {Array} props.subtasks - Items with keys from withSubtaskKeys
+ * @param {Function} props.onChange - Called with the updated items
+ * @param {string} [props.error] - Validation message to show under the list
+ */
+const SubtaskEditor = ({ subtasks, onChange, error }) => {
+  const [newTitle, setNewTitle] = useState('');
+
+  // PUBLIC_INTERFACE
+  /**
+   * Append the typed item to the checklist
+   */
+  const handleAdd = () => {
+    if (!newTitle.trim()) {
+      return;
+    }
+    onChange([...subtasks, ...withSubtaskKeys([{ title: newTitle.trim(), completed: false }])]);
+    setNewTitle('');
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Update one item
+   * @param {number} index - Item position
+   * @param {Object} changes - Fields to change
+   */
+  const updateItem = (index, changes) => {
+    onChange(subtasks.map((subtask, i) => (i === index ? { ...subtask, ...changes } : subtask)));
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Swap an item with its neighbour
+   * @param {number} index - Item position
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  const moveItem = (index, offset) => {
+    const reordered = [...subtasks];
+    [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+    onChange(reordered);
+  };
+
+  return (
+    <fieldset>
+      <legend className="block text-textColor text-sm font-medium mb-2">Checklist (optional)</legend>
+      {subtasks.length > 0 && (
+        <ul className="space-y-2 mb-2">
+          {subtasks.map((subtask, index) => (
+            <li key={subtask.key} className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={Boolean(subtask.completed)}
+                onChange={(e) => updateItem(index, { completed: e.target.checked })}
+                aria-label={`Mark "${subtask.title}" as done`}
+                className="h-4 w-4 accent-secondary"
+              />
+              <input
+                type="text"
+                value={subtask.title}
+                onChange={(e) => updateItem(index, { title: e.target.value })}
+                aria-label={`Checklist item ${index + 1}`}
+                className={`flex-1 min-w-0 px-3 py-1 bg-background border ${
+                  subtask.title.trim() ? 'border-gray-600' : 'border-error'
+                } rounded-lg text-sm text-textColor focus:outline-none focus:ring-2 focus:ring-primary ${
+                  subtask.completed ? 'line-through text-gray-400' : ''
+                }`}
+              />
+              <button
+                type="button"
+                onClick={() => moveItem(index, -1)}
+                disabled={index === 0}
+                aria-label={`Move "${subtask.title}" up`}
+                className="text-gray-400 hover:text-textColor disabled:opacity-30"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => moveItem(index, 1)}
+                disabled={index === subtasks.length - 1}
+                aria-label={`Move "${subtask.title}" down`}
+                className="text-gray-400 hover:text-textColor disabled:opacity-30"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                onClick={() => onChange(subtasks.filter((_, i) => i !== index))}
+                aria-label={`Delete "${subtask.title}"`}
+                className="text-gray-400 hover:text-error"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          onKeyDown={(e) => {
+            // Enter adds the item instead of submitting the task form
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleAdd();
+            }
+          }}
+          aria-label="New checklist item"
+          placeholder="Add an item"
+          className="flex-1 min-w-0 px-3 py-1 bg-background border border-gray-600 rounded-lg text-sm text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
+        />
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={!newTitle.trim()}
+          className="bg-secondary hover:bg-primary text-white px-3 py-1 rounded-lg text-sm transition disabled:opacity-50"
+        >
+          Add
+        </button>
+      </div>
+      {error && <p className="mt-1 text-error text-sm">{error}</p>}
+    </fieldset>
+  );
+};
+
+export default SubtaskEditor;
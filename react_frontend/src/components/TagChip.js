@@ -0,0 +1,37 @@
+import React from 'react';
+import { getTagColorClasses } from '../utils/tagStore';
+import useTags from '../hooks/useTags';
+
+// PUBLIC_INTERFACE
+/**
+ * Colored chip showing a tag name, with an optional remove button
+ * @param {Object} props - Component props
+ * @param {string} props.name - Tag name
+ * @param {Function} [props.onRemove] - Called when the remove button is clicked; no button without it
+ */
+const TagChip = ({ name, onRemove }) => {
+  // Re-render when tag colors change
+  useTags();
+
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full border text-xs font-medium ${getTagColorClasses(
+        name
+      )}`}
+    >
+      #{name}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={onRemove}
+          aria-label={`Remove tag ${name}`}
+          className="ml-1 opacity-70 hover:opacity-100"
+        >
+          ✕
+        </button>
+      )}
+    </span>
+  );
+};
+
+export default TagChip;
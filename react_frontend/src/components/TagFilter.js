@@ -0,0 +1,96 @@
+import React from 'react';
+import useTags from '../hooks/useTags';
+import { TAG_MATCH_MODES } from '../utils/taskFilters';
+import TagChip from './TagChip';
+
+// PUBLIC_INTERFACE
+/**
+ * Multi-select tag filter for the task list, matching tasks with any (OR) or
+ * all (AND) of the selected tags
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.value - Selected tag names
+ * @param {string} props.mode - 'any' or 'all'
+ * @param {Function} props.onChange - Called with { tags, tagMode } when the selection or mode changes
+ * @param {Function} props.onManage - Opens the tag manager
+ */
+const TagFilter = ({ value, mode, onChange, onManage }) => {
+  const { tags, loading, error } = useTags();
+
+  // PUBLIC_INTERFACE
+  /**
+   * Add or remove a tag from the filter
+   * @param {string} name - Tag name
+   */
+  const toggleTag = (name) => {
+    onChange({
+      tags: value.includes(name) ? value.filter(tag => tag !== name) : [...value, name],
+      tagMode: mode,
+    });
+  };
+
+  return (
+    <details className="relative">
+      <summary className="list-none cursor-pointer px-4 py-2 bg-background border border-gray-600 rounded-lg text-textColor whitespace-nowrap focus:outline-none focus:ring-2 focus:ring-primary">
+        {value.length === 0 ? 'All Tags' : `Tags (${value.length})`} ▾
+      </summary>
+      <div className="absolute right-0 z-20 mt-1 w-64 bg-surface border border-gray-600 rounded-lg shadow-xl p-3 space-y-3">
+        <div role="radiogroup" aria-label="Match tasks with" className="flex rounded-lg border border-gray-600 overflow-hidden text-xs">
+          {TAG_MATCH_MODES.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              role="radio"
+              aria-checked={mode === option.value}
+              onClick={() => onChange({ tags: value, tagMode: option.value })}
+              className={`flex-1 px-2 py-1 transition ${
+                mode === option.value ? 'bg-primary text-white' : 'text-textColor hover:bg-background'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {loading && tags.length === 0 ? (
+          <p className="text-sm text-gray-400">Loading tags...</p>
+        ) : tags.length === 0 ? (
+          <p className="text-sm text-gray-400">
+            {error ? 'Tags could not be loaded.' : 'No tags yet. Add some to a task first.'}
+          </p>
+        ) : (
+          <ul className="max-h-56 overflow-y-auto space-y-1">
+            {tags.map(tag => (
+              <li key={tag.name}>
+                <label className="flex items-center text-sm">
+                  <input
+                    type="checkbox"
+                    checked={value.includes(tag.name)}
+                    onChange={() => toggleTag(tag.name)}
+                    className="mr-2 h-4 w-4 accent-secondary"
+                  />
+                  <TagChip name={tag.name} />
+                  {tag.count !== undefined && <span className="ml-auto text-xs text-gray-400">{tag.count}</span>}
+                </label>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex justify-between text-sm">
+          {value.length > 0 ? (
+            <button type="button" onClick={() => onChange({ tags: [], tagMode: mode })} className="text-secondary hover:text-primary">
+              Clear
+            </button>
+          ) : (
+            <span />
+          )}
+          <button type="button" onClick={onManage} className="text-secondary hover:text-primary">
+            Manage tags
+          </button>
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default TagFilter;
@@ -0,0 +1,144 @@
+import React, { useState, useId } from 'react';
+import { normalizeTagName } from '../utils/tagStore';
+import { MAX_TAG_LENGTH } from '../utils/tasks';
+import useTags from '../hooks/useTags';
+import TagChip from './TagChip';
+
+// Most suggestions listed under the input at once
+const MAX_SUGGESTIONS = 8;
+
+// PUBLIC_INTERFACE
+/**
+ * Free-form tag entry with autocomplete from the tags already in use. Enter or
+ * a comma adds the typed tag, Backspace on an empty input removes the last one.
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.value - Selected tag names
+ * @param {Function} props.onChange - Called with the new tag names
+ * @param {string} [props.error] - Validation message to show under the input
+ */
+const TagInput = ({ value, onChange, error }) => {
+  const { tags } = useTags();
+  const [text, setText] = useState('');
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const listId = useId();
+
+  const query = normalizeTagName(text).toLowerCase();
+  const suggestions = tags
+    .map(tag => tag.name)
+    .filter(name => !value.some(selected => selected.toLowerCase() === name.toLowerCase()))
+    .filter(name => name.toLowerCase().includes(query))
+    .slice(0, MAX_SUGGESTIONS);
+  const showSuggestions = open && suggestions.length > 0;
+
+  // PUBLIC_INTERFACE
+  /**
+   * Add a tag unless it is empty or already selected; an existing tag's spelling wins
+   * @param {string} name - Tag name
+   */
+  const addTag = (name) => {
+    const normalized = normalizeTagName(name).slice(0, MAX_TAG_LENGTH);
+    setText('');
+    setHighlighted(-1);
+    if (!normalized || value.some(selected => selected.toLowerCase() === normalized.toLowerCase())) {
+      return;
+    }
+    const existing = tags.find(tag => tag.name.toLowerCase() === normalized.toLowerCase());
+    onChange([...value, existing ? existing.name : normalized]);
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Keyboard handling for adding tags and moving through suggestions
+   * @param {KeyboardEvent} e - Key down event
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setOpen(true);
+      const last = suggestions.length - 1;
+      setHighlighted(prev =>
+        e.key === 'ArrowDown' ? (prev >= last ? 0 : prev + 1) : (prev <= 0 ? last : prev - 1)
+      );
+    } else if (e.key === 'Enter' || e.key === ',') {
+      // Enter adds the tag instead of submitting the task form
+      e.preventDefault();
+      addTag(showSuggestions && highlighted >= 0 ? suggestions[highlighted] : text);
+    } else if (e.key === 'Escape' && showSuggestions) {
+      e.stopPropagation();
+      setOpen(false);
+    } else if (e.key === 'Backspace' && !text && value.length > 0) {
+      onChange(value.slice(0, -1));
+    }
+  };
+
+  return (
+    <div>
+      <label htmlFor={`${listId}-input`} className="block text-textColor text-sm font-medium mb-2">
+        Tags (optional)
+      </label>
+      <div className="relative">
+        <div className="flex flex-wrap items-center gap-2 px-3 py-2 bg-background border border-gray-600 rounded-lg focus-within:ring-2 focus-within:ring-primary">
+          {value.map(name => (
+            <TagChip key={name} name={name} onRemove={() => onChange(value.filter(tag => tag !== name))} />
+          ))}
+          <input
+            id={`${listId}-input`}
+            type="text"
+            role="combobox"
+            aria-expanded={showSuggestions}
+            aria-controls={listId}
+            aria-autocomplete="list"
+            aria-activedescendant={showSuggestions && highlighted >= 0 ? `${listId}-${highlighted}` : undefined}
+            value={text}
+            maxLength={MAX_TAG_LENGTH}
+            onChange={(e) => {
+              setText(e.target.value);
+              setOpen(true);
+              setHighlighted(-1);
+            }}
+            onKeyDown={handleKeyDown}
+            onFocus={() => setOpen(true)}
+            onBlur={() => {
+              setOpen(false);
+              if (text.trim()) {
+                addTag(text);
+              }
+            }}
+            placeholder={value.length === 0 ? 'Add tags' : ''}
+            className="flex-1 min-w-[6rem] bg-transparent text-sm text-textColor focus:outline-none"
+          />
+        </div>
+        {showSuggestions && (
+          <ul
+            id={listId}
+            role="listbox"
+            className="absolute z-10 mt-1 w-full bg-surface border border-gray-600 rounded-lg shadow-xl py-1 max-h-48 overflow-y-auto"
+          >
+            {suggestions.map((name, index) => (
+              <li
+                key={name}
+                id={`${listId}-${index}`}
+                role="option"
+                aria-selected={index === highlighted}
+                // mousedown fires before the input's blur, which would close the list first
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  addTag(name);
+                }}
+                className={`px-3 py-1 cursor-pointer text-sm ${
+                  index === highlighted ? 'bg-background' : 'hover:bg-background'
+                }`}
+              >
+                <TagChip name={name} />
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {error && <p className="mt-1 text-error text-sm">{error}</p>}
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,229 @@
+import React, { useState } from 'react';
+import {
+  TAG_COLORS,
+  normalizeTagName,
+  loadTags,
+  renameTag,
+  recolorTag,
+  mergeTags,
+  deleteTag,
+} from '../utils/tagStore';
+import { MAX_TAG_LENGTH } from '../utils/tasks';
+import useTags from '../hooks/useTags';
+import { useToast } from '../contexts/ToastContext';
+import TagChip from './TagChip';
+
+/**
+ * One tag in the manager with its rename, color, merge and delete controls
+ * @param {Object} props - Component props
+ * @param {Object} props.tag - Tag ({ name, color, count })
+ * @param {Array} props.tags - All tags, for merge targets and name clashes
+ * @param {Function} props.onChange - Called with { from, to } after the tag is renamed, merged (to is the
+ *   remaining tag) or deleted (to is null)
+ */
+const TagManagerRow = ({ tag, tags, onChange }) => {
+  const { showToast } = useToast();
+  const [name, setName] = useState(tag.name);
+  const [busy, setBusy] = useState(false);
+
+  const newName = normalizeTagName(name);
+  const clash = tags.find(other => other !== tag && other.name.toLowerCase() === newName.toLowerCase());
+  const canRename = Boolean(newName) && newName !== tag.name && !clash;
+
+  /**
+   * Run a tag change, reporting failures as a toast
+   * @param {Function} action - Async change
+   * @param {string} failure - Message shown if it fails
+   */
+  const run = async (action, failure) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      showToast({ type: 'error', message: error.response?.data?.message || failure });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Save the new name
+   * @param {Event} e - Form submit event
+   */
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (!canRename) {
+      return;
+    }
+    run(async () => {
+      await renameTag(tag.name, newName);
+      onChange({ from: tag.name, to: newName });
+    }, `Failed to rename #${tag.name}`);
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Save the chosen color
+   * @param {Event} e - Select change event
+   */
+  const handleRecolor = (e) => {
+    const color = e.target.value;
+    run(() => recolorTag(tag.name, color), `Failed to recolor #${tag.name}`);
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Merge this tag into the chosen one after confirmation
+   * @param {Event} e - Select change event
+   */
+  const handleMerge = (e) => {
+    const into = e.target.value;
+    if (!into || !window.confirm(`Merge #${tag.name} into #${into}? Tasks tagged #${tag.name} will be tagged #${into} instead.`)) {
+      return;
+    }
+    run(async () => {
+      await mergeTags(tag.name, into);
+      onChange({ from: tag.name, to: into });
+    }, `Failed to merge #${tag.name}`);
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Delete the tag from every task after confirmation
+   */
+  const handleDelete = () => {
+    if (!window.confirm(`Delete #${tag.name}? It will be removed from every task.`)) {
+      return;
+    }
+    run(async () => {
+      await deleteTag(tag.name);
+      onChange({ from: tag.name, to: null });
+    }, `Failed to delete #${tag.name}`);
+  };
+
+  return (
+    <li className="py-3 border-t border-gray-600 first:border-t-0">
+      <fieldset disabled={busy} className="space-y-2">
+        <div className="flex items-center justify-between">
+          <TagChip name={tag.name} />
+          {tag.count !== undefined && (
+            <span className="text-xs text-gray-400">
+              {tag.count} {tag.count === 1 ? 'task' : 'tasks'}
+            </span>
+          )}
+        </div>
+        <form onSubmit={handleRename} className="flex space-x-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={MAX_TAG_LENGTH}
+            aria-label={`New name for #${tag.name}`}
+            className="flex-1 min-w-0 px-3 py-1 bg-background border border-gray-600 rounded-lg text-sm text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+          <button
+            type="submit"
+            disabled={!canRename}
+            className="bg-secondary hover:bg-primary text-white px-3 py-1 rounded-lg text-sm transition disabled:opacity-50"
+          >
+            Rename
+          </button>
+        </form>
+        {clash && <p className="text-xs text-gray-400">#{clash.name} already exists. Merge into it instead.</p>}
+        <div className="flex flex-wrap gap-2 text-sm">
+          <select
+            value={tag.color || ''}
+            onChange={handleRecolor}
+            aria-label={`Color for #${tag.name}`}
+            className="px-2 py-1 bg-background border border-gray-600 rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
+          >
+            {!tag.color && <option value="">Automatic color</option>}
+            {TAG_COLORS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value=""
+            onChange={handleMerge}
+            aria-label={`Merge #${tag.name} into another tag`}
+            disabled={tags.length < 2}
+            className="flex-1 px-2 py-1 bg-background border border-gray-600 rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary disabled:opacity-50"
+          >
+            <option value="">Merge into…</option>
+            {tags.filter(other => other !== tag).map(other => (
+              <option key={other.name} value={other.name}>
+                {other.name}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={handleDelete}
+            className="bg-error hover:bg-red-600 text-white px-3 py-1 rounded-lg transition"
+          >
+            Delete
+          </button>
+        </div>
+      </fieldset>
+    </li>
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Modal for managing tags across all tasks: rename, recolor, merge and delete
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} [props.onTagChange] - Called with { from, to } when a tag is renamed, merged or deleted
+ *   (to is null), so callers can update anything that refers to it by name
+ */
+const TagManagerModal = ({ onClose, onTagChange }) => {
+  const { tags, loading, error } = useTags();
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="tag-manager-title"
+        className="bg-surface rounded-lg shadow-xl p-6 max-w-md w-full max-h-full overflow-y-auto"
+      >
+        <h3 id="tag-manager-title" className="text-xl font-bold text-textColor mb-4">
+          Manage Tags
+        </h3>
+
+        {error && tags.length === 0 ? (
+          <div className="mb-4 p-3 bg-error/10 border border-error rounded-lg text-error text-sm flex justify-between items-center">
+            <span>{error.response?.data?.message || 'Failed to load tags'}</span>
+            <button onClick={() => loadTags().catch(() => {})} className="font-semibold hover:underline">
+              Retry
+            </button>
+          </div>
+        ) : loading && tags.length === 0 ? (
+          <p className="text-sm text-gray-400 mb-4">Loading tags...</p>
+        ) : tags.length === 0 ? (
+          <p className="text-sm text-gray-400 mb-4">No tags yet. Add tags to a task from its edit form.</p>
+        ) : (
+          <ul className="mb-4">
+            {tags.map(tag => (
+              <TagManagerRow key={tag.name} tag={tag} tags={tags} onChange={change => onTagChange?.(change)} />
+            ))}
+          </ul>
+        )}
+
+        <button
+          type="button"
+          onClick={onClose}
+          className="w-full bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-lg transition"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TagManagerModal;
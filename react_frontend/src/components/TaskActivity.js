@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { tasksAPI } from '../utils/api';
+import { TASK_STATUSES, TASK_PRIORITIES, formatDateTime, formatDueDate } from '../utils/tasks';
+
+// Labels for task fields named in activity entries
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  status: 'status',
+  priority: 'priority',
+  dueDate: 'due date',
+};
+
+// Fields whose values are too long to show inline
+const LONG_FIELDS = ['description'];
+
+/**
+ * Format a field value from an activity entry for display
+ * @param {string} field - Field name
+ * @param {*} value - Raw value
+ * @returns {string} Display value
+ */
+const formatActivityValue = (field, value) => {
+  if (value === null || value === undefined || value === '') {
+    return 'none';
+  }
+  if (field === 'dueDate') {
+    return formatDueDate(value) || String(value);
+  }
+  const options = { status: TASK_STATUSES, priority: TASK_PRIORITIES }[field];
+  return options?.find(o => o.value === value)?.label || String(value);
+};
+
+/**
+ * Get the display name of whoever made a change
+ * @param {Object} entry - Activity entry
+ * @returns {string|null} Actor name, or null if unknown
+ */
+const getActorName = (entry) => {
+  const actor = entry.user || entry.actor || entry.changedBy;
+  if (!actor) {
+    return null;
+  }
+  return typeof actor === 'object' ? actor.name || actor.email || null : String(actor);
+};
+
+/**
+ * Describe one field change
+ * @param {Object} change - { field, from, to }
+ * @returns {string} Description such as "changed status from Pending to Completed"
+ */
+const describeChange = ({ field, from, to }) => {
+  const label = FIELD_LABELS[field] || field;
+  if (LONG_FIELDS.includes(field)) {
+    return `updated the ${label}`;
+  }
+  if (from === undefined) {
+    return `set ${label} to ${formatActivityValue(field, to)}`;
+  }
+  return `changed ${label} from ${formatActivityValue(field, from)} to ${formatActivityValue(field, to)}`;
+};
+
+/**
+ * Describe an activity entry, whichever shape the API sends
+ * @param {Object} entry - Activity entry
+ * @returns {string} Description of what happened
+ */
+const describeEntry = (entry) => {
+  const type = entry.type || entry.action;
+  if (type === 'created') {
+    return 'created the task';
+  }
+  if (Array.isArray(entry.changes) && entry.changes.length > 0) {
+    return entry.changes.map(describeChange).join(', ');
+  }
+  if (entry.field) {
+    return describeChange({ field: entry.field, from: entry.from ?? entry.oldValue, to: entry.to ?? entry.newValue });
+  }
+  return entry.message || entry.description || 'updated the task';
+};
+
+/**
+ * Build activity entries from the status history embedded in a task, for APIs
+ * without an activity endpoint
+ * @param {Object} task - Task object
+ * @returns {Array} Activity entries, oldest first
+ */
+const getHistoryActivity = (task) =>
+  (task.statusHistory || task.history || []).map((entry, index, history) => ({
+    field: 'status',
+    from: index > 0 ? history[index - 1].status : undefined,
+    to: entry.status,
+    changedBy: entry.changedBy,
+    createdAt: entry.changedAt || entry.timestamp || entry.date,
+  }));
+
+// PUBLIC_INTERFACE
+/**
+ * Timeline of changes made to a task, newest first. Reloads whenever the task
+ * is saved, so edits made here or arriving live show up straight away.
+ * @param {Object} props - Component props
+ * @param {Object} props.task - Task whose activity to show
+ */
+const TaskActivity = ({ task }) => {
+  const taskId = task._id || task.id;
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState('');
+  // Fallback when the API has no activity endpoint
+  const [useHistory, setUseHistory] = useState(false);
+
+  useEffect(() => {
+    if (useHistory) {
+      return undefined;
+    }
+    let cancelled = false;
+    setError('');
+    tasksAPI
+      .getActivity(taskId)
+      .then((response) => {
+        if (!cancelled) {
+          setEntries(response.data.activity || response.data || []);
+        }
+      })
+      .catch((err) => {
+        if (cancelled) {
+          return;
+        }
+        if (err.response?.status === 404) {
+          setUseHistory(true);
+        } else {
+          setError(err.response?.data?.message || 'Failed to load activity');
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId, task.updatedAt, useHistory]);
+
+  const activity = [...(useHistory ? getHistoryActivity(task) : entries || [])].reverse();
+
+  return (
+    <section aria-labelledby="task-activity-title">
+      <h3 id="task-activity-title" className="text-gray-400 text-sm font-medium mb-2">
+        Activity
+      </h3>
+      {error ? (
+        <p className="text-sm text-error">{error}</p>
+      ) : !useHistory && entries === null ? (
+        <p className="text-sm text-gray-400">Loading activity...</p>
+      ) : activity.length === 0 ? (
+        <p className="text-sm text-gray-400">No activity yet.</p>
+      ) : (
+        <ol className="space-y-2 border-l border-gray-600 pl-4">
+          {activity.map((entry, index) => {
+            const actor = getActorName(entry);
+            return (
+              <li key={entry._id || entry.id || index} className="text-sm">
+                <span className="text-textColor">
+                  {actor ? <span className="font-semibold">{actor}</span> : 'Someone'} {describeEntry(entry)}
+                </span>
+                <span className="block text-xs text-gray-400">
+                  {formatDateTime(entry.createdAt || entry.timestamp || entry.date)}
+                </span>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </section>
+  );
+};
+
+export default TaskActivity;
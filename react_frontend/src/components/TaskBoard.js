@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { TASK_STATUSES, getTaskId } from '../utils/tasks';
+import TaskCard from './TaskCard';
+
+/**
+ * Get the label of a status
+ * @param {string} status - Task status
+ * @returns {string} Display label
+ */
+const getStatusLabel = (status) =>
+  TASK_STATUSES.find(({ value }) => value === status)?.label || status;
+
+// PUBLIC_INTERFACE
+/**
+ * Kanban board with one column per task status. Cards can be moved between
+ * columns by dragging with the mouse, or from the keyboard by focusing a
+ * card's move handle, pressing Space, choosing a column with the arrow keys
+ * and pressing Space again.
+ * @param {Object} props - Component props
+ * @param {Array} props.tasks - Tasks to show
+ * @param {Function} props.onMove - Called with the task and its new status when a card is dropped in another column
+ * @param {Function} props.onEdit - Called with the task when Edit is clicked
+ * @param {Function} props.onDelete - Called with the task ID when Delete is clicked
+ */
+const TaskBoard = ({ tasks, onMove, onEdit, onDelete }) => {
+  const [draggedId, setDraggedId] = useState(null);
+  const [dragOverStatus, setDragOverStatus] = useState(null);
+  const [keyboardMove, setKeyboardMove] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+
+  const findTask = (id) => tasks.find((task) => getTaskId(task) === id);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Move a task to a column if it isn't already there
+   * @param {Object} task - Task to move
+   * @param {string} status - Target status
+   */
+  const moveTask = (task, status) => {
+    if (task && task.status !== status) {
+      onMove(task, status);
+      setAnnouncement(`Moved "${task.title}" to ${getStatusLabel(status)}.`);
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Handle a card being dropped on a column
+   * @param {DragEvent} e - Drop event
+   * @param {string} status - Status of the column
+   */
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    const id = e.dataTransfer.getData('text/plain') || draggedId;
+    moveTask(findTask(id), status);
+    setDraggedId(null);
+    setDragOverStatus(null);
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Keyboard controls for a card's move handle
+   * @param {KeyboardEvent} e - Keydown event
+   * @param {Object} task - Task the handle belongs to
+   */
+  const handleHandleKeyDown = (e, task) => {
+    const id = getTaskId(task);
+    const isMoving = keyboardMove?.id === id;
+
+    if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      if (isMoving) {
+        setKeyboardMove(null);
+        if (keyboardMove.status === task.status) {
+          setAnnouncement(`"${task.title}" dropped in ${getStatusLabel(task.status)}.`);
+        } else {
+          moveTask(task, keyboardMove.status);
+        }
+      } else {
+        setKeyboardMove({ id, status: task.status });
+        setAnnouncement(
+          `Picked up "${task.title}" in ${getStatusLabel(task.status)}. ` +
+            'Use the left and right arrow keys to choose a column, Space to drop, Escape to cancel.'
+        );
+      }
+      return;
+    }
+
+    if (!isMoving) {
+      return;
+    }
+
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      const index = TASK_STATUSES.findIndex(({ value }) => value === keyboardMove.status);
+      const offset = e.key === 'ArrowLeft' ? -1 : 1;
+      const next = TASK_STATUSES[Math.min(Math.max(index + offset, 0), TASK_STATUSES.length - 1)];
+      setKeyboardMove({ id, status: next.value });
+      setAnnouncement(`Over ${next.label}.`);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setKeyboardMove(null);
+      setAnnouncement(`Move cancelled. "${task.title}" stays in ${getStatusLabel(task.status)}.`);
+    }
+  };
+
+  return (
+    <div>
+      <p role="status" aria-live="assertive" className="sr-only">
+        {announcement}
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {TASK_STATUSES.map(({ value: status, label }) => {
+          const columnTasks = tasks.filter((task) => task.status === status);
+          const isTarget = dragOverStatus === status || keyboardMove?.status === status;
+
+          return (
+            <section
+              key={status}
+              aria-label={`${label} column`}
+              onDragOver={(e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                setDragOverStatus(status);
+              }}
+              onDragLeave={(e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) {
+                  setDragOverStatus(null);
+                }
+              }}
+              onDrop={(e) => handleDrop(e, status)}
+              className={`bg-background/50 border-2 border-dashed rounded-lg p-3 min-h-[12rem] transition ${
+                isTarget ? 'border-secondary' : 'border-transparent'
+              }`}
+            >
+              <h3 className="flex justify-between items-center text-textColor font-semibold mb-3">
+                {label}
+                <span className="text-xs text-gray-400 font-normal">{columnTasks.length}</span>
+              </h3>
+              <div className="space-y-3">
+                {columnTasks.map((task) => {
+                  const id = getTaskId(task);
+                  const isMoving = keyboardMove?.id === id;
+                  const isSaving = task.optimistic && !task.queued;
+
+                  return (
+                    <div
+                      key={id}
+                      draggable={!isSaving}
+                      onDragStart={(e) => {
+                        e.dataTransfer.setData('text/plain', id);
+                        e.dataTransfer.effectAllowed = 'move';
+                        setDraggedId(id);
+                      }}
+                      onDragEnd={() => {
+                        setDraggedId(null);
+                        setDragOverStatus(null);
+                      }}
+                      className={`relative ${isSaving ? '' : 'cursor-grab'} ${draggedId === id ? 'opacity-50' : ''} ${
+                        isMoving ? 'ring-2 ring-secondary rounded-lg' : ''
+                      }`}
+                    >
+                      {!isSaving && (
+                        <button
+                          type="button"
+                          onKeyDown={(e) => handleHandleKeyDown(e, task)}
+                          onBlur={() => {
+                            if (isMoving) {
+                              setKeyboardMove(null);
+                            }
+                          }}
+                          aria-pressed={isMoving}
+                          aria-label={`Move "${task.title}", currently in ${label}`}
+                          className="absolute top-2 right-2 text-gray-400 hover:text-textColor px-1 rounded"
+                        >
+                          <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+                            <path d="M7 4a1 1 0 11-2 0 1 1 0 012 0zm0 6a1 1 0 11-2 0 1 1 0 012 0zm0 6a1 1 0 11-2 0 1 1 0 012 0zm8-12a1 1 0 11-2 0 1 1 0 012 0zm0 6a1 1 0 11-2 0 1 1 0 012 0zm0 6a1 1 0 11-2 0 1 1 0 012 0z" />
+                          </svg>
+                        </button>
+                      )}
+                      <TaskCard task={task} onEdit={onEdit} onDelete={onDelete} compact />
+                    </div>
+                  );
+                })}
+              </div>
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TaskBoard;
@@ -0,0 +1,332 @@
+import React, { useState } from 'react';
+import useTaskQuery from '../hooks/useTaskQuery';
+import usePersistentState from '../hooks/usePersistentState';
+import {
+  getTaskId,
+  getStatusColor,
+  parseDueDate,
+  buildTaskQueryParams,
+} from '../utils/tasks';
+
+const CALENDAR_MODES = ['month', 'week'];
+// Most tasks fetched for one month or week; the API caps page sizes at 100
+const CALENDAR_TASK_LIMIT = 100;
+// Tasks listed in a month cell before the rest collapse into "+N more"
+const MONTH_CELL_TASKS = 3;
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Format a local date as the YYYY-MM-DD due date value
+ * @param {Date} date - Date
+ * @returns {string} Date key
+ */
+const toDateKey = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Add days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add; negative to go back
+ * @returns {Date} New date at local midnight
+ */
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Work out the days shown for a month or week, in whole Sunday-to-Saturday weeks
+ * @param {string} mode - 'month' or 'week'
+ * @param {Date} anchor - Any day in the period
+ * @returns {Array<Date>} Days to show
+ */
+const getVisibleDays = (mode, anchor) => {
+  const first = mode === 'month' ? new Date(anchor.getFullYear(), anchor.getMonth(), 1) : anchor;
+  const start = addDays(first, -first.getDay());
+  const end =
+    mode === 'month'
+      ? new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0)
+      : addDays(start, 6);
+  const count = Math.round((addDays(end, 6 - end.getDay()) - start) / (24 * 60 * 60 * 1000)) + 1;
+  return Array.from({ length: count }, (_, index) => addDays(start, index));
+};
+
+/**
+ * Title for the period being shown, e.g. "October 2026" or "Oct 18 – Oct 24, 2026"
+ * @param {string} mode - 'month' or 'week'
+ * @param {Array<Date>} days - Days shown
+ * @param {Date} anchor - Any day in the period
+ * @returns {string} Period title
+ */
+const getPeriodTitle = (mode, days, anchor) => {
+  if (mode === 'month') {
+    return anchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  }
+  const first = days[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  const last = days[days.length - 1].toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  return `${first} – ${last}`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Month or week calendar placing tasks on their due dates, with the same search
+ * and filters as the list. Dragging a task to another day reschedules it, and
+ * clicking an empty day from today on starts a new task due that day.
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Search and filters from parseTaskFilters
+ * @param {Function} props.onEdit - Called with the task when it is clicked
+ * @param {Function} props.onCreate - Called with a YYYY-MM-DD date to create a task due that day
+ * @param {Function} props.onReschedule - Called with the task and its new YYYY-MM-DD due date
+ */
+const TaskCalendar = ({ filters, onEdit, onCreate, onReschedule }) => {
+  const [mode, setMode] = usePersistentState('tasksCalendarMode', 'month', (value) => CALENDAR_MODES.includes(value));
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [draggedId, setDraggedId] = useState(null);
+  const [dragOverDay, setDragOverDay] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+
+  const days = getVisibleDays(mode, anchor);
+  const todayKey = toDateKey(new Date());
+  const rangeStart = toDateKey(days[0]);
+  const rangeEnd = toDateKey(days[days.length - 1]);
+
+  // Narrow the list's due date range to the days on screen
+  const { tasks, total, fetching, error } = useTaskQuery(
+    buildTaskQueryParams({
+      ...filters,
+      dueFrom: filters.dueFrom > rangeStart ? filters.dueFrom : rangeStart,
+      dueTo: filters.dueTo && filters.dueTo < rangeEnd ? filters.dueTo : rangeEnd,
+      page: 1,
+      limit: CALENDAR_TASK_LIMIT,
+    })
+  );
+
+  const tasksByDay = new Map();
+  tasks.forEach(task => {
+    const due = parseDueDate(task.dueDate);
+    if (due) {
+      const key = toDateKey(due);
+      tasksByDay.set(key, [...(tasksByDay.get(key) || []), task]);
+    }
+  });
+
+  // PUBLIC_INTERFACE
+  /**
+   * Move to the previous or next month or week
+   * @param {number} offset - -1 for back, 1 for forward
+   */
+  const shiftPeriod = (offset) => {
+    setAnchor(prev =>
+      mode === 'month'
+        ? new Date(prev.getFullYear(), prev.getMonth() + offset, 1)
+        : addDays(prev, 7 * offset)
+    );
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Reschedule the dragged task to the day it was dropped on
+   * @param {DragEvent} e - Drop event
+   * @param {string} dayKey - YYYY-MM-DD of the day
+   */
+  const handleDrop = (e, dayKey) => {
+    e.preventDefault();
+    const id = e.dataTransfer.getData('text/plain') || draggedId;
+    const task = tasks.find(t => getTaskId(t) === id);
+    if (task && toDateKey(parseDueDate(task.dueDate)) !== dayKey) {
+      onReschedule(task, dayKey);
+      setAnnouncement(`Moved "${task.title}" to ${parseDueDate(dayKey).toLocaleDateString()}.`);
+    }
+    setDraggedId(null);
+    setDragOverDay(null);
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Open the week containing a day, to see every task due on it
+   * @param {Date} day - Day to show
+   */
+  const showWeek = (day) => {
+    setMode('week');
+    setAnchor(day);
+  };
+
+  return (
+    <div>
+      <p role="status" aria-live="assertive" className="sr-only">
+        {announcement}
+      </p>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-3">
+        <div className="flex items-center space-x-2">
+          <button
+            type="button"
+            onClick={() => shiftPeriod(-1)}
+            aria-label={`Previous ${mode}`}
+            className="px-3 py-1 border border-gray-600 rounded-lg text-textColor hover:bg-background transition"
+          >
+            ‹
+          </button>
+          <button
+            type="button"
+            onClick={() => setAnchor(new Date())}
+            className="px-3 py-1 border border-gray-600 rounded-lg text-sm text-textColor hover:bg-background transition"
+          >
+            Today
+          </button>
+          <button
+            type="button"
+            onClick={() => shiftPeriod(1)}
+            aria-label={`Next ${mode}`}
+            className="px-3 py-1 border border-gray-600 rounded-lg text-textColor hover:bg-background transition"
+          >
+            ›
+          </button>
+          <h3 aria-live="polite" className="text-lg font-semibold text-textColor">
+            {getPeriodTitle(mode, days, anchor)}
+          </h3>
+          {fetching && <span className="text-xs text-gray-400">Loading…</span>}
+        </div>
+        <div role="group" aria-label="Calendar range" className="flex rounded-lg border border-gray-600 overflow-hidden text-sm">
+          {CALENDAR_MODES.map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setMode(option)}
+              aria-pressed={mode === option}
+              className={`px-3 py-1 capitalize transition ${
+                mode === option ? 'bg-primary text-white' : 'text-textColor hover:bg-background'
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && tasks.length === 0 && (
+        <p className="mb-3 text-sm text-error">Tasks for this {mode} could not be loaded.</p>
+      )}
+      {total > tasks.length && (
+        <p className="mb-3 text-sm text-gray-400">
+          Showing {tasks.length} of {total} tasks. Narrow the filters or switch to the week view to see the rest.
+        </p>
+      )}
+
+      <div className="grid grid-cols-7 text-xs text-gray-400 mb-1">
+        {WEEKDAY_NAMES.map(name => (
+          <div key={name} className="px-2 py-1">
+            {name}
+          </div>
+        ))}
+      </div>
+      <div className="grid grid-cols-7 gap-px bg-gray-600 border border-gray-600 rounded-lg overflow-hidden">
+        {days.map(day => {
+          const dayKey = toDateKey(day);
+          const dayTasks = tasksByDay.get(dayKey) || [];
+          const shownTasks = mode === 'month' ? dayTasks.slice(0, MONTH_CELL_TASKS) : dayTasks;
+          const isOutside = mode === 'month' && day.getMonth() !== anchor.getMonth();
+          const canCreate = dayKey >= todayKey;
+          const dayLabel = day.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' });
+
+          return (
+            <section
+              key={dayKey}
+              aria-label={dayLabel}
+              onDragOver={(e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                setDragOverDay(dayKey);
+              }}
+              onDragLeave={(e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) {
+                  setDragOverDay(null);
+                }
+              }}
+              onDrop={(e) => handleDrop(e, dayKey)}
+              className={`relative flex flex-col p-1 ${mode === 'month' ? 'min-h-[6rem]' : 'min-h-[16rem]'} ${
+                dragOverDay === dayKey ? 'bg-secondary/20' : 'bg-surface'
+              } ${isOutside ? 'opacity-50' : ''}`}
+            >
+              <div className="flex justify-between items-center mb-1">
+                <span
+                  className={`text-xs w-6 h-6 flex items-center justify-center rounded-full ${
+                    dayKey === todayKey ? 'bg-primary text-white' : 'text-textColor'
+                  }`}
+                >
+                  {day.getDate()}
+                </span>
+                {canCreate && dayTasks.length > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => onCreate(dayKey)}
+                    aria-label={`Add a task due ${dayLabel}`}
+                    className="text-xs text-gray-400 hover:text-textColor px-1"
+                  >
+                    +
+                  </button>
+                )}
+              </div>
+
+              {dayTasks.length === 0 && canCreate && (
+                <button
+                  type="button"
+                  onClick={() => onCreate(dayKey)}
+                  aria-label={`Add a task due ${dayLabel}`}
+                  className="absolute inset-0 w-full h-full hover:bg-background/40 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-primary"
+                />
+              )}
+
+              <ul className="space-y-1">
+                {shownTasks.map(task => {
+                  const id = getTaskId(task);
+                  const isSaving = task.optimistic && !task.queued;
+                  return (
+                    <li
+                      key={id}
+                      draggable={!isSaving}
+                      onDragStart={(e) => {
+                        e.dataTransfer.setData('text/plain', id);
+                        e.dataTransfer.effectAllowed = 'move';
+                        setDraggedId(id);
+                      }}
+                      onDragEnd={() => {
+                        setDraggedId(null);
+                        setDragOverDay(null);
+                      }}
+                      className={draggedId === id ? 'opacity-50' : ''}
+                    >
+                      <button
+                        type="button"
+                        onClick={() => onEdit(task)}
+                        disabled={isSaving}
+                        title={task.title}
+                        className={`w-full truncate text-left px-2 py-0.5 rounded text-xs ${getStatusColor(task.status)} ${
+                          isSaving ? 'opacity-60' : 'cursor-grab'
+                        } ${task.status === 'completed' ? 'line-through' : ''}`}
+                      >
+                        {task.title}
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+              {shownTasks.length < dayTasks.length && (
+                <button
+                  type="button"
+                  onClick={() => showWeek(day)}
+                  className="mt-1 text-left text-xs text-secondary hover:text-primary"
+                >
+                  +{dayTasks.length - shownTasks.length} more
+                </button>
+              )}
+            </section>
+          );
+        })}
+      </div>
+      <p className="mt-2 text-xs text-gray-400">
+        Drag a task to another day to reschedule it. Tasks without a due date aren't shown here.
+      </p>
+    </div>
+  );
+};
+
+export default TaskCalendar;
@@ -0,0 +1,141 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import {
+  getTaskId,
+  getStatusColor,
+  getPriorityColor,
+  getDueState,
+  formatDueDate,
+} from '../utils/tasks';
+import { describeRecurrence } from '../utils/recurrence';
+import ChecklistProgress from './ChecklistProgress';
+import TagChip from './TagChip';
+
+// Card border and due date label styling for overdue and due-soon tasks
+const DUE_STATE_STYLES = {
+  overdue: { card: 'border-error', label: 'text-error', text: 'Overdue' },
+  'due-soon': { card: 'border-yellow-500', label: 'text-yellow-400', text: 'Due soon' },
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Card showing a task summary with edit and delete actions
+ * @param {Object} props - Component props
+ * @param {Object} props.task - Task to display
+ * @param {Function} props.onEdit - Called with the task when Edit is clicked
+ * @param {Function} props.onDelete - Called with the task ID when Delete is clicked
+ * @param {boolean} [props.compact=false] - Stack content vertically for narrow containers such as board columns
+ * @param {boolean} [props.selected=false] - Whether the task is selected
+ * @param {Function} [props.onSelect] - Called with the task and change event when the checkbox is toggled; no checkbox without it
+ */
+const TaskCard = ({ task, onEdit, onDelete, compact = false, selected = false, onSelect }) => {
+  const id = getTaskId(task);
+  const dueState = DUE_STATE_STYLES[getDueState(task)];
+  // Created tasks show before the API has saved them, without an ID to act on yet.
+  // Tasks created offline can still be edited or deleted; the queued create absorbs it.
+  const isSaving = Boolean(task.optimistic && !task.queued);
+  const hasServerId = !task.optimistic;
+
+  return (
+    <div
+      aria-busy={isSaving}
+      className={`bg-background border ${
+        selected ? 'border-secondary' : dueState ? dueState.card : 'border-gray-600'
+      } rounded-lg p-4 hover:border-primary transition flex items-start ${isSaving ? 'opacity-60' : ''}`}
+    >
+      {onSelect && hasServerId && (
+        <input
+          type="checkbox"
+          checked={selected}
+          onChange={(e) => onSelect(task, e)}
+          aria-label={`Select "${task.title}"`}
+          className="mt-1.5 mr-3 h-4 w-4 accent-secondary"
+        />
+      )}
+      <div
+        className={`flex-1 flex flex-col justify-between items-start space-y-3 ${
+          compact ? '' : 'sm:flex-row sm:space-y-0'
+        }`}
+      >
+        <div className="flex-1">
+          <h3 className={`text-lg font-semibold text-textColor mb-1 ${compact ? 'pr-6' : ''}`}>
+            {!hasServerId ? (
+              task.title
+            ) : (
+              <Link to={`/dashboard/tasks/${id}`} className="hover:text-secondary">
+                {task.title}
+              </Link>
+            )}
+          </h3>
+          <p className="text-gray-400 text-sm mb-2">
+            {task.description}
+          </p>
+          <ChecklistProgress task={task} className="mb-2" />
+          <div className="flex flex-wrap items-center gap-2">
+            <span
+              className={`inline-block px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(
+                task.status
+              )}`}
+            >
+              {task.status}
+            </span>
+            {task.priority && (
+              <span
+                className={`inline-block px-3 py-1 rounded-full text-xs font-medium ${getPriorityColor(
+                  task.priority
+                )}`}
+              >
+                {task.priority} priority
+              </span>
+            )}
+            {task.tags?.map(tag => (
+              <TagChip key={tag} name={tag} />
+            ))}
+            {task.queued && (
+              <span className="inline-block px-3 py-1 rounded-full text-xs font-medium border border-gray-600 text-gray-400">
+                Not synced
+              </span>
+            )}
+            {task.dueDate && (
+              <span className={`text-xs ${dueState ? dueState.label : 'text-gray-400'}`}>
+                Due {formatDueDate(task.dueDate)}
+                {dueState && ` · ${dueState.text}`}
+              </span>
+            )}
+            {task.recurrence && (
+              <span className="text-xs text-gray-400">
+                <span aria-hidden="true">↻ </span>
+                {describeRecurrence(task.recurrence)}
+              </span>
+            )}
+            {hasServerId && task.commentCount > 0 && (
+              <Link to={`/dashboard/tasks/${id}`} className="text-xs text-gray-400 hover:text-secondary">
+                {task.commentCount} {task.commentCount === 1 ? 'comment' : 'comments'}
+              </Link>
+            )}
+          </div>
+        </div>
+        {isSaving ? (
+          <span className="text-xs text-gray-400">Saving…</span>
+        ) : (
+          <div className="flex space-x-2">
+            <button
+              onClick={() => onEdit(task)}
+              className="bg-secondary hover:bg-primary text-white px-3 py-1 rounded text-sm transition"
+            >
+              Edit
+            </button>
+            <button
+              onClick={() => onDelete(id)}
+              className="bg-error hover:bg-red-600 text-white px-3 py-1 rounded text-sm transition"
+            >
+              Delete
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaskCard;
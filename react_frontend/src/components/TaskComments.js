@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { tasksAPI } from '../utils/api';
+import { formatDateTime } from '../utils/tasks';
+import { useAuth, getUserId } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+import Markdown from './Markdown';
+
+/**
+ * Get the ID of a comment, whichever key the API uses
+ * @param {Object} comment - Comment object
+ * @returns {string} Comment ID
+ */
+const getCommentId = (comment) => comment._id || comment.id;
+
+/**
+ * Get the author of a comment; the API may send a populated user or just its ID
+ * @param {Object} comment - Comment object
+ * @returns {Object} { id, name }
+ */
+const getCommentAuthor = (comment) => {
+  const author = comment.author || comment.user || comment.authorId || comment.userId;
+  if (author && typeof author === 'object') {
+    return { id: getUserId(author), name: author.name || author.email || 'Unknown user' };
+  }
+  return { id: author || null, name: comment.authorName || 'Unknown user' };
+};
+
+/**
+ * Get the markdown text of a comment
+ * @param {Object} comment - Comment object
+ * @returns {string} Comment text
+ */
+const getCommentBody = (comment) => comment.body ?? comment.text ?? '';
+
+/**
+ * Read a comment from an API response
+ * @param {Object} response - Axios response
+ * @returns {Object} Comment object
+ */
+const unwrapComment = (response) => response.data.comment || response.data;
+
+/**
+ * Markdown textarea with a Write/Preview toggle, shared by the new comment and edit forms
+ * @param {Object} props - Component props
+ * @param {string} props.value - Current text
+ * @param {Function} props.onChange - Called with the new text
+ * @param {string} props.label - Accessible label for the textarea
+ * @param {boolean} [props.autoFocus=false] - Whether to focus the textarea on mount
+ */
+const CommentEditor = ({ value, onChange, label, autoFocus = false }) => {
+  const [preview, setPreview] = useState(false);
+
+  return (
+    <div>
+      <div className="flex space-x-3 mb-1 text-xs">
+        {[false, true].map((isPreview) => (
+          <button
+            key={String(isPreview)}
+            type="button"
+            onClick={() => setPreview(isPreview)}
+            aria-pressed={preview === isPreview}
+            className={preview === isPreview ? 'text-textColor font-semibold' : 'text-gray-400 hover:text-textColor'}
+          >
+            {isPreview ? 'Preview' : 'Write'}
+          </button>
+        ))}
+      </div>
+      {preview ? (
+        <div className="min-h-[5rem] px-4 py-2 bg-background border border-gray-600 rounded-lg text-sm text-textColor">
+          {value.trim() ? <Markdown>{value}</Markdown> : <p className="text-gray-400">Nothing to preview</p>}
+        </div>
+      ) : (
+        <textarea
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          aria-label={label}
+          rows="3"
+          autoFocus={autoFocus}
+          className="w-full px-4 py-2 bg-background border border-gray-600 rounded-lg text-sm text-textColor focus:outline-none focus:border-secondary"
+          placeholder="Write a comment. Markdown is supported."
+        />
+      )}
+    </div>
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Comment thread for a task. Anyone can read and add comments; only the author
+ * of a comment can edit or delete it. Comments are rendered as markdown.
+ * @param {Object} props - Component props
+ * @param {string} props.taskId - ID of the task the comments belong to
+ * @param {Function} [props.onChange] - Called after a comment is added, edited or deleted
+ */
+const TaskComments = ({ taskId, onChange }) => {
+  const { user } = useAuth();
+  const { showToast } = useToast();
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [draft, setDraft] = useState('');
+  const [posting, setPosting] = useState(false);
+  // Comment being edited and its working text
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
+  const [savingEdit, setSavingEdit] = useState(false);
+
+  const currentUserId = getUserId(user);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Fetch the comments for the task
+   */
+  const loadComments = useCallback(async () => {
+    setLoading(true);
+    setLoadError('');
+    try {
+      const response = await tasksAPI.getComments(taskId);
+      setComments(response.data.comments || response.data || []);
+    } catch (error) {
+      setLoadError(error.response?.data?.message || 'Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Post the new comment
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) {
+      return;
+    }
+    setPosting(true);
+    try {
+      const response = await tasksAPI.addComment(taskId, draft.trim());
+      setComments(prev => [...prev, unwrapComment(response)]);
+      setDraft('');
+      onChange?.();
+    } catch (error) {
+      showToast({ type: 'error', message: error.response?.data?.message || 'Failed to add comment' });
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Start editing one of the user's comments
+   * @param {Object} comment - Comment to edit
+   */
+  const startEditing = (comment) => {
+    setEditingId(getCommentId(comment));
+    setEditDraft(getCommentBody(comment));
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Save the comment being edited
+   * @param {Event} e - Form submit event
+   */
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    if (!editDraft.trim()) {
+      return;
+    }
+    setSavingEdit(true);
+    try {
+      const response = await tasksAPI.updateComment(taskId, editingId, editDraft.trim());
+      const updated = unwrapComment(response);
+      setComments(prev =>
+        prev.map(comment => (getCommentId(comment) === editingId ? { ...comment, ...updated } : comment))
+      );
+      setEditingId(null);
+      onChange?.();
+    } catch (error) {
+      showToast({ type: 'error', message: error.response?.data?.message || 'Failed to update comment' });
+    } finally {
+      setSavingEdit(false);
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Delete one of the user's comments after confirmation
+   * @param {Object} comment - Comment to delete
+   */
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Are you sure you want to delete this comment?')) {
+      return;
+    }
+    const commentId = getCommentId(comment);
+    try {
+      await tasksAPI.deleteComment(taskId, commentId);
+      setComments(prev => prev.filter(c => getCommentId(c) !== commentId));
+      onChange?.();
+    } catch (error) {
+      showToast({ type: 'error', message: error.response?.data?.message || 'Failed to delete comment' });
+    }
+  };
+
+  return (
+    <section aria-labelledby="task-comments-title">
+      <h3 id="task-comments-title" className="text-gray-400 text-sm font-medium mb-2">
+        Comments{comments.length > 0 && ` (${comments.length})`}
+      </h3>
+
+      {loading ? (
+        <p className="text-sm text-gray-400 mb-4">Loading comments...</p>
+      ) : loadError ? (
+        <div className="mb-4 p-3 bg-error/10 border border-error rounded-lg text-error text-sm flex justify-between items-center">
+          <span>{loadError}</span>
+          <button onClick={loadComments} className="font-semibold hover:underline">
+            Retry
+          </button>
+        </div>
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-gray-400 mb-4">No comments yet. Start the discussion below.</p>
+      ) : (
+        <ul className="space-y-3 mb-4">
+          {comments.map((comment) => {
+            const commentId = getCommentId(comment);
+            const author = getCommentAuthor(comment);
+            const isOwn = Boolean(currentUserId) && author.id === currentUserId;
+            const edited = comment.updatedAt && comment.updatedAt !== comment.createdAt;
+
+            return (
+              <li key={commentId} className="bg-background rounded-lg p-3">
+                <div className="flex justify-between items-start mb-2 text-xs text-gray-400">
+                  <span>
+                    <span className="font-semibold text-textColor">{isOwn ? 'You' : author.name}</span>
+                    {' · '}
+                    {formatDateTime(comment.createdAt)}
+                    {edited && ' (edited)'}
+                  </span>
+                  {isOwn && editingId !== commentId && (
+                    <span className="flex space-x-3">
+                      <button onClick={() => startEditing(comment)} className="hover:text-textColor">
+                        Edit
+                      </button>
+                      <button onClick={() => handleDelete(comment)} className="hover:text-error">
+                        Delete
+                      </button>
+                    </span>
+                  )}
+                </div>
+                {editingId === commentId ? (
+                  <form onSubmit={handleSaveEdit} className="space-y-2">
+                    <CommentEditor value={editDraft} onChange={setEditDraft} label="Edit comment" autoFocus />
+                    <div className="flex justify-end space-x-2">
+                      <button
+                        type="button"
+                        onClick={() => setEditingId(null)}
+                        disabled={savingEdit}
+                        className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded-lg text-xs font-medium transition disabled:opacity-50"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="submit"
+                        disabled={savingEdit || !editDraft.trim()}
+                        className="bg-primary hover:bg-secondary text-white px-3 py-1 rounded-lg text-xs font-medium transition disabled:opacity-50"
+                      >
+                        {savingEdit ? 'Saving...' : 'Save'}
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <Markdown className="text-sm text-textColor">{getCommentBody(comment)}</Markdown>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <CommentEditor value={draft} onChange={setDraft} label="New comment" />
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={posting || !draft.trim()}
+            className="bg-primary hover:bg-secondary text-white px-4 py-2 rounded-lg text-sm font-medium transition disabled:opacity-50"
+          >
+            {posting ? 'Posting...' : 'Comment'}
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+};
+
+export default TaskComments;
@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import { TASK_STATUSES, TASK_PRIORITIES, toDateInputValue, formatDueDate } from '../utils/tasks';
+import { describeRecurrence } from '../utils/recurrence';
+
+// Task fields compared between the user's edit and the server version
+const CONFLICT_FIELDS = [
+  { name: 'title', label: 'Title' },
+  { name: 'description', label: 'Description' },
+  { name: 'status', label: 'Status', options: TASK_STATUSES },
+  { name: 'priority', label: 'Priority', options: TASK_PRIORITIES },
+  { name: 'dueDate', label: 'Due date' },
+  { name: 'tags', label: 'Tags' },
+  { name: 'subtasks', label: 'Checklist' },
+  { name: 'recurrence', label: 'Repeat' },
+];
+
+// Value a field takes when the server copy omits it; other fields become ''
+const EMPTY_VALUES = { dueDate: null, tags: [], subtasks: [] };
+
+/**
+ * Normalize a field value so equivalent values compare equal
+ * @param {string} name - Field name
+ * @param {*} value - Raw value
+ * @returns {string} Comparable value
+ */
+const normalizeValue = (name, value) => {
+  if (name === 'tags') {
+    return (value || []).map(tag => tag.toLowerCase()).sort().join(',');
+  }
+  if (name === 'subtasks') {
+    return JSON.stringify((value || []).map(({ title, completed }) => [title, Boolean(completed)]));
+  }
+  if (name === 'recurrence') {
+    return describeRecurrence(value);
+  }
+  return name === 'dueDate' ? toDateInputValue(value) : String(value ?? '');
+};
+
+/**
+ * Format a field value for display
+ * @param {Object} field - Field definition from CONFLICT_FIELDS
+ * @param {*} value - Raw value
+ * @returns {string} Display value
+ */
+const formatValue = (field, value) => {
+  if (field.name === 'dueDate') {
+    return value ? formatDueDate(value) : 'None';
+  }
+  if (field.name === 'tags') {
+    return value?.length ? value.map(tag => `#${tag}`).join(' ') : 'None';
+  }
+  if (field.name === 'subtasks') {
+    return value?.length
+      ? value.map(({ title, completed }) => `${completed ? '☑' : '☐'} ${title}`).join(', ')
+      : 'None';
+  }
+  if (field.name === 'recurrence') {
+    return describeRecurrence(value) || 'Does not repeat';
+  }
+  const option = field.options?.find(o => o.value === value);
+  return option ? option.label : value || 'None';
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Dialog shown when the user's edit clashes with changes someone else saved
+ * first. It lists the fields that differ and lets the user keep their version,
+ * take the server's, or pick field by field.
+ * @param {Object} props - Component props
+ * @param {string} props.description - Explains how the conflict came about
+ * @param {Object} props.local - Task data the user tried to save
+ * @param {Object} props.server - Current server version of the task
+ * @param {Object} [props.base] - Version the user started editing from; fields they
+ *   didn't touch default to the server value when merging
+ * @param {Function} props.onSave - Called with the task data to save over the server version; may return a promise
+ * @param {Function} props.onUseServer - Called to discard the user's edit; may return a promise
+ */
+const TaskConflictDialog = ({ description, local, server, base, onSave, onUseServer }) => {
+  const changedFields = CONFLICT_FIELDS.filter(
+    ({ name }) => name in local && normalizeValue(name, local[name]) !== normalizeValue(name, server[name])
+  );
+  // Which side each differing field is taken from when merging
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(
+      changedFields.map(({ name }) => [
+        name,
+        !base || normalizeValue(name, local[name]) !== normalizeValue(name, base[name]) ? 'local' : 'server',
+      ])
+    )
+  );
+  const [resolving, setResolving] = useState(false);
+
+  const resolve = async (action) => {
+    setResolving(true);
+    try {
+      await action();
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Save the user's edit with the chosen server values swapped in
+   */
+  const handleSaveMerged = () => {
+    const merged = { ...local };
+    changedFields.forEach(({ name }) => {
+      if (choices[name] === 'server') {
+        merged[name] = server[name] ?? (name in EMPTY_VALUES ? EMPTY_VALUES[name] : '');
+      }
+    });
+    return resolve(() => onSave(merged));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="task-conflict-title"
+        aria-describedby="task-conflict-description"
+        className="bg-surface rounded-lg shadow-xl p-6 max-w-lg w-full max-h-full overflow-y-auto"
+      >
+        <h3 id="task-conflict-title" className="text-xl font-bold text-textColor mb-2">
+          Conflicting changes
+        </h3>
+        <p id="task-conflict-description" className="text-gray-400 text-sm mb-4">
+          {description}
+        </p>
+
+        {changedFields.length > 0 ? (
+          <fieldset disabled={resolving} className="mb-6">
+            <legend className="text-sm text-gray-400 mb-2">Pick the value to keep for each field:</legend>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400">
+                  <th className="py-1 pr-2 font-medium">Field</th>
+                  <th className="py-1 pr-2 font-medium">Your change</th>
+                  <th className="py-1 font-medium">On the server</th>
+                </tr>
+              </thead>
+              <tbody className="text-textColor">
+                {changedFields.map((field) => (
+                  <tr key={field.name} className="border-t border-gray-600 align-top">
+                    <td className="py-2 pr-2 text-gray-400">{field.label}</td>
+                    {['local', 'server'].map((side) => (
+                      <td key={side} className={`py-2 break-words ${side === 'local' ? 'pr-2' : ''}`}>
+                        <label className="flex items-start">
+                          <input
+                            type="radio"
+                            name={`conflict-${field.name}`}
+                            checked={choices[field.name] === side}
+                            onChange={() => setChoices(prev => ({ ...prev, [field.name]: side }))}
+                            className="mt-1 mr-2 accent-secondary"
+                          />
+                          <span>{formatValue(field, (side === 'local' ? local : server)[field.name])}</span>
+                        </label>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </fieldset>
+        ) : (
+          <p className="text-sm text-textColor mb-6">
+            The server already has the same values as your change.
+          </p>
+        )}
+
+        <div className="flex flex-col sm:flex-row gap-3">
+          {changedFields.length > 0 && (
+            <button
+              type="button"
+              onClick={handleSaveMerged}
+              disabled={resolving}
+              autoFocus
+              className="flex-1 bg-primary hover:bg-secondary text-white font-semibold py-2 px-4 rounded-lg transition disabled:opacity-50"
+            >
+              Save selected
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => resolve(() => onSave(local))}
+            disabled={resolving}
+            className="flex-1 bg-secondary hover:bg-primary text-white font-semibold py-2 px-4 rounded-lg transition disabled:opacity-50"
+          >
+            Keep all mine
+          </button>
+          <button
+            type="button"
+            onClick={() => resolve(onUseServer)}
+            disabled={resolving}
+            autoFocus={changedFields.length === 0}
+            className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-lg transition disabled:opacity-50"
+          >
+            Use server's
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaskConflictDialog;
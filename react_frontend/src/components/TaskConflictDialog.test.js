@@ -0,0 +1,92 @@
+import { render, screen, fireEvent, within, act } from '@testing-library/react';
+import TaskConflictDialog from './TaskConflictDialog';
+
+const base = {
+  title: 'Pay rent',
+  description: 'Landlord',
+  status: 'pending',
+  priority: 'medium',
+  dueDate: '2026-10-31',
+  tags: ['home'],
+};
+const local = { ...base, title: 'Pay rent today', status: 'completed' };
+// The server copy omits the fields someone cleared on the server
+const server = { _id: 't1', title: 'Pay rent and fees', status: 'pending', priority: 'high' };
+
+/**
+ * Render the dialog with mocked callbacks
+ * @param {Object} [props] - Props overriding the defaults
+ * @returns {Object} { onSave, onUseServer }
+ */
+const renderDialog = (props) => {
+  const callbacks = { onSave: jest.fn(), onUseServer: jest.fn() };
+  render(
+    <TaskConflictDialog description="Changed elsewhere" local={local} server={server} {...callbacks} {...props} />
+  );
+  return callbacks;
+};
+
+/**
+ * Choose which side a field is taken from
+ * @param {string} label - Field label shown in the first column
+ * @param {string} side - 'local' or 'server'
+ */
+const pick = (label, side) => {
+  const row = screen.getByRole('row', { name: new RegExp(`^${label}`) });
+  fireEvent.click(within(row).getAllByRole('radio')[side === 'local' ? 0 : 1]);
+};
+
+/**
+ * Click a button and let the dialog settle
+ * @param {string} name - Button label
+ */
+const click = async (name) => {
+  await act(async () => fireEvent.click(screen.getByRole('button', { name })));
+};
+
+test('lists only the fields that differ', () => {
+  renderDialog();
+  const labels = screen.getAllByRole('row').slice(1).map(row => row.firstChild.textContent);
+  expect(labels).toEqual(['Title', 'Description', 'Status', 'Priority', 'Due date', 'Tags']);
+});
+
+test('saves the picked value of each field, emptying fields the server omits', async () => {
+  const { onSave } = renderDialog();
+  pick('Title', 'server');
+  pick('Description', 'server');
+  pick('Due date', 'server');
+  pick('Tags', 'server');
+  await click('Save selected');
+
+  expect(onSave).toHaveBeenCalledWith({
+    title: 'Pay rent and fees',
+    description: '',
+    status: 'completed',
+    priority: 'medium',
+    dueDate: null,
+    tags: [],
+  });
+});
+
+test('defaults fields the user did not touch to the server value', async () => {
+  const { onSave } = renderDialog({ base });
+  await click('Save selected');
+
+  expect(onSave).toHaveBeenCalledWith({
+    title: 'Pay rent today',
+    description: '',
+    status: 'completed',
+    priority: 'high',
+    dueDate: null,
+    tags: [],
+  });
+});
+
+test('keeps the whole edit or discards it', async () => {
+  const { onSave, onUseServer } = renderDialog({ base });
+  await click('Keep all mine');
+  expect(onSave).toHaveBeenCalledWith(local);
+
+  await click("Use server's");
+  expect(onUseServer).toHaveBeenCalledTimes(1);
+});
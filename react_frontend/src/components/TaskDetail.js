@@ -0,0 +1,293 @@
+import React, { useState, useEffect, useCallback, useSyncExternalStore } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { subscribe, getCachedTask, fetchTask, updateTask } from '../utils/taskCache';
+import { isConflictError } from '../utils/api';
+import { useToast } from '../contexts/ToastContext';
+import useUndoableDelete from '../hooks/useUndoableDelete';
+import {
+  getStatusColor,
+  getPriorityColor,
+  getDueState,
+  formatDateTime,
+  formatDueDate,
+  getTaskId,
+  getTaskVersionTag,
+  getChecklistStatus,
+  toTaskPayload,
+} from '../utils/tasks';
+import { describeRecurrence } from '../utils/recurrence';
+import TaskFormModal from './TaskFormModal';
+import ChecklistProgress from './ChecklistProgress';
+import TagChip from './TagChip';
+import TaskComments from './TaskComments';
+import TaskActivity from './TaskActivity';
+
+// PUBLIC_INTERFACE
+/**
+ * Task detail view showing a single task loaded by the ID in the URL, with its
+ * comment thread and activity timeline
+ */
+const TaskDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { showToast } = useToast();
+  const { scheduleDelete } = useUndoableDelete();
+  // Tasks already seen in a list render straight from the cache while they revalidate
+  const task = useSyncExternalStore(subscribe, () => getCachedTask(id)) || null;
+  const [loading, setLoading] = useState(!task);
+  const [notFound, setNotFound] = useState(false);
+  const [showModal, setShowModal] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const [savingChecklist, setSavingChecklist] = useState(false);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Fetch the task from the API into the cache
+   */
+  const loadTask = useCallback(async () => {
+    setLoading(!getCachedTask(id));
+    setNotFound(false);
+    setLoadError('');
+    try {
+      await fetchTask(id);
+    } catch (error) {
+      const status = error.response?.status;
+      // Malformed IDs are rejected with 400 by the API, so treat them as missing too
+      if (status === 404 || status === 400) {
+        setNotFound(true);
+      } else {
+        setLoadError(error.response?.data?.message || 'Failed to fetch task');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    loadTask();
+  }, [loadTask]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Handle the task saved from the edit modal
+   * @param {Object} savedTask - Updated task
+   */
+  const handleSaved = (savedTask) => {
+    setShowModal(false);
+    showToast(
+      savedTask.queued
+        ? { message: "You're offline. The change is saved on this device and will sync when you reconnect." }
+        : { type: 'success', message: 'Task updated successfully!' }
+    );
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Check or uncheck a checklist item and save it straight away, moving the
+   * status along when the task takes its status from the checklist
+   * @param {number} index - Position of the item
+   */
+  const handleToggleSubtask = async (index) => {
+    const subtasks = task.subtasks.map((subtask, i) =>
+      i === index ? { ...subtask, completed: !subtask.completed } : subtask
+    );
+    const status = task.autoStatus ? getChecklistStatus(task.status, subtasks) : task.status;
+    setSavingChecklist(true);
+    try {
+      await updateTask(
+        getTaskId(task),
+        { ...toTaskPayload(task), subtasks, status },
+        { ifMatch: getTaskVersionTag(task) }
+      );
+    } catch (error) {
+      showToast({
+        type: 'error',
+        message: isConflictError(error)
+          ? 'This task was changed by someone else. It now shows their version.'
+          : error.nextOccurrenceFailed
+            ? error.message
+            : error.response?.data?.message || 'Failed to update the checklist',
+      });
+    } finally {
+      setSavingChecklist(false);
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Soft-delete the task and return to the list, where the Undo toast can restore it
+   */
+  const handleDelete = () => {
+    scheduleDelete(task);
+    navigate('/dashboard/tasks');
+  };
+
+  if (loading) {
+    return <div className="text-center py-8 text-textColor">Loading task...</div>;
+  }
+
+  if (notFound) {
+    return (
+      <div className="max-w-2xl mx-auto">
+        <div className="bg-surface rounded-lg shadow-xl p-6 text-center">
+          <h2 className="text-2xl font-bold text-textColor mb-2">Task not found</h2>
+          <p className="text-gray-400 mb-6">
+            This task doesn't exist or may have been deleted.
+          </p>
+          <Link
+            to="/dashboard/tasks"
+            className="bg-primary hover:bg-secondary text-white px-4 py-2 rounded-lg text-sm font-medium transition"
+          >
+            Back to Tasks
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <Link to="/dashboard/tasks" className="inline-block mb-4 text-secondary hover:text-primary text-sm">
+        ← Back to Tasks
+      </Link>
+
+      <div className="bg-surface rounded-lg shadow-xl p-6">
+        {!task ? (
+          <div>
+            <div className="mb-4 p-3 bg-error/10 border border-error rounded-lg text-error text-sm">
+              {loadError}
+            </div>
+            <button
+              onClick={loadTask}
+              className="bg-primary hover:bg-secondary text-white px-4 py-2 rounded-lg text-sm font-medium transition"
+            >
+              Retry
+            </button>
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-col sm:flex-row justify-between items-start mb-6 space-y-4 sm:space-y-0">
+              <div className="flex-1">
+                <h2 className="text-2xl font-bold text-textColor mb-2">{task.title}</h2>
+                <div className="flex flex-wrap items-center gap-2">
+                  <span
+                    className={`inline-block px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(
+                      task.status
+                    )}`}
+                  >
+                    {task.status}
+                  </span>
+                  {task.priority && (
+                    <span
+                      className={`inline-block px-3 py-1 rounded-full text-xs font-medium ${getPriorityColor(
+                        task.priority
+                      )}`}
+                    >
+                      {task.priority} priority
+                    </span>
+                  )}
+                  {task.tags?.map(tag => (
+                    <TagChip key={tag} name={tag} />
+                  ))}
+                </div>
+              </div>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => setShowModal(true)}
+                  className="bg-secondary hover:bg-primary text-white px-4 py-2 rounded-lg text-sm font-medium transition"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={handleDelete}
+                  className="bg-error hover:bg-red-600 text-white px-4 py-2 rounded-lg text-sm font-medium transition"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+
+            <div className="mb-6">
+              <h3 className="text-gray-400 text-sm font-medium mb-1">Description</h3>
+              <p className="text-textColor whitespace-pre-wrap">{task.description}</p>
+            </div>
+
+            <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+              <div>
+                <dt className="text-gray-400 text-sm font-medium mb-1">Due date</dt>
+                <dd className={getDueState(task) === 'overdue' ? 'text-error' : 'text-textColor'}>
+                  {formatDueDate(task.dueDate) || 'None'}
+                  {getDueState(task) === 'overdue' && ' (overdue)'}
+                </dd>
+              </div>
+              {task.recurrence && (
+                <div>
+                  <dt className="text-gray-400 text-sm font-medium mb-1">Repeats</dt>
+                  <dd className="text-textColor">{describeRecurrence(task.recurrence)}</dd>
+                </div>
+              )}
+              <div>
+                <dt className="text-gray-400 text-sm font-medium mb-1">Priority</dt>
+                <dd className="text-textColor capitalize">{task.priority || 'N/A'}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-400 text-sm font-medium mb-1">Created</dt>
+                <dd className="text-textColor">{formatDateTime(task.createdAt) || 'N/A'}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-400 text-sm font-medium mb-1">Last updated</dt>
+                <dd className="text-textColor">{formatDateTime(task.updatedAt) || 'N/A'}</dd>
+              </div>
+            </dl>
+
+            {task.subtasks?.length > 0 && (
+              <div className="mb-6">
+                <div className="flex justify-between items-center mb-2 space-x-4">
+                  <h3 className="text-gray-400 text-sm font-medium">Checklist</h3>
+                  <ChecklistProgress task={task} />
+                </div>
+                <ul className="space-y-1">
+                  {task.subtasks.map((subtask, index) => (
+                    <li key={subtask._id || subtask.id || index}>
+                      <label className="flex items-center text-sm text-textColor">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(subtask.completed)}
+                          onChange={() => handleToggleSubtask(index)}
+                          disabled={savingChecklist}
+                          className="mr-2 h-4 w-4 accent-secondary"
+                        />
+                        <span className={subtask.completed ? 'line-through text-gray-400' : ''}>
+                          {subtask.title}
+                        </span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-6 border-t border-gray-600 pt-6">
+              <div className="md:col-span-3">
+                <TaskComments key={id} taskId={id} />
+              </div>
+              <div className="md:col-span-2">
+                <TaskActivity key={id} task={task} />
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+
+      {showModal && task && (
+        <TaskFormModal
+          task={task}
+          onClose={() => setShowModal(false)}
+          onSaved={handleSaved}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TaskDetail;
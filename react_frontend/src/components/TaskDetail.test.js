@@ -0,0 +1,86 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import TaskDetail from './TaskDetail';
+import { ToastProvider } from '../contexts/ToastContext';
+import { tasksAPI } from '../utils/api';
+import { clearTaskCache } from '../utils/taskCache';
+
+jest.mock('../utils/api', () => ({
+  ...jest.requireActual('../utils/api'),
+  tasksAPI: { getOne: jest.fn(), update: jest.fn(), create: jest.fn() },
+}));
+
+jest.mock('../utils/offlineStore', () => ({
+  readOffline: jest.fn(() => Promise.resolve()),
+  writeOffline: jest.fn(),
+  clearOffline: jest.fn(),
+}));
+
+// The comment thread and activity timeline load their own data
+jest.mock('./TaskComments', () => () => null);
+jest.mock('./TaskActivity', () => () => null);
+
+/**
+ * Render the detail page of a task served by the mocked API
+ * @param {Object} task - Task returned by tasksAPI.getOne
+ */
+const renderTask = async (task) => {
+  tasksAPI.getOne.mockResolvedValue({ data: task, headers: {} });
+  tasksAPI.update.mockImplementation(async (id, data) => ({ data: { ...task, ...data }, headers: {} }));
+  render(
+    <ToastProvider>
+      <MemoryRouter
+        initialEntries={[`/dashboard/tasks/${task._id}`]}
+        future={{ v7_startTransition: true, v7_relativeSplatPath: true }}
+      >
+        <Routes>
+          <Route path="/dashboard/tasks/:id" element={<TaskDetail />} />
+        </Routes>
+      </MemoryRouter>
+    </ToastProvider>
+  );
+  await screen.findByText(task.title);
+};
+
+beforeEach(() => {
+  clearTaskCache();
+});
+
+describe('checking off checklist items', () => {
+  const subtasks = [
+    { title: 'Buy paint', completed: true },
+    { title: 'Paint fence', completed: false },
+  ];
+
+  test.each([
+    ['completes the task when auto status is on', true, 'pending', 'completed'],
+    ['leaves the status alone when auto status is off', false, 'pending', 'pending'],
+  ])('%s and the last item is checked', async (_, autoStatus, status, expected) => {
+    await renderTask({ _id: 't1', title: 'Fence', status, autoStatus, subtasks });
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Paint fence' }));
+
+    await waitFor(() => expect(tasksAPI.update).toHaveBeenCalledTimes(1));
+    expect(tasksAPI.update.mock.calls[0][1]).toMatchObject({
+      status: expected,
+      autoStatus,
+      subtasks: [subtasks[0], { title: 'Paint fence', completed: true }],
+    });
+  });
+
+  test.each([
+    ['reopens the task when auto status is on', true, 'in-progress'],
+    ['leaves the task completed when auto status is off', false, 'completed'],
+  ])('%s and an item is unchecked', async (_, autoStatus, expected) => {
+    await renderTask({
+      _id: 't1',
+      title: 'Fence',
+      status: 'completed',
+      autoStatus,
+      subtasks: subtasks.map(subtask => ({ ...subtask, completed: true })),
+    });
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Buy paint' }));
+
+    await waitFor(() => expect(tasksAPI.update).toHaveBeenCalledTimes(1));
+    expect(tasksAPI.update.mock.calls[0][1]).toMatchObject({ status: expected });
+  });
+});
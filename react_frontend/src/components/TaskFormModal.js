@@ -0,0 +1,404 @@
+import React, { useState } from 'react';
+import { createTask, updateTask } from '../utils/taskCache';
+import { rememberTags } from '../utils/tagStore';
+import { useToast } from '../contexts/ToastContext';
+import {
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  DEFAULT_PRIORITY,
+  getTaskId,
+  getTaskVersionTag,
+  validateTask,
+  toDateInputValue,
+  getChecklistStatus,
+} from '../utils/tasks';
+import TaskConflictDialog from './TaskConflictDialog';
+import TagInput from './TagInput';
+import SubtaskEditor, { withSubtaskKeys, withoutSubtaskKeys } from './SubtaskEditor';
+import RecurrenceEditor from './RecurrenceEditor';
+
+/**
+ * Build the initial form state for a task
+ * @param {Object|null} task - Task being edited, or null when creating
+ * @param {Object|null} [initialValues] - Field values a new task starts with
+ * @returns {Object} Form data
+ */
+const getInitialFormData = (task, initialValues) => ({
+  title: task?.title || '',
+  description: task?.description || '',
+  status: task?.status || 'pending',
+  priority: task?.priority || DEFAULT_PRIORITY,
+  dueDate: toDateInputValue(task?.dueDate),
+  tags: task?.tags || [],
+  subtasks: withSubtaskKeys(task?.subtasks),
+  autoStatus: Boolean(task?.autoStatus),
+  recurrence: task?.recurrence || null,
+  ...(!task && initialValues),
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Modal with the create/edit task form
+ * @param {Object} props - Component props
+ * @param {Object|null} props.task - Task to edit, or null to create a new one
+ * @param {Object|null} [props.initialValues] - Field values a new task starts with, e.g. { dueDate }
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onSaved - Called with the saved task and whether it was newly created
+ */
+const TaskFormModal = ({ task, initialValues, onClose, onSaved }) => {
+  const [formData, setFormData] = useState(() => getInitialFormData(task, initialValues));
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [apiError, setApiError] = useState('');
+  // Set when someone else saved the task first: { local, server }
+  const [conflict, setConflict] = useState(null);
+  const { showToast } = useToast();
+
+  // PUBLIC_INTERFACE
+  /**
+   * Handle form field changes
+   * @param {Event} e - Input change event
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Handle tag changes
+   * @param {Array<string>} tags - Selected tag names
+   */
+  const handleTagsChange = (tags) => {
+    setFormData(prev => ({ ...prev, tags }));
+    if (errors.tags) {
+      setErrors(prev => ({ ...prev, tags: '' }));
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Handle repeat rule changes
+   * @param {Object|null} recurrence - Updated rule, or null when the task no longer repeats
+   */
+  const handleRecurrenceChange = (recurrence) => {
+    setFormData(prev => ({ ...prev, recurrence }));
+    if (errors.recurrence) {
+      setErrors(prev => ({ ...prev, recurrence: '' }));
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Handle checklist changes, moving the status along with it when the task takes its status from the checklist
+   * @param {Array} subtasks - Updated checklist items
+   */
+  const handleSubtasksChange = (subtasks) => {
+    setFormData(prev => ({
+      ...prev,
+      subtasks,
+      status: prev.autoStatus ? getChecklistStatus(prev.status, subtasks) : prev.status,
+    }));
+    if (errors.subtasks) {
+      setErrors(prev => ({ ...prev, subtasks: '' }));
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Turn status-from-checklist on or off, bringing the status in line straight away when turned on
+   * @param {Event} e - Checkbox change event
+   */
+  const handleAutoStatusChange = (e) => {
+    const { checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      autoStatus: checked,
+      status: checked ? getChecklistStatus(prev.status, prev.subtasks) : prev.status,
+    }));
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Validate form fields
+   * @returns {boolean} Whether form is valid
+   */
+  const validate = () => {
+    const newErrors = validateTask(formData, { isNew: !task });
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Save changes to the task being edited. The API rejects them if the task has
+   * moved on from the version they were made against, which opens the conflict dialog.
+   * @param {Object} taskData - Task data to save
+   * @param {string} [ifMatch] - Version the changes were made against
+   */
+  const saveChanges = async (taskData, ifMatch) => {
+    try {
+      const saved = await updateTask(getTaskId(task), taskData, { ifMatch });
+      rememberTags(taskData.tags);
+      onSaved(saved, false);
+    } catch (error) {
+      setLoading(false);
+      if (error.serverTask) {
+        setConflict({ local: taskData, server: error.serverTask });
+      } else {
+        setApiError(
+          error.nextOccurrenceFailed ? error.message : error.response?.data?.message || 'Operation failed'
+        );
+      }
+    }
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Save the data chosen in the conflict dialog over the current server version
+   * @param {Object} taskData - Task data to save
+   */
+  const handleConflictSave = (taskData) => {
+    const { server } = conflict;
+    setConflict(null);
+    setFormData({
+      ...taskData,
+      dueDate: toDateInputValue(taskData.dueDate),
+      subtasks: withSubtaskKeys(taskData.subtasks),
+    });
+    setLoading(true);
+    return saveChanges(taskData, getTaskVersionTag(server));
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Drop the user's edit in favour of the server version, which the cache already holds
+   */
+  const handleConflictUseServer = () => {
+    setConflict(null);
+    showToast({ message: 'Kept the version saved by someone else.' });
+    onClose();
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Handle form submission for create or update
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setApiError('');
+
+    if (!validate()) {
+      return;
+    }
+
+    setLoading(true);
+
+    // An empty due date is sent as null so the API clears it
+    const taskData = {
+      ...formData,
+      dueDate: formData.dueDate || null,
+      subtasks: withoutSubtaskKeys(formData.subtasks),
+    };
+    if (task) {
+      // Checked against the version the form was opened with, not any newer copy cached since
+      await saveChanges(taskData, getTaskVersionTag(task));
+      return;
+    }
+
+    try {
+      const created = await createTask(taskData);
+      rememberTags(taskData.tags);
+      onSaved(created, true);
+    } catch (error) {
+      setApiError(error.response?.data?.message || 'Operation failed');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-surface rounded-lg shadow-xl p-6 max-w-md w-full max-h-full overflow-y-auto">
+        <h3 className="text-xl font-bold text-textColor mb-4">
+          {task ? 'Edit Task' : 'Create Task'}
+        </h3>
+
+        {apiError && (
+          <div className="mb-4 p-3 bg-error/10 border border-error rounded-lg text-error text-sm">
+            {apiError}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="title" className="block text-textColor text-sm font-medium mb-2">
+              Title
+            </label>
+            <input
+              type="text"
+              id="title"
+              name="title"
+              value={formData.title}
+              onChange={handleChange}
+              className={`w-full px-4 py-2 bg-background border ${
+                errors.title ? 'border-error' : 'border-gray-600'
+              } rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary`}
+            />
+            {errors.title && (
+              <p className="mt-1 text-error text-sm">{errors.title}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="description" className="block text-textColor text-sm font-medium mb-2">
+              Description
+            </label>
+            <textarea
+              id="description"
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              rows="3"
+              className={`w-full px-4 py-2 bg-background border ${
+                errors.description ? 'border-error' : 'border-gray-600'
+              } rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary`}
+            />
+            {errors.description && (
+              <p className="mt-1 text-error text-sm">{errors.description}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="status" className="block text-textColor text-sm font-medium mb-2">
+                Status
+              </label>
+              <select
+                id="status"
+                name="status"
+                value={formData.status}
+                onChange={handleChange}
+                className="w-full px-4 py-2 bg-background border border-gray-600 rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                {TASK_STATUSES.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor="priority" className="block text-textColor text-sm font-medium mb-2">
+                Priority
+              </label>
+              <select
+                id="priority"
+                name="priority"
+                value={formData.priority}
+                onChange={handleChange}
+                className={`w-full px-4 py-2 bg-background border ${
+                  errors.priority ? 'border-error' : 'border-gray-600'
+                } rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary`}
+              >
+                {TASK_PRIORITIES.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {errors.priority && (
+                <p className="mt-1 text-error text-sm">{errors.priority}</p>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="dueDate" className="block text-textColor text-sm font-medium mb-2">
+              Due Date (optional)
+            </label>
+            <input
+              type="date"
+              id="dueDate"
+              name="dueDate"
+              value={formData.dueDate}
+              onChange={handleChange}
+              className={`w-full px-4 py-2 bg-background border ${
+                errors.dueDate ? 'border-error' : 'border-gray-600'
+              } rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary`}
+            />
+            {errors.dueDate && (
+              <p className="mt-1 text-error text-sm">{errors.dueDate}</p>
+            )}
+          </div>
+
+          <RecurrenceEditor
+            value={formData.recurrence}
+            dueDate={formData.dueDate}
+            onChange={handleRecurrenceChange}
+            error={errors.recurrence}
+          />
+
+          <TagInput value={formData.tags} onChange={handleTagsChange} error={errors.tags} />
+
+          <SubtaskEditor
+            subtasks={formData.subtasks}
+            onChange={handleSubtasksChange}
+            error={errors.subtasks}
+          />
+
+          {formData.subtasks.length > 0 && (
+            <label className="flex items-start text-sm text-textColor">
+              <input
+                type="checkbox"
+                checked={formData.autoStatus}
+                onChange={handleAutoStatusChange}
+                className="mt-0.5 mr-2 h-4 w-4 accent-secondary"
+              />
+              <span>
+                Update status from the checklist
+                <span className="block text-xs text-gray-400">
+                  Completed when every item is checked, back to In Progress when one is unchecked
+                </span>
+              </span>
+            </label>
+          )}
+
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 bg-primary hover:bg-secondary text-white font-semibold py-2 px-4 rounded-lg transition disabled:opacity-50"
+            >
+              {loading ? 'Saving...' : task ? 'Update' : 'Create'}
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-lg transition"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {conflict && (
+        <TaskConflictDialog
+          description={`"${conflict.server.title}" was changed by someone else while you were editing it.`}
+          local={conflict.local}
+          server={conflict.server}
+          base={task}
+          onSave={handleConflictSave}
+          onUseServer={handleConflictUseServer}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TaskFormModal;
@@ -1,84 +1,299 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { tasksAPI } from '../utils/api';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { isNetworkError, isConflictError } from '../utils/api';
+import { settleWithConcurrency } from '../utils/async';
+import { updateTask, deleteTask, fetchAllTasks } from '../utils/taskCache';
+import useDebounce from '../hooks/useDebounce';
+import useTaskQuery from '../hooks/useTaskQuery';
+import usePersistentState from '../hooks/usePersistentState';
+import useUndoableDelete from '../hooks/useUndoableDelete';
+import useSavedViews from '../hooks/useSavedViews';
+import { useToast } from '../contexts/ToastContext';
+import {
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  TASK_SORT_OPTIONS,
+  getTaskId,
+  parseDueDate,
+  toTaskPayload,
+  buildTaskQueryParams,
+} from '../utils/tasks';
+import {
+  EMPTY_TASK_FILTERS,
+  parseTaskFilters,
+  setQueryValues,
+  toFilterQuery,
+  hasActiveFilters,
+} from '../utils/taskFilters';
+import { MAX_VIEW_NAME_LENGTH } from '../utils/savedViews';
+import { serializeTasks, downloadFile } from '../utils/taskTransfer';
+import { toICalendar } from '../utils/icalendar';
+import Pagination, { PAGE_SIZE_OPTIONS } from './Pagination';
+import TaskCard from './TaskCard';
+import TaskBoard from './TaskBoard';
+import TaskCalendar from './TaskCalendar';
+import BulkActionBar from './BulkActionBar';
+import LiveIndicator from './LiveIndicator';
+import TaskFormModal from './TaskFormModal';
+import TagFilter from './TagFilter';
+import TagManagerModal from './TagManagerModal';
+import ImportTasksModal from './ImportTasksModal';
+
+const DEFAULT_PAGE_SIZE = PAGE_SIZE_OPTIONS[0];
+const SEARCH_DEBOUNCE_MS = 300;
+
+const TASK_VIEWS = ['list', 'board', 'calendar'];
+
+// Calendar formats hold only tasks with due dates, as one iCalendar component each
+const EXPORT_FORMATS = [
+  { value: 'csv', extension: 'csv', label: 'CSV', type: 'text/csv' },
+  { value: 'json', extension: 'json', label: 'JSON', type: 'application/json' },
+  { value: 'ics-events', extension: 'ics', component: 'VEVENT', label: 'calendar events (.ics)', type: 'text/calendar' },
+  { value: 'ics-todos', extension: 'ics', component: 'VTODO', label: 'calendar to-dos (.ics)', type: 'text/calendar' },
+];
+
+// Everything the list keeps in the URL, with the values left out of it
+const QUERY_DEFAULTS = { ...EMPTY_TASK_FILTERS, page: 1, limit: DEFAULT_PAGE_SIZE };
+
+/**
+ * Parse a positive integer query param, falling back to a default
+ * @param {string|null} value - Raw query param value
+ * @param {number} fallback - Value used when missing or invalid
+ * @returns {number} Parsed positive integer
+ */
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+};
 
 // PUBLIC_INTERFACE
 /**
- * Tasks component for managing tasks with CRUD operations, search, and filter
+ * Tasks component for managing tasks with CRUD operations, search, and filter.
+ * Search, filters, sort and pagination live in the query string so any list
+ * can be bookmarked, shared or saved as a named view.
  */
 const Tasks = () => {
-  const [tasks, setTasks] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { showToast } = useToast();
+  const { pendingIds, scheduleDelete } = useUndoableDelete();
   const [showModal, setShowModal] = useState(false);
+  const [showTagManager, setShowTagManager] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [exporting, setExporting] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
-  const [searchText, setSearchText] = useState('');
-  const [statusFilter, setStatusFilter] = useState('');
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    status: 'pending',
-  });
-  const [errors, setErrors] = useState({});
-  const [message, setMessage] = useState({ type: '', text: '' });
+  // Values a new task starts with, e.g. the due date of the calendar day clicked
+  const [newTaskValues, setNewTaskValues] = useState(null);
+  const { views, defaultView, saveView } = useSavedViews();
+  const filters = parseTaskFilters(searchParams);
+  const [searchText, setSearchText] = useState(filters.search);
+  // Last search synced between the input and the URL, to tell typing from navigation
+  const lastSearchRef = useRef(filters.search);
+  const appliedDefaultViewRef = useRef(false);
+  // Name being typed for a new saved view, or null when not saving
+  const [viewName, setViewName] = useState(null);
+  const [view, setView] = usePersistentState('tasksView', 'list', (value) => TASK_VIEWS.includes(value));
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [bulkProgress, setBulkProgress] = useState(null);
+  const [bulkFailures, setBulkFailures] = useState([]);
+  const lastSelectedIndexRef = useRef(null);
+  const debouncedSearchText = useDebounce(searchText.trim(), SEARCH_DEBOUNCE_MS);
+
+  const page = parsePositiveInt(searchParams.get('page'), 1);
+  const requestedLimit = parsePositiveInt(searchParams.get('limit'), DEFAULT_PAGE_SIZE);
+  const limit = PAGE_SIZE_OPTIONS.includes(requestedLimit) ? requestedLimit : DEFAULT_PAGE_SIZE;
+
+  // Served from the task cache, which refetches in the background when stale
+  const { tasks, total, fetching, error: fetchError } = useTaskQuery(
+    buildTaskQueryParams({ ...filters, page, limit })
+  );
+  const filterQuery = toFilterQuery(filters);
+  const currentView = views.find(view => view.query === filterQuery);
+
+  // Tasks waiting out their undo grace period are hidden but not yet deleted
+  const visibleTasks = tasks.filter(task => !pendingIds.has(getTaskId(task)));
+  const visibleTotal = total - (tasks.length - visibleTasks.length);
+  // Tasks created offline have no server ID yet, so bulk actions skip them
+  const selectableTasks = visibleTasks.filter(task => !task.optimistic);
 
   // PUBLIC_INTERFACE
   /**
-   * Fetch tasks from API with search and filter parameters
+   * Update filter and pagination query params, dropping them when they equal the defaults
+   * @param {Object} updates - Values to set (search, status, priority, tags, tagMode, dueFrom, dueTo, sort, page, limit)
+   * @param {Object} [options] - Navigation options passed to setSearchParams
    */
-  const fetchTasks = useCallback(async () => {
-    setLoading(true);
-    try {
-      const params = {};
-      if (searchText) params.search = searchText;
-      if (statusFilter) params.status = statusFilter;
+  const updateQuery = useCallback((updates, options) => {
+    setSearchParams(prev => setQueryValues(prev, updates, QUERY_DEFAULTS), options);
+  }, [setSearchParams]);
 
-      const response = await tasksAPI.getAll(params);
-      setTasks(response.data.tasks || response.data || []);
-    } catch (error) {
-      setMessage({
+  // Open with the default saved view when Tasks is reached without any filters
+  useEffect(() => {
+    if (appliedDefaultViewRef.current) {
+      return;
+    }
+    appliedDefaultViewRef.current = true;
+    if (defaultView && !hasActiveFilters(parseTaskFilters(searchParams))) {
+      setSearchParams(prev => {
+        const next = new URLSearchParams(defaultView.query);
+        ['page', 'limit'].filter(key => prev.has(key)).forEach(key => next.set(key, prev.get(key)));
+        return next;
+      }, { replace: true });
+    }
+  }, [defaultView, searchParams, setSearchParams]);
+
+  // Follow the URL when it changes the search, e.g. opening a saved view or going back
+  useEffect(() => {
+    if (filters.search !== lastSearchRef.current) {
+      lastSearchRef.current = filters.search;
+      setSearchText(filters.search);
+    }
+  }, [filters.search]);
+
+  // Write the search to the URL once typing pauses
+  useEffect(() => {
+    if (debouncedSearchText !== lastSearchRef.current) {
+      lastSearchRef.current = debouncedSearchText;
+      updateQuery({ search: debouncedSearchText }, { replace: true });
+    }
+  }, [debouncedSearchText, updateQuery]);
+
+  // Report failed fetches; cached results stay on screen
+  useEffect(() => {
+    if (fetchError) {
+      showToast({
         type: 'error',
-        text: error.response?.data?.message || 'Failed to fetch tasks',
+        message: isNetworkError(fetchError)
+          ? "You're offline and these tasks haven't been saved for offline use yet."
+          : fetchError.response?.data?.message || 'Failed to fetch tasks',
       });
-    } finally {
-      setLoading(false);
     }
-  }, [searchText, statusFilter]);
+  }, [fetchError, showToast]);
 
-  // Fetch tasks on component mount and when filters change
+  // Drop selected tasks that are no longer on the current page or are being deleted
   useEffect(() => {
-    fetchTasks();
-  }, [fetchTasks]);
+    const visibleIds = new Set(tasks.map(getTaskId).filter(id => !pendingIds.has(id)));
+    setSelectedIds(prev => {
+      const next = new Set([...prev].filter(id => visibleIds.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [tasks, pendingIds]);
+
+  // Clamp the page when it runs past the end, e.g. after deleting the last task on it
+  useEffect(() => {
+    const totalPages = Math.max(1, Math.ceil(total / limit));
+    if (!fetching && page > totalPages) {
+      updateQuery({ page: totalPages }, { replace: true });
+    }
+  }, [fetching, total, limit, page, updateQuery]);
 
   // PUBLIC_INTERFACE
   /**
-   * Handle form field changes
+   * Handle search input changes and return to the first page
    * @param {Event} e - Input change event
    */
-  const handleChange = (e) => {
+  const handleSearchChange = (e) => {
+    setSearchText(e.target.value);
+    updateQuery({ page: 1 }, { replace: true });
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Handle filter and sort changes and return to the first page
+   * @param {Event} e - Select or input change event
+   */
+  const handleFilterChange = (e) => {
     const { name, value } = e.target;
-    setFormData(prev => ({ ...prev, [name]: value }));
-    if (errors[name]) {
-      setErrors(prev => ({ ...prev, [name]: '' }));
-    }
+    updateQuery({ [name]: value, page: 1 }, { replace: true });
   };
 
   // PUBLIC_INTERFACE
   /**
-   * Validate form fields
-   * @returns {boolean} Whether form is valid
+   * Handle tag filter changes and return to the first page
+   * @param {Object} tagFilter - Selected tags and how to match them
+   * @param {Array<string>} tagFilter.tags - Selected tag names
+   * @param {string} tagFilter.tagMode - 'any' or 'all'
    */
-  const validate = () => {
-    const newErrors = {};
+  const handleTagFilterChange = ({ tags: selectedTags, tagMode }) => {
+    updateQuery({ tags: selectedTags, tagMode, page: 1 }, { replace: true });
+  };
 
-    if (!formData.title.trim()) {
-      newErrors.title = 'Title is required';
+  // PUBLIC_INTERFACE
+  /**
+   * Keep the tag filter pointing at the right tags after one is renamed, merged or deleted
+   * @param {Object} change - { from, to }; to is null when the tag was deleted
+   */
+  const handleTagChange = ({ from, to }) => {
+    if (!filters.tags.includes(from)) {
+      return;
     }
+    const renamed = filters.tags.filter(tag => tag !== from && tag !== to);
+    updateQuery({ tags: to ? [...renamed, to] : renamed }, { replace: true });
+  };
 
-    if (!formData.description.trim()) {
-      newErrors.description = 'Description is required';
+  // PUBLIC_INTERFACE
+  /**
+   * Reset search, filters and sorting to their defaults
+   */
+  const handleClearFilters = () => {
+    setSearchText('');
+    updateQuery({ ...EMPTY_TASK_FILTERS, page: 1 }, { replace: true });
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Save the current search, filters and sort as a named view in the sidebar
+   * @param {Event} e - Form submit event
+   */
+  const handleSaveView = (e) => {
+    e.preventDefault();
+    const name = viewName.trim();
+    if (!name) {
+      return;
     }
+    saveView(name, filterQuery);
+    setViewName(null);
+    showToast({ type: 'success', message: `Saved "${name}". Find it under Tasks in the sidebar.` });
+  };
 
-    setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
+  // PUBLIC_INTERFACE
+  /**
+   * Download every task matching the current search and filters, across all pages
+   * @param {Object} format - Entry of EXPORT_FORMATS
+   * @param {Event} e - Click event from the export menu
+   */
+  const handleExport = async (format, e) => {
+    e.currentTarget.closest('details').open = false;
+    setExporting(true);
+    try {
+      const allTasks = (await fetchAllTasks(buildTaskQueryParams(filters)))
+        .filter(task => !pendingIds.has(getTaskId(task)))
+        .filter(task => !format.component || parseDueDate(task.dueDate));
+      if (allTasks.length === 0) {
+        showToast({
+          message: format.component
+            ? 'No tasks with due dates match the current filters, so there is nothing to export.'
+            : 'No tasks match the current filters, so there is nothing to export.',
+        });
+        return;
+      }
+      const content = format.component
+        ? toICalendar(allTasks, { component: format.component })
+        : serializeTasks(allTasks, format.value);
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(content, `tasks-${date}.${format.extension}`, format.type);
+      showToast({
+        type: 'success',
+        message: `Exported ${allTasks.length} ${allTasks.length === 1 ? 'task' : 'tasks'} as ${format.label}.`,
+      });
+    } catch (error) {
+      showToast({
+        type: 'error',
+        message: isNetworkError(error)
+          ? "You're offline. Reconnect to export tasks."
+          : error.response?.data?.message || 'Failed to export tasks',
+      });
+    } finally {
+      setExporting(false);
+    }
   };
 
   // PUBLIC_INTERFACE
@@ -87,13 +302,18 @@ const Tasks = () => {
    */
   const handleCreate = () => {
     setEditingTask(null);
-    setFormData({
-      title: '',
-      description: '',
-      status: 'pending',
-    });
-    setErrors({});
-    setMessage({ type: '', text: '' });
+    setNewTaskValues(null);
+    setShowModal(true);
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Open modal for creating a task due on a calendar day
+   * @param {string} dueDate - Day clicked, as YYYY-MM-DD
+   */
+  const handleCreateOnDate = (dueDate) => {
+    setEditingTask(null);
+    setNewTaskValues({ dueDate });
     setShowModal(true);
   };
 
@@ -104,273 +324,484 @@ const Tasks = () => {
    */
   const handleEdit = (task) => {
     setEditingTask(task);
-    setFormData({
-      title: task.title,
-      description: task.description,
-      status: task.status,
-    });
-    setErrors({});
-    setMessage({ type: '', text: '' });
     setShowModal(true);
   };
 
   // PUBLIC_INTERFACE
   /**
-   * Handle form submission for create or update
-   * @param {Event} e - Form submit event
+   * Handle a task saved from the modal
+   * @param {Object} task - Saved task
+   * @param {boolean} isNew - Whether the task was created rather than updated
    */
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setMessage({ type: '', text: '' });
-
-    if (!validate()) {
+  const handleSaved = (task, isNew) => {
+    setShowModal(false);
+    if (task.queued) {
+      showToast({ message: "You're offline. The task is saved on this device and will sync when you reconnect." });
       return;
     }
+    showToast({
+      type: 'success',
+      message: isNew ? 'Task created successfully!' : 'Task updated successfully!',
+    });
+  };
 
-    setLoading(true);
-
+  // PUBLIC_INTERFACE
+  /**
+   * Move a task to another status from the board. The cache moves the card
+   * immediately and puts it back if the update fails.
+   * @param {Object} task - Task being moved
+   * @param {string} status - New status
+   */
+  const handleMove = async (task, status) => {
     try {
-      if (editingTask) {
-        await tasksAPI.update(editingTask._id || editingTask.id, formData);
-        setMessage({ type: 'success', text: 'Task updated successfully!' });
-      } else {
-        await tasksAPI.create(formData);
-        setMessage({ type: 'success', text: 'Task created successfully!' });
-      }
-      setShowModal(false);
-      fetchTasks();
+      await updateTask(getTaskId(task), { ...toTaskPayload(task), status });
     } catch (error) {
-      setMessage({
+      showToast({
         type: 'error',
-        text: error.response?.data?.message || 'Operation failed',
+        message: isConflictError(error)
+          ? `"${task.title}" was changed by someone else. Check the latest version and try again.`
+          : error.nextOccurrenceFailed
+            ? error.message
+            : error.response?.data?.message || `Failed to move "${task.title}"`,
       });
-    } finally {
-      setLoading(false);
     }
   };
 
   // PUBLIC_INTERFACE
   /**
-   * Delete a task
-   * @param {string} id - Task ID
+   * Give a task a new due date after it is dragged to another day on the calendar.
+   * The cache moves it immediately and puts it back if the update fails.
+   * @param {Object} task - Task being moved
+   * @param {string} dueDate - New due date as YYYY-MM-DD
    */
-  const handleDelete = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this task?')) {
-      return;
-    }
-
-    setLoading(true);
+  const handleReschedule = async (task, dueDate) => {
     try {
-      await tasksAPI.delete(id);
-      setMessage({ type: 'success', text: 'Task deleted successfully!' });
-      fetchTasks();
+      await updateTask(getTaskId(task), { ...toTaskPayload(task), dueDate });
     } catch (error) {
-      setMessage({
+      showToast({
         type: 'error',
-        text: error.response?.data?.message || 'Failed to delete task',
+        message: isConflictError(error)
+          ? `"${task.title}" was changed by someone else. Check the latest version and try again.`
+          : error.response?.data?.message || `Failed to reschedule "${task.title}"`,
       });
-    } finally {
-      setLoading(false);
     }
   };
 
   // PUBLIC_INTERFACE
   /**
-   * Get status badge color
-   * @param {string} status - Task status
-   * @returns {string} CSS classes for status badge
+   * Toggle selection of a task. Shift-clicking selects or deselects the
+   * range from the previously clicked task.
+   * @param {Object} task - Task whose checkbox was toggled
+   * @param {Event} e - Checkbox change event
+   */
+  const handleSelect = (task, e) => {
+    const index = selectableTasks.findIndex(t => getTaskId(t) === getTaskId(task));
+    const shouldSelect = e.target.checked;
+    const anchor = lastSelectedIndexRef.current;
+    const range =
+      e.nativeEvent.shiftKey && anchor !== null && anchor < selectableTasks.length
+        ? selectableTasks.slice(Math.min(anchor, index), Math.max(anchor, index) + 1)
+        : [task];
+
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      range.forEach(t => (shouldSelect ? next.add(getTaskId(t)) : next.delete(getTaskId(t))));
+      return next;
+    });
+    lastSelectedIndexRef.current = index;
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Select or deselect every task on the current page
+   * @param {Event} e - Checkbox change event
+   */
+  const handleSelectAll = (e) => {
+    setSelectedIds(e.target.checked ? new Set(selectableTasks.map(getTaskId)) : new Set());
+    lastSelectedIndexRef.current = null;
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Run an action on every selected task, reporting progress and collecting failures.
+   * Tasks that fail stay selected so the action can be retried.
+   * @param {Function} action - Async function called with each selected task
+   * @param {string} verb - Past-tense verb for the summary message, e.g. "Deleted"
+   */
+  const runBulkAction = async (action, verb) => {
+    const selectedTasks = tasks.filter(task => selectedIds.has(getTaskId(task)));
+    setBulkFailures([]);
+    setBulkProgress({ done: 0, total: selectedTasks.length });
+
+    const results = await settleWithConcurrency(selectedTasks, action, {
+      onProgress: (done, total) => setBulkProgress({ done, total }),
+    });
+
+    const failed = results.filter(result => !result.ok);
+    setBulkProgress(null);
+    setBulkFailures(
+      failed.map(({ item, error }) => ({
+        id: getTaskId(item),
+        title: item.title,
+        message: isConflictError(error)
+          ? 'Changed by someone else in the meantime'
+          : error.nextOccurrenceFailed
+            ? 'Its next occurrence could not be created'
+            : error.response?.data?.message || 'Request failed',
+      }))
+    );
+    setSelectedIds(new Set(failed.map(({ item }) => getTaskId(item))));
+    showToast({
+      type: failed.length ? 'error' : 'success',
+      message: `${verb} ${results.length - failed.length} of ${results.length} tasks.`,
+    });
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Change the status of all selected tasks
+   * @param {string} status - New status
+   */
+  const handleBulkStatus = (status) =>
+    runBulkAction(
+      task => updateTask(getTaskId(task), { ...toTaskPayload(task), status }),
+      'Updated'
+    );
+
+  // PUBLIC_INTERFACE
+  /**
+   * Delete all selected tasks after a single confirmation
+   */
+  const handleBulkDelete = () => {
+    const count = selectedIds.size;
+    if (!window.confirm(`Are you sure you want to delete ${count} ${count === 1 ? 'task' : 'tasks'}?`)) {
+      return;
+    }
+    runBulkAction(task => deleteTask(getTaskId(task)), 'Deleted');
+  };
+
+  // PUBLIC_INTERFACE
+  /**
+   * Soft-delete a task: it disappears at once and an Undo toast lets the
+   * user bring it back before the delete reaches the API
+   * @param {string} id - Task ID
    */
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'completed':
-        return 'bg-success text-white';
-      case 'in-progress':
-        return 'bg-secondary text-white';
-      default:
-        return 'bg-gray-500 text-white';
+  const handleDelete = (id) => {
+    const task = tasks.find(t => getTaskId(t) === id);
+    if (!task) {
+      return;
     }
+    scheduleDelete(task);
   };
 
+  const isRefreshing = fetching && tasks.length > 0;
+  const isSearching = isRefreshing || searchText.trim() !== debouncedSearchText;
+
   return (
     <div className="max-w-6xl mx-auto">
       <div className="bg-surface rounded-lg shadow-xl p-6">
         <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 space-y-4 sm:space-y-0">
-          <h2 className="text-2xl font-bold text-textColor">Tasks</h2>
-          <button
-            onClick={handleCreate}
-            className="bg-primary hover:bg-secondary text-white px-4 py-2 rounded-lg text-sm font-medium transition"
-          >
-            + Create Task
-          </button>
-        </div>
-
-        {message.text && (
-          <div
-            className={`mb-4 p-3 rounded-lg text-sm ${
-              message.type === 'success'
-                ? 'bg-success/10 border border-success text-success'
-                : 'bg-error/10 border border-error text-error'
-            }`}
-          >
-            {message.text}
+          <div className="flex items-center space-x-3">
+            <h2 className="text-2xl font-bold text-textColor">Tasks</h2>
+            <LiveIndicator />
           </div>
-        )}
+          <div className="flex items-center space-x-3">
+            <div role="group" aria-label="Task layout" className="flex rounded-lg border border-gray-600 overflow-hidden text-sm">
+              {TASK_VIEWS.map((option) => (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => setView(option)}
+                  aria-pressed={view === option}
+                  className={`px-3 py-2 capitalize transition ${
+                    view === option ? 'bg-primary text-white' : 'text-textColor hover:bg-background'
+                  }`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+            <details className="relative">
+              <summary
+                aria-disabled={exporting}
+                className="list-none cursor-pointer px-3 py-2 border border-gray-600 rounded-lg text-sm text-textColor hover:bg-background transition"
+              >
+                {exporting ? 'Exporting…' : 'Export ▾'}
+              </summary>
+              <div className="absolute right-0 z-20 mt-1 w-72 bg-surface border border-gray-600 rounded-lg shadow-xl py-1 text-sm">
+                {EXPORT_FORMATS.map(format => (
+                  <button
+                    key={format.value}
+                    type="button"
+                    onClick={(e) => handleExport(format, e)}
+                    disabled={exporting}
+                    className="block w-full text-left px-4 py-2 text-textColor hover:bg-background disabled:opacity-50"
+                  >
+                    Filtered tasks as {format.label}
+                  </button>
+                ))}
+              </div>
+            </details>
+            <button
+              type="button"
+              onClick={() => setShowImport(true)}
+              className="px-3 py-2 border border-gray-600 rounded-lg text-sm text-textColor hover:bg-background transition"
+            >
+              Import
+            </button>
+            <button
+              onClick={handleCreate}
+              className="bg-primary hover:bg-secondary text-white px-4 py-2 rounded-lg text-sm font-medium transition"
+            >
+              + Create Task
+            </button>
+          </div>
+        </div>
 
         {/* Search and Filter */}
-        <div className="mb-6 flex flex-col sm:flex-row space-y-3 sm:space-y-0 sm:space-x-4">
-          <input
-            type="text"
-            placeholder="Search tasks..."
-            value={searchText}
-            onChange={(e) => setSearchText(e.target.value)}
-            className="flex-1 px-4 py-2 bg-background border border-gray-600 rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
-          />
+        <div className="mb-4 flex flex-col sm:flex-row space-y-3 sm:space-y-0 sm:space-x-4">
+          <div className="relative flex-1">
+            <input
+              type="text"
+              placeholder="Search tasks..."
+              value={searchText}
+              onChange={handleSearchChange}
+              aria-busy={isSearching}
+              className="w-full px-4 py-2 bg-background border border-gray-600 rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+            {isSearching && (
+              <span
+                role="status"
+                className="absolute right-3 top-1/2 -translate-y-1/2 text-xs text-gray-400"
+              >
+                Searching…
+              </span>
+            )}
+          </div>
           <select
-            value={statusFilter}
-            onChange={(e) => setStatusFilter(e.target.value)}
+            name="status"
+            aria-label="Filter by status"
+            value={filters.status}
+            onChange={handleFilterChange}
             className="px-4 py-2 bg-background border border-gray-600 rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
           >
             <option value="">All Status</option>
-            <option value="pending">Pending</option>
-            <option value="in-progress">In Progress</option>
-            <option value="completed">Completed</option>
+            {TASK_STATUSES.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <select
+            name="priority"
+            aria-label="Filter by priority"
+            value={filters.priority}
+            onChange={handleFilterChange}
+            className="px-4 py-2 bg-background border border-gray-600 rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
+          >
+            <option value="">All Priorities</option>
+            {TASK_PRIORITIES.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <TagFilter
+            value={filters.tags}
+            mode={filters.tagMode}
+            onChange={handleTagFilterChange}
+            onManage={() => setShowTagManager(true)}
+          />
+          <select
+            name="sort"
+            aria-label="Sort tasks"
+            value={filters.sort}
+            onChange={handleFilterChange}
+            className="px-4 py-2 bg-background border border-gray-600 rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
+          >
+            {TASK_SORT_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
           </select>
         </div>
 
-        {/* Tasks List */}
-        {loading ? (
-          <div className="text-center py-8 text-textColor">Loading tasks...</div>
-        ) : tasks.length === 0 ? (
-          <div className="text-center py-8 text-gray-400">
-            No tasks found. Create your first task!
-          </div>
-        ) : (
-          <div className="space-y-4">
-            {tasks.map((task) => (
-              <div
-                key={task._id || task.id}
-                className="bg-background border border-gray-600 rounded-lg p-4 hover:border-primary transition"
+        {/* Due date range */}
+        <div className="mb-6 flex flex-col sm:flex-row sm:items-center space-y-3 sm:space-y-0 sm:space-x-4 text-sm">
+          <label htmlFor="dueFrom" className="text-gray-400">
+            Due from
+          </label>
+          <input
+            type="date"
+            id="dueFrom"
+            name="dueFrom"
+            value={filters.dueFrom}
+            max={filters.dueTo || undefined}
+            onChange={handleFilterChange}
+            className="px-4 py-2 bg-background border border-gray-600 rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+          <label htmlFor="dueTo" className="text-gray-400">
+            to
+          </label>
+          <input
+            type="date"
+            id="dueTo"
+            name="dueTo"
+            value={filters.dueTo}
+            min={filters.dueFrom || undefined}
+            onChange={handleFilterChange}
+            className="px-4 py-2 bg-background border border-gray-600 rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+          {hasActiveFilters(filters) && (
+            <button
+              type="button"
+              onClick={handleClearFilters}
+              className="text-secondary hover:text-primary"
+            >
+              Clear filters
+            </button>
+          )}
+          {hasActiveFilters(filters) &&
+            (currentView ? (
+              <span className="text-gray-400">Saved view: {currentView.name}</span>
+            ) : viewName === null ? (
+              <button
+                type="button"
+                onClick={() => setViewName('')}
+                className="text-secondary hover:text-primary"
               >
-                <div className="flex flex-col sm:flex-row justify-between items-start space-y-3 sm:space-y-0">
-                  <div className="flex-1">
-                    <h3 className="text-lg font-semibold text-textColor mb-1">
-                      {task.title}
-                    </h3>
-                    <p className="text-gray-400 text-sm mb-2">
-                      {task.description}
-                    </p>
-                    <span
-                      className={`inline-block px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(
-                        task.status
-                      )}`}
-                    >
-                      {task.status}
-                    </span>
-                  </div>
-                  <div className="flex space-x-2">
-                    <button
-                      onClick={() => handleEdit(task)}
-                      className="bg-secondary hover:bg-primary text-white px-3 py-1 rounded text-sm transition"
-                    >
-                      Edit
-                    </button>
-                    <button
-                      onClick={() => handleDelete(task._id || task.id)}
-                      className="bg-error hover:bg-red-600 text-white px-3 py-1 rounded text-sm transition"
-                    >
-                      Delete
-                    </button>
-                  </div>
-                </div>
-              </div>
-            ))}
-          </div>
-        )}
-      </div>
-
-      {/* Modal for Create/Edit */}
-      {showModal && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-          <div className="bg-surface rounded-lg shadow-xl p-6 max-w-md w-full">
-            <h3 className="text-xl font-bold text-textColor mb-4">
-              {editingTask ? 'Edit Task' : 'Create Task'}
-            </h3>
-
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div>
-                <label htmlFor="title" className="block text-textColor text-sm font-medium mb-2">
-                  Title
-                </label>
+                Save view
+              </button>
+            ) : (
+              <form onSubmit={handleSaveView} className="flex items-center space-x-2">
                 <input
                   type="text"
-                  id="title"
-                  name="title"
-                  value={formData.title}
-                  onChange={handleChange}
-                  className={`w-full px-4 py-2 bg-background border ${
-                    errors.title ? 'border-error' : 'border-gray-600'
-                  } rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary`}
-                />
-                {errors.title && (
-                  <p className="mt-1 text-error text-sm">{errors.title}</p>
-                )}
-              </div>
-
-              <div>
-                <label htmlFor="description" className="block text-textColor text-sm font-medium mb-2">
-                  Description
-                </label>
-                <textarea
-                  id="description"
-                  name="description"
-                  value={formData.description}
-                  onChange={handleChange}
-                  rows="3"
-                  className={`w-full px-4 py-2 bg-background border ${
-                    errors.description ? 'border-error' : 'border-gray-600'
-                  } rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary`}
+                  value={viewName}
+                  onChange={(e) => setViewName(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Escape') {
+                      setViewName(null);
+                    }
+                  }}
+                  maxLength={MAX_VIEW_NAME_LENGTH}
+                  autoFocus
+                  aria-label="View name"
+                  placeholder="e.g. My overdue"
+                  className="px-3 py-1 bg-background border border-gray-600 rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
                 />
-                {errors.description && (
-                  <p className="mt-1 text-error text-sm">{errors.description}</p>
-                )}
-              </div>
-
-              <div>
-                <label htmlFor="status" className="block text-textColor text-sm font-medium mb-2">
-                  Status
-                </label>
-                <select
-                  id="status"
-                  name="status"
-                  value={formData.status}
-                  onChange={handleChange}
-                  className="w-full px-4 py-2 bg-background border border-gray-600 rounded-lg text-textColor focus:outline-none focus:ring-2 focus:ring-primary"
-                >
-                  <option value="pending">Pending</option>
-                  <option value="in-progress">In Progress</option>
-                  <option value="completed">Completed</option>
-                </select>
-              </div>
-
-              <div className="flex space-x-3">
                 <button
                   type="submit"
-                  disabled={loading}
-                  className="flex-1 bg-primary hover:bg-secondary text-white font-semibold py-2 px-4 rounded-lg transition disabled:opacity-50"
+                  disabled={!viewName.trim()}
+                  className="bg-primary hover:bg-secondary text-white px-3 py-1 rounded-lg font-medium transition disabled:opacity-50"
                 >
-                  {loading ? 'Saving...' : editingTask ? 'Update' : 'Create'}
+                  Save
                 </button>
                 <button
                   type="button"
-                  onClick={() => setShowModal(false)}
-                  className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-lg transition"
+                  onClick={() => setViewName(null)}
+                  className="text-gray-400 hover:text-textColor"
                 >
                   Cancel
                 </button>
+              </form>
+            ))}
+        </div>
+
+        {view !== 'calendar' && (
+          <BulkActionBar
+            selectedCount={selectedIds.size}
+            progress={bulkProgress}
+            failures={bulkFailures}
+            onChangeStatus={handleBulkStatus}
+            onDelete={handleBulkDelete}
+            onClearSelection={() => setSelectedIds(new Set())}
+            onDismissFailures={() => setBulkFailures([])}
+          />
+        )}
+
+        {/* Tasks List */}
+        {view === 'calendar' ? (
+          <TaskCalendar
+            filters={filters}
+            onEdit={handleEdit}
+            onCreate={handleCreateOnDate}
+            onReschedule={handleReschedule}
+          />
+        ) : fetching && tasks.length === 0 ? (
+          <div className="text-center py-8 text-textColor">Loading tasks...</div>
+        ) : visibleTasks.length === 0 && visibleTotal === 0 ? (
+          <div className="text-center py-8 text-gray-400">
+            No tasks found. Create your first task!
+          </div>
+        ) : (
+          <div className={`transition-opacity ${isRefreshing ? 'opacity-60' : ''}`}>
+            {view === 'board' ? (
+              <TaskBoard
+                tasks={visibleTasks}
+                onMove={handleMove}
+                onEdit={handleEdit}
+                onDelete={handleDelete}
+              />
+            ) : (
+              <div className="space-y-4">
+                <label className="flex items-center text-sm text-gray-400 pl-4">
+                  <input
+                    type="checkbox"
+                    checked={selectableTasks.length > 0 && selectableTasks.every(task => selectedIds.has(getTaskId(task)))}
+                    ref={(el) => {
+                      if (el) {
+                        el.indeterminate =
+                          selectedIds.size > 0 && selectedIds.size < selectableTasks.length;
+                      }
+                    }}
+                    onChange={handleSelectAll}
+                    disabled={bulkProgress !== null}
+                    className="mr-3 h-4 w-4 accent-secondary"
+                  />
+                  Select all on this page
+                </label>
+                {visibleTasks.map((task) => (
+                  <TaskCard
+                    key={getTaskId(task)}
+                    task={task}
+                    onEdit={handleEdit}
+                    onDelete={handleDelete}
+                    selected={selectedIds.has(getTaskId(task))}
+                    onSelect={handleSelect}
+                  />
+                ))}
               </div>
-            </form>
+            )}
           </div>
-        </div>
+        )}
+
+        {view !== 'calendar' && visibleTotal > 0 && (
+          <Pagination
+            page={page}
+            limit={limit}
+            total={visibleTotal}
+            onPageChange={(newPage) => updateQuery({ page: newPage })}
+            onLimitChange={(newLimit) => updateQuery({ page: 1, limit: newLimit })}
+            disabled={fetching}
+          />
+        )}
+      </div>
+
+      {showTagManager && (
+        <TagManagerModal onClose={() => setShowTagManager(false)} onTagChange={handleTagChange} />
+      )}
+
+      {showImport && <ImportTasksModal onClose={() => setShowImport(false)} />}
+
+      {/* Modal for Create/Edit */}
+      {showModal && (
+        <TaskFormModal
+          task={editingTask}
+          initialValues={newTaskValues}
+          onClose={() => setShowModal(false)}
+          onSaved={handleSaved}
+        />
       )}
     </div>
   );
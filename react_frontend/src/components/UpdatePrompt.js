@@ -0,0 +1,28 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { subscribeToUpdates, isUpdateAvailable, applyUpdate } from '../serviceWorkerRegistration';
+
+// PUBLIC_INTERFACE
+/**
+ * Offers to reload when the service worker has installed a new version of the app.
+ * Renders nothing itself; the prompt is a toast that stays until acted on.
+ */
+const UpdatePrompt = () => {
+  const { showToast } = useToast();
+  const updateAvailable = useSyncExternalStore(subscribeToUpdates, isUpdateAvailable);
+
+  useEffect(() => {
+    if (!updateAvailable) {
+      return;
+    }
+    showToast({
+      message: 'A new version of the app is available.',
+      action: { label: 'Reload', onClick: applyUpdate },
+      duration: 0,
+    });
+  }, [updateAvailable, showToast]);
+
+  return null;
+};
+
+export default UpdatePrompt;
@@ -1,7 +1,41 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
+import { setAuthHandlers, refreshAccessToken } from '../utils/api';
+import { getTokenExpiry, isTokenExpired } from '../utils/jwt';
+import { clearTaskCache } from '../utils/taskCache';
+import { setOfflineUser } from '../utils/offlineStore';
+import { clearTags } from '../utils/tagStore';
+import { forgetDashboardSection } from '../utils/dashboardSections';
+import { clearApiCache } from '../serviceWorkerRegistration';
+import SessionTimeoutDialog from '../components/SessionTimeoutDialog';
 
 const AuthContext = createContext(null);
 
+// How long before the session ends the warning dialog is shown
+const SESSION_WARNING_MS = 60 * 1000;
+
+// Inactivity timeout, disabled unless REACT_APP_IDLE_TIMEOUT_MINUTES is set
+const IDLE_TIMEOUT_MS = (parseFloat(process.env.REACT_APP_IDLE_TIMEOUT_MINUTES) || 0) * 60 * 1000;
+
+// Events that count as user activity for the inactivity timeout
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart'];
+
+// setTimeout fires immediately for delays above this, so longer timers are not scheduled
+const MAX_TIMEOUT_MS = 2147483647;
+
+// Upper bound of the random delay added to proactive refreshes so open tabs don't all refresh at once
+const REFRESH_JITTER_MS = 5 * 1000;
+
+// localStorage keys holding the session, shared by every open tab
+const SESSION_STORAGE_KEYS = ['token', 'refreshToken', 'user'];
+
+// PUBLIC_INTERFACE
+/**
+ * Get a stable identifier for a user object
+ * @param {Object|null} userData - User data
+ * @returns {string|null} User identifier
+ */
+export const getUserId = (userData) => userData?._id || userData?.id || userData?.email || null;
+
 // PUBLIC_INTERFACE
 /**
  * AuthProvider component to manage authentication state
@@ -11,16 +45,33 @@ const AuthContext = createContext(null);
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(null);
+  const [refreshToken, setRefreshToken] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [sessionWarning, setSessionWarning] = useState(null);
+  const [sessionKey, setSessionKey] = useState(0);
+  const lastActivityRef = useRef(Date.now());
+  const userIdRef = useRef(null);
+
+  useEffect(() => {
+    userIdRef.current = getUserId(user);
+  }, [user]);
 
   // Load auth state from localStorage on mount
   useEffect(() => {
     const storedToken = localStorage.getItem('token');
+    const storedRefreshToken = localStorage.getItem('refreshToken');
     const storedUser = localStorage.getItem('user');
-    
-    if (storedToken && storedUser) {
+
+    // An expired access token is only usable if it can still be refreshed
+    if (storedToken && isTokenExpired(storedToken) && !storedRefreshToken) {
+      localStorage.removeItem('token');
+      localStorage.removeItem('user');
+    } else if (storedToken && storedUser) {
+      const userData = JSON.parse(storedUser);
       setToken(storedToken);
-      setUser(JSON.parse(storedUser));
+      setRefreshToken(storedRefreshToken);
+      setUser(userData);
+      setOfflineUser(getUserId(userData));
     }
     setLoading(false);
   }, []);
@@ -28,25 +79,200 @@ export const AuthProvider = ({ children }) => {
   // PUBLIC_INTERFACE
   /**
    * Log in user and store credentials
-   * @param {string} token - JWT token
+   * @param {string} token - JWT access token
    * @param {Object} userData - User data
+   * @param {string} [newRefreshToken] - Refresh token used to renew the access token
    */
-  const login = (token, userData) => {
+  const login = (token, userData, newRefreshToken) => {
     setToken(token);
+    setRefreshToken(newRefreshToken || null);
     setUser(userData);
+    setOfflineUser(getUserId(userData));
     localStorage.setItem('token', token);
+    if (newRefreshToken) {
+      localStorage.setItem('refreshToken', newRefreshToken);
+    } else {
+      localStorage.removeItem('refreshToken');
+    }
     localStorage.setItem('user', JSON.stringify(userData));
   };
 
-  // PUBLIC_INTERFACE
   /**
-   * Log out user and clear credentials
+   * Clear the in-memory session and cached data without touching localStorage
    */
-  const logout = () => {
+  const clearSession = useCallback(() => {
+    clearTaskCache();
+    setOfflineUser(null);
+    clearTags();
+    clearApiCache();
     setToken(null);
+    setRefreshToken(null);
     setUser(null);
+    setSessionWarning(null);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Log out user and clear credentials
+   */
+  const logout = useCallback(() => {
+    forgetDashboardSection(userIdRef.current);
+    clearSession();
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
+  }, [clearSession]);
+
+  // Keep every open tab in step: the storage event fires in the other tabs
+  // whenever one of them logs in, logs out, rotates tokens or updates the user
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.storageArea !== localStorage) {
+        return;
+      }
+      // A null key means localStorage was cleared entirely
+      if (event.key !== null && !SESSION_STORAGE_KEYS.includes(event.key)) {
+        return;
+      }
+
+      const storedToken = localStorage.getItem('token');
+      const storedUser = localStorage.getItem('user');
+      if (!storedToken || !storedUser) {
+        clearSession();
+        return;
+      }
+
+      let userData;
+      try {
+        userData = JSON.parse(storedUser);
+      } catch {
+        return;
+      }
+
+      // Another tab logged in as someone else: remount the app so no data from the previous user lingers
+      const previousUserId = userIdRef.current;
+      if (previousUserId && previousUserId !== getUserId(userData)) {
+        clearTaskCache();
+        clearTags();
+        clearApiCache();
+        setSessionKey((key) => key + 1);
+      }
+
+      setToken(storedToken);
+      setRefreshToken(localStorage.getItem('refreshToken'));
+      setUser(userData);
+      setOfflineUser(getUserId(userData));
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [clearSession]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Store a rotated token pair received from the refresh endpoint
+   * @param {Object} tokens - New tokens
+   * @param {string} tokens.token - New access token
+   * @param {string} [tokens.refreshToken] - New refresh token, if rotated
+   */
+  const updateTokens = useCallback(({ token, refreshToken }) => {
+    setToken(token);
+    localStorage.setItem('token', token);
+    if (refreshToken) {
+      setRefreshToken(refreshToken);
+      localStorage.setItem('refreshToken', refreshToken);
+    }
+  }, []);
+
+  // Let the API client rotate tokens through this provider and log out when refresh fails
+  useEffect(() => {
+    return setAuthHandlers({
+      getRefreshToken: () => localStorage.getItem('refreshToken'),
+      onTokensRefreshed: updateTokens,
+      onSessionExpired: logout,
+    });
+  }, [updateTokens, logout]);
+
+  // Warn before the access token expires and log out once it has. When a
+  // refresh token is available the access token is renewed silently instead.
+  useEffect(() => {
+    const expiry = getTokenExpiry(token);
+    if (!expiry) {
+      return undefined;
+    }
+
+    const warnDelay = expiry - SESSION_WARNING_MS - Date.now();
+    const expireDelay = expiry - Date.now();
+    if (expireDelay > MAX_TIMEOUT_MS) {
+      return undefined;
+    }
+
+    if (refreshToken) {
+      const jitter = Math.random() * REFRESH_JITTER_MS;
+      const refreshTimer = setTimeout(() => {
+        // A failed refresh logs out through the onSessionExpired handler
+        refreshAccessToken().catch(() => {});
+      }, Math.max(0, warnDelay - jitter));
+      return () => clearTimeout(refreshTimer);
+    }
+
+    const warnTimer = setTimeout(() => {
+      setSessionWarning({ reason: 'expiry', deadline: expiry });
+    }, Math.max(0, warnDelay));
+    const expireTimer = setTimeout(logout, Math.max(0, expireDelay));
+    return () => {
+      clearTimeout(warnTimer);
+      clearTimeout(expireTimer);
+    };
+  }, [token, refreshToken, logout]);
+
+  const isAuthenticated = !!token;
+
+  // Optional inactivity timeout: warn after a period without user input, then
+  // log out. Keyed on isAuthenticated so silent token refreshes don't reset it.
+  useEffect(() => {
+    if (!isAuthenticated || !IDLE_TIMEOUT_MS) {
+      return undefined;
+    }
+
+    lastActivityRef.current = Date.now();
+    let warned = false;
+
+    const handleActivity = () => {
+      // Once the warning is up, only an explicit "Stay signed in" keeps the session
+      if (!warned) {
+        lastActivityRef.current = Date.now();
+      }
+    };
+
+    const interval = setInterval(() => {
+      const idleFor = Date.now() - lastActivityRef.current;
+      if (idleFor >= IDLE_TIMEOUT_MS) {
+        logout();
+      } else if (idleFor >= IDLE_TIMEOUT_MS - SESSION_WARNING_MS && !warned) {
+        warned = true;
+        setSessionWarning((current) =>
+          current || { reason: 'idle', deadline: lastActivityRef.current + IDLE_TIMEOUT_MS }
+        );
+      } else if (idleFor < IDLE_TIMEOUT_MS - SESSION_WARNING_MS) {
+        warned = false;
+      }
+    }, 1000);
+
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, handleActivity, { passive: true }));
+    return () => {
+      clearInterval(interval);
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, handleActivity));
+    };
+  }, [isAuthenticated, logout]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Keep an idle session alive after the inactivity warning
+   */
+  const extendSession = () => {
+    lastActivityRef.current = Date.now();
+    setSessionWarning(null);
   };
 
   // PUBLIC_INTERFACE
@@ -62,14 +288,27 @@ export const AuthProvider = ({ children }) => {
   const value = {
     user,
     token,
+    refreshToken,
     loading,
     login,
     logout,
     updateUser,
-    isAuthenticated: !!token,
+    isAuthenticated,
   };
 
-  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+  return (
+    <AuthContext.Provider value={value}>
+      <React.Fragment key={sessionKey}>{children}</React.Fragment>
+      {sessionWarning && (
+        <SessionTimeoutDialog
+          reason={sessionWarning.reason}
+          deadline={sessionWarning.deadline}
+          onStay={sessionWarning.reason === 'idle' ? extendSession : undefined}
+          onLogout={logout}
+        />
+      )}
+    </AuthContext.Provider>
+  );
 };
 
 // PUBLIC_INTERFACE
@@ -0,0 +1,229 @@
+import React, { useState } from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { refreshAccessToken } from '../utils/api';
+import { clearTaskCache } from '../utils/taskCache';
+import { setOfflineUser } from '../utils/offlineStore';
+
+jest.mock('../utils/api', () => ({
+  ...jest.requireActual('../utils/api'),
+  refreshAccessToken: jest.fn(),
+}));
+
+jest.mock('../utils/taskCache', () => ({
+  clearTaskCache: jest.fn(),
+}));
+
+jest.mock('../utils/offlineStore', () => ({
+  setOfflineUser: jest.fn(),
+  readOffline: jest.fn(() => Promise.resolve()),
+  writeOffline: jest.fn(),
+  clearOffline: jest.fn(),
+}));
+
+// The inactivity timeout is read when the module loads
+process.env.REACT_APP_IDLE_TIMEOUT_MINUTES = '5';
+const { AuthProvider, useAuth } = require('./AuthContext');
+
+const MINUTE = 60 * 1000;
+const user = { _id: 'u1', name: 'Ada' };
+
+/**
+ * Build an unsigned JWT
+ * @param {Object} payload - Token claims
+ * @returns {string} Token
+ */
+const makeToken = (payload) => `header.${btoa(JSON.stringify(payload))}.signature`;
+
+/**
+ * Show who is signed in and with which token
+ */
+const SessionProbe = () => {
+  const { user: current, token } = useAuth();
+  return <p data-testid="session">{current ? `${current.name} ${token}` : 'signed out'}</p>;
+};
+
+/**
+ * Hold state that survives re-renders but not a remount
+ */
+const ClickCounter = () => {
+  const [count, setCount] = useState(0);
+  return <button onClick={() => setCount(count + 1)}>Clicked {count}</button>;
+};
+
+/**
+ * Store a session as a previous visit would have, then render the provider
+ * @param {Object} session - Stored session
+ * @param {string} session.token - Access token
+ * @param {string} [session.refreshToken] - Refresh token
+ */
+const renderSession = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+  localStorage.setItem('user', JSON.stringify(user));
+  render(
+    <AuthProvider>
+      <SessionProbe />
+      <ClickCounter />
+    </AuthProvider>
+  );
+};
+
+/**
+ * Move the fake clock forward
+ * @param {number} ms - Milliseconds to advance
+ */
+const advance = (ms) => act(() => jest.advanceTimersByTime(ms));
+
+/**
+ * Change the stored session as another tab would, then deliver the storage event it fires here
+ * @param {Object|null} changes - Values by key, null to remove a key; null alone clears localStorage
+ */
+const changeInOtherTab = (changes) => {
+  if (!changes) {
+    localStorage.clear();
+  } else {
+    Object.entries(changes).forEach(([key, value]) =>
+      value === null ? localStorage.removeItem(key) : localStorage.setItem(key, value)
+    );
+  }
+  const key = changes ? Object.keys(changes)[0] : null;
+  act(() => {
+    window.dispatchEvent(new StorageEvent('storage', { key, storageArea: localStorage }));
+  });
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date(2026, 9, 19, 9));
+  refreshAccessToken.mockResolvedValue('refreshed');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  localStorage.clear();
+});
+
+describe('access token expiry', () => {
+  test('warns a minute before the token expires and logs out when it does', () => {
+    renderSession({ token: makeToken({ exp: (Date.now() + 3 * MINUTE) / 1000 }) });
+
+    advance(2 * MINUTE - 1000);
+    expect(screen.queryByRole('alertdialog')).toBeNull();
+    advance(1000);
+    expect(screen.getByRole('alertdialog')).toHaveTextContent('Your session is expiring');
+    // An expiring token can't be extended without a refresh token
+    expect(screen.queryByRole('button', { name: 'Stay signed in' })).toBeNull();
+
+    advance(MINUTE);
+    expect(screen.getByTestId('session')).toHaveTextContent('signed out');
+    expect(screen.queryByRole('alertdialog')).toBeNull();
+    expect(localStorage.getItem('token')).toBeNull();
+  });
+
+  test('refreshes the token ahead of the warning, up to the jitter early, instead of warning', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    renderSession({ token: makeToken({ exp: (Date.now() + 3 * MINUTE) / 1000 }), refreshToken: 'refresh-1' });
+
+    // The warning would be due after two minutes; the jitter brings the refresh up to five seconds earlier
+    advance(2 * MINUTE - 5000 - 1);
+    expect(refreshAccessToken).not.toHaveBeenCalled();
+    advance(1);
+    expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+
+    advance(MINUTE);
+    expect(screen.queryByRole('alertdialog')).toBeNull();
+    expect(screen.getByTestId('session')).toHaveTextContent('Ada');
+  });
+});
+
+describe('inactivity timeout', () => {
+  const token = makeToken({ sub: 'u1' });
+
+  test('warns a minute before the timeout and keeps the session when the user stays', () => {
+    renderSession({ token });
+
+    advance(4 * MINUTE);
+    expect(screen.getByRole('alertdialog')).toHaveTextContent('Are you still there?');
+    fireEvent.click(screen.getByRole('button', { name: 'Stay signed in' }));
+    expect(screen.queryByRole('alertdialog')).toBeNull();
+
+    advance(3 * MINUTE);
+    expect(screen.queryByRole('alertdialog')).toBeNull();
+    expect(screen.getByTestId('session')).toHaveTextContent('Ada');
+  });
+
+  test('logs out when the warning is ignored, even if the mouse moves meanwhile', () => {
+    renderSession({ token });
+
+    advance(4 * MINUTE);
+    expect(screen.getByRole('alertdialog')).toBeInTheDocument();
+    fireEvent.mouseMove(window);
+
+    advance(MINUTE);
+    expect(screen.getByTestId('session')).toHaveTextContent('signed out');
+    expect(screen.queryByRole('alertdialog')).toBeNull();
+    expect(localStorage.getItem('user')).toBeNull();
+  });
+
+  test('counts user activity before the warning as staying', () => {
+    renderSession({ token });
+
+    advance(3 * MINUTE);
+    fireEvent.keyDown(window, { key: 'a' });
+    advance(3 * MINUTE);
+    expect(screen.queryByRole('alertdialog')).toBeNull();
+
+    advance(MINUTE);
+    expect(screen.getByRole('alertdialog')).toHaveTextContent('Are you still there?');
+  });
+});
+
+describe('other tabs', () => {
+  const token = makeToken({ sub: 'u1' });
+
+  test.each([
+    ['logging out', { token: null, refreshToken: null, user: null }],
+    ['clearing storage', null],
+  ])('logs out here too after %s', (_, changes) => {
+    renderSession({ token });
+    changeInOtherTab(changes);
+
+    expect(screen.getByTestId('session')).toHaveTextContent('signed out');
+    expect(clearTaskCache).toHaveBeenCalledTimes(1);
+    expect(setOfflineUser).toHaveBeenLastCalledWith(null);
+  });
+
+  test('starts over when another tab logs in as someone else', () => {
+    renderSession({ token });
+    fireEvent.click(screen.getByRole('button', { name: 'Clicked 0' }));
+
+    changeInOtherTab({ token: 'token-2', user: JSON.stringify({ _id: 'u2', name: 'Grace' }) });
+
+    expect(screen.getByTestId('session')).toHaveTextContent('Grace token-2');
+    // Everything below the provider is remounted, so no state from the previous user is kept
+    expect(screen.getByRole('button', { name: 'Clicked 0' })).toBeInTheDocument();
+    expect(clearTaskCache).toHaveBeenCalledTimes(1);
+    expect(setOfflineUser).toHaveBeenLastCalledWith('u2');
+  });
+
+  test('takes the tokens another tab refreshed without starting over', () => {
+    renderSession({ token, refreshToken: 'refresh-1' });
+    fireEvent.click(screen.getByRole('button', { name: 'Clicked 0' }));
+
+    changeInOtherTab({ token: 'token-2', refreshToken: 'refresh-2' });
+
+    expect(screen.getByTestId('session')).toHaveTextContent('Ada token-2');
+    expect(screen.getByRole('button', { name: 'Clicked 1' })).toBeInTheDocument();
+    expect(clearTaskCache).not.toHaveBeenCalled();
+  });
+
+  test('ignores changes to keys outside the session', () => {
+    renderSession({ token });
+    changeInOtherTab({ theme: 'dark', token: null });
+
+    expect(screen.getByTestId('session')).toHaveTextContent(`Ada ${token}`);
+  });
+});
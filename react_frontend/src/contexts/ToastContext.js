@@ -0,0 +1,138 @@
+import React, { createContext, useState, useContext, useCallback, useEffect, useRef } from 'react';
+
+const ToastContext = createContext(null);
+
+// How long a toast stays up unless told otherwise
+const DEFAULT_TOAST_DURATION_MS = 5000;
+
+// Oldest toasts are dropped once more than this many are stacked
+const MAX_TOASTS = 5;
+
+const TOAST_STYLES = {
+  success: 'border-success',
+  error: 'border-error',
+  info: 'border-secondary',
+};
+
+let nextToastId = 1;
+
+/**
+ * A single toast that dismisses itself after its duration. The timer pauses
+ * while the pointer is over the toast so actions like Undo stay reachable.
+ * @param {Object} props - Component props
+ * @param {Object} props.toast - Toast data
+ * @param {Function} props.onDismiss - Called with the toast ID to remove it
+ */
+const Toast = ({ toast, onDismiss }) => {
+  const [paused, setPaused] = useState(false);
+  const remainingRef = useRef(toast.duration);
+
+  useEffect(() => {
+    if (paused || !toast.duration) {
+      return undefined;
+    }
+    const startedAt = Date.now();
+    const timer = setTimeout(() => onDismiss(toast.id), remainingRef.current);
+    return () => {
+      clearTimeout(timer);
+      remainingRef.current -= Date.now() - startedAt;
+    };
+  }, [paused, toast.id, toast.duration, onDismiss]);
+
+  return (
+    <div
+      role={toast.type === 'error' ? 'alert' : 'status'}
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      className={`bg-surface border-l-4 ${
+        TOAST_STYLES[toast.type] || TOAST_STYLES.info
+      } rounded-lg shadow-xl p-4 flex items-start space-x-3 text-sm text-textColor`}
+    >
+      <p className="flex-1">{toast.message}</p>
+      {toast.action && (
+        <button
+          type="button"
+          onClick={() => {
+            toast.action.onClick();
+            onDismiss(toast.id);
+          }}
+          className="font-semibold text-secondary hover:text-primary"
+        >
+          {toast.action.label}
+        </button>
+      )}
+      <button
+        type="button"
+        onClick={() => onDismiss(toast.id)}
+        aria-label="Dismiss notification"
+        className="text-gray-400 hover:text-textColor"
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * ToastProvider component that renders stacked, auto-dismissing notifications
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export const ToastProvider = ({ children }) => {
+  const [toasts, setToasts] = useState([]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Remove a toast
+   * @param {number} id - Toast ID
+   */
+  const dismissToast = useCallback((id) => {
+    setToasts(prev => prev.filter(toast => toast.id !== id));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Show a toast
+   * @param {Object} toast - Toast options
+   * @param {string} toast.message - Text to show
+   * @param {string} [toast.type='info'] - 'success', 'error' or 'info'
+   * @param {Object} [toast.action] - Optional action button as { label, onClick }
+   * @param {number} [toast.duration] - Milliseconds before it disappears; 0 keeps it until dismissed
+   * @returns {number} Toast ID
+   */
+  const showToast = useCallback(({ message, type = 'info', action, duration = DEFAULT_TOAST_DURATION_MS }) => {
+    const id = nextToastId++;
+    setToasts(prev => [...prev, { id, message, type, action, duration }].slice(-MAX_TOASTS));
+    return id;
+  }, []);
+
+  const value = { showToast, dismissToast };
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      <div
+        aria-live="polite"
+        className="fixed bottom-4 right-4 z-50 flex flex-col space-y-2 w-full max-w-sm px-4 sm:px-0"
+      >
+        {toasts.map(toast => (
+          <Toast key={toast.id} toast={toast} onDismiss={dismissToast} />
+        ))}
+      </div>
+    </ToastContext.Provider>
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Hook to access the toast notification context
+ * @returns {Object} Toast context value ({ showToast, dismissToast })
+ */
+export const useToast = () => {
+  const context = useContext(ToastContext);
+  if (!context) {
+    throw new Error('useToast must be used within a ToastProvider');
+  }
+  return context;
+};
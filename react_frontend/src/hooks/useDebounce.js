@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+
+// PUBLIC_INTERFACE
+/**
+ * Hook that returns a value only after it has stopped changing for a delay
+ * @param {*} value - Value to debounce
+ * @param {number} [delay=300] - Delay in milliseconds
+ * @returns {*} Debounced value
+ */
+const useDebounce = (value, delay = 300) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+};
+
+export default useDebounce;
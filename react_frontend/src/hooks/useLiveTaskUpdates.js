@@ -0,0 +1,19 @@
+import { useEffect } from 'react';
+import { connectTaskEvents } from '../utils/taskEvents';
+
+// PUBLIC_INTERFACE
+/**
+ * Hook keeping the live task event stream open while a token is available.
+ * The stream reconnects with the new token whenever it is refreshed.
+ * @param {string|null} token - Access token, or null when logged out
+ */
+const useLiveTaskUpdates = (token) => {
+  useEffect(() => {
+    if (!token) {
+      return undefined;
+    }
+    return connectTaskEvents(token);
+  }, [token]);
+};
+
+export default useLiveTaskUpdates;
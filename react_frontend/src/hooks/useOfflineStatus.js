@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import { subscribe, getSnapshot } from '../utils/offlineQueue';
+
+// PUBLIC_INTERFACE
+/**
+ * Hook reading connectivity and the offline mutation queue
+ * @returns {Object} { online, syncing, pendingCount, conflicts, failures }
+ */
+const useOfflineStatus = () => useSyncExternalStore(subscribe, getSnapshot);
+
+export default useOfflineStatus;
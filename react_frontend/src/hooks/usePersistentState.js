@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+
+// PUBLIC_INTERFACE
+/**
+ * useState that is persisted to localStorage under the given key
+ * @param {string} key - localStorage key
+ * @param {*} defaultValue - Value used when nothing valid is stored
+ * @param {Function} [isValid] - Optional check a stored value must pass to be used
+ * @returns {Array} [value, setValue] like useState
+ */
+const usePersistentState = (key, defaultValue, isValid = () => true) => {
+  const [value, setValue] = useState(() => {
+    try {
+      const stored = localStorage.getItem(key);
+      if (stored !== null) {
+        const parsed = JSON.parse(stored);
+        if (isValid(parsed)) {
+          return parsed;
+        }
+      }
+    } catch {
+      // Fall through to the default for unreadable values
+    }
+    return defaultValue;
+  });
+
+  useEffect(() => {
+    localStorage.setItem(key, JSON.stringify(value));
+  }, [key, value]);
+
+  return [value, setValue];
+};
+
+export default usePersistentState;
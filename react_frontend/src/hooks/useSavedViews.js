@@ -0,0 +1,34 @@
+import { useSyncExternalStore } from 'react';
+import { useAuth, getUserId } from '../contexts/AuthContext';
+import {
+  subscribe,
+  getSavedViews,
+  saveView,
+  renameView,
+  moveView,
+  deleteView,
+  setDefaultView,
+} from '../utils/savedViews';
+
+// PUBLIC_INTERFACE
+/**
+ * Hook reading the logged-in user's saved task views, with actions bound to that user
+ * @returns {Object} { views, defaultView, saveView, renameView, moveView, deleteView, setDefaultView }
+ */
+const useSavedViews = () => {
+  const { user } = useAuth();
+  const userId = getUserId(user);
+  const { views, defaultId } = useSyncExternalStore(subscribe, () => getSavedViews(userId));
+
+  return {
+    views,
+    defaultView: views.find(view => view.id === defaultId) || null,
+    saveView: (name, query) => saveView(userId, name, query),
+    renameView: (id, name) => renameView(userId, id, name),
+    moveView: (id, offset) => moveView(userId, id, offset),
+    deleteView: (id) => deleteView(userId, id),
+    setDefaultView: (id) => setDefaultView(userId, id),
+  };
+};
+
+export default useSavedViews;
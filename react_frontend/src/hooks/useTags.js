@@ -0,0 +1,24 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { subscribe, getSnapshot, loadTags } from '../utils/tagStore';
+
+// PUBLIC_INTERFACE
+/**
+ * Hook reading the tags in use, loading them from the API the first time any
+ * component asks for them
+ * @returns {Object} { tags, loaded, loading, error }
+ */
+const useTags = () => {
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+  const shouldLoad = !state.loaded && !state.loading && !state.error;
+
+  useEffect(() => {
+    if (shouldLoad) {
+      // Failures are kept in the store; chips and autocomplete work without the list
+      loadTags().catch(() => {});
+    }
+  }, [shouldLoad]);
+
+  return state;
+};
+
+export default useTags;
@@ -0,0 +1,121 @@
+import { useState, useEffect, useCallback, useRef, useSyncExternalStore } from 'react';
+import { isRequestCanceled } from '../utils/api';
+import {
+  subscribe,
+  getVersion,
+  getQueryKey,
+  getCachedQuery,
+  fetchTaskQuery,
+  fetchAllTaskQuery,
+  ALL_TASKS_QUERY_KEY,
+} from '../utils/taskCache';
+
+/**
+ * Read a cached query, fetching it when missing or stale
+ * @param {string} key - Query key
+ * @param {Function} fetchQuery - Fetches the query into the cache; called with { signal }
+ * @returns {Object} { tasks, total, loaded, fetching, error, refetch }
+ */
+const useCachedQuery = (key, fetchQuery) => {
+  useSyncExternalStore(subscribe, getVersion);
+  const query = getCachedQuery(key);
+  const [fetching, setFetching] = useState(false);
+  const [error, setError] = useState(null);
+  const previousDataRef = useRef({ tasks: [], total: 0 });
+  const controllerRef = useRef(null);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Fetch the query, aborting any request this hook still has in flight
+   */
+  const refetch = useCallback(async () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setFetching(true);
+    setError(null);
+    try {
+      await fetchQuery({ signal: controller.signal });
+    } catch (err) {
+      if (!isRequestCanceled(err) && !controller.signal.aborted) {
+        setError(err);
+      }
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setFetching(false);
+      }
+    }
+  }, [fetchQuery]);
+
+  const isStale = !query || query.stale;
+
+  // Fetch when the query changes or its cached data goes stale
+  useEffect(() => {
+    if (isStale) {
+      refetch();
+    }
+  }, [isStale, refetch]);
+
+  // Revalidate stale data when the user comes back to the window
+  useEffect(() => {
+    const handleFocus = () => {
+      const current = getCachedQuery(key);
+      if (document.visibilityState === 'visible' && (!current || current.stale)) {
+        refetch();
+      }
+    };
+    window.addEventListener('focus', handleFocus);
+    document.addEventListener('visibilitychange', handleFocus);
+    return () => {
+      window.removeEventListener('focus', handleFocus);
+      document.removeEventListener('visibilitychange', handleFocus);
+    };
+  }, [key, refetch]);
+
+  // Abort any pending request when the component unmounts
+  useEffect(() => {
+    return () => controllerRef.current?.abort();
+  }, []);
+
+  if (query) {
+    previousDataRef.current = { tasks: query.tasks, total: query.total };
+  }
+  const data = query || previousDataRef.current;
+
+  return {
+    tasks: data.tasks,
+    total: data.total,
+    loaded: Boolean(query),
+    fetching,
+    error,
+    refetch,
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Hook reading a task list query from the client cache. Fresh cached data is
+ * shown without a request, stale data is shown while it revalidates in the
+ * background, and the previous results stay on screen while a new query loads.
+ * Stale queries also revalidate when the window regains focus.
+ * @param {Object} params - Query params for tasksAPI.getAll
+ * @returns {Object} { tasks, total, loaded, fetching, error, refetch }
+ */
+const useTaskQuery = (params) => {
+  const key = getQueryKey(params);
+  const fetchQuery = useCallback(options => fetchTaskQuery(JSON.parse(key), options), [key]);
+  return useCachedQuery(key, fetchQuery);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Hook reading every task from the client cache, e.g. for statistics. It is
+ * fetched page by page the first time and then kept up to date by the cache,
+ * so going back to the page shows it straight away, offline too.
+ * @returns {Object} { tasks, total, loaded, fetching, error, refetch }
+ */
+export const useAllTasks = () => useCachedQuery(ALL_TASKS_QUERY_KEY, fetchAllTaskQuery);
+
+export default useTaskQuery;
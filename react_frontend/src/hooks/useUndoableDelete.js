@@ -0,0 +1,107 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { deleteTask } from '../utils/taskCache';
+import { getTaskId } from '../utils/tasks';
+import { useToast } from '../contexts/ToastContext';
+
+// How long a deleted task can be restored before the delete is sent to the API
+export const UNDO_GRACE_MS = 5000;
+
+// Deletes waiting out their grace period, shared by every component using the hook
+// so a task deleted from its detail page stays hidden in the list too
+const pendingDeletes = new Map();
+const listeners = new Set();
+let pendingIdsSnapshot = new Set();
+
+const emitChange = () => {
+  pendingIdsSnapshot = new Set(pendingDeletes.keys());
+  listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const getSnapshot = () => pendingIdsSnapshot;
+
+// Send outstanding deletes straight away if the page is closed during the grace period
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', () => {
+    pendingDeletes.forEach(({ timer }, id) => {
+      clearTimeout(timer);
+      deleteTask(id).catch(() => {});
+    });
+    pendingDeletes.clear();
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Hook for soft-deleting tasks with an Undo toast. The task is hidden at once
+ * and only deleted through the API once the grace period has passed.
+ * @returns {Object} { pendingIds: Set of task IDs awaiting deletion, scheduleDelete(task, options) }
+ */
+const useUndoableDelete = () => {
+  const { showToast, dismissToast } = useToast();
+  const pendingIds = useSyncExternalStore(subscribe, getSnapshot);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Hide a task and delete it after the grace period unless undone
+   * @param {Object} task - Task to delete
+   * @param {Object} [options] - Options
+   * @param {Function} [options.onDeleted] - Called with the task once the API delete succeeds
+   * @param {Function} [options.onRestored] - Called with the task if the delete is undone or fails
+   */
+  const scheduleDelete = useCallback((task, { onDeleted, onRestored } = {}) => {
+    const id = getTaskId(task);
+    if (pendingDeletes.has(id)) {
+      return;
+    }
+
+    let toastId = null;
+
+    const timer = setTimeout(async () => {
+      dismissToast(toastId);
+      try {
+        await deleteTask(id);
+        onDeleted?.(task);
+      } catch (error) {
+        onRestored?.(task);
+        showToast({
+          type: 'error',
+          message: error.response?.data?.message || `Failed to delete "${task.title}"`,
+        });
+      } finally {
+        pendingDeletes.delete(id);
+        emitChange();
+      }
+    }, UNDO_GRACE_MS);
+
+    pendingDeletes.set(id, { task, timer });
+    emitChange();
+
+    toastId = showToast({
+      type: 'success',
+      message: `Deleted "${task.title}"`,
+      duration: UNDO_GRACE_MS,
+      action: {
+        label: 'Undo',
+        onClick: () => {
+          if (!pendingDeletes.has(id)) {
+            return;
+          }
+          clearTimeout(timer);
+          pendingDeletes.delete(id);
+          emitChange();
+          onRestored?.(task);
+          showToast({ message: `Restored "${task.title}"` });
+        },
+      },
+    });
+  }, [showToast, dismissToast]);
+
+  return { pendingIds, scheduleDelete };
+};
+
+export default useUndoableDelete;
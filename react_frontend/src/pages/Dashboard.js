@@ -1,8 +1,23 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { useAuth } from '../contexts/AuthContext';
-import Profile from '../components/Profile';
-import Tasks from '../components/Tasks';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useLocation, NavLink, Outlet } from 'react-router-dom';
+import { useAuth, getUserId } from '../contexts/AuthContext';
+import { rememberDashboardSection } from '../utils/dashboardSections';
+import ConnectionStatus from '../components/ConnectionStatus';
+import SavedViewsNav from '../components/SavedViewsNav';
+import SavedViewsModal from '../components/SavedViewsModal';
+import useLiveTaskUpdates from '../hooks/useLiveTaskUpdates';
+import useSavedViews from '../hooks/useSavedViews';
+
+/**
+ * Get sidebar link classes for the NavLink active state
+ * @param {Object} state - NavLink render state
+ * @param {boolean} state.isActive - Whether the link matches the current route
+ * @returns {string} CSS classes for the sidebar link
+ */
+const getNavLinkClass = ({ isActive }) =>
+  `block w-full text-left px-4 py-3 rounded-lg transition ${
+    isActive ? 'bg-primary text-white' : 'text-textColor hover:bg-background'
+  }`;
 
 // PUBLIC_INTERFACE
 /**
@@ -10,9 +25,22 @@ import Tasks from '../components/Tasks';
  */
 const Dashboard = () => {
   const navigate = useNavigate();
-  const { user, logout } = useAuth();
-  const [activeTab, setActiveTab] = useState('profile');
+  const location = useLocation();
+  const { user, token, logout } = useAuth();
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [managingViews, setManagingViews] = useState(false);
+  const { defaultView } = useSavedViews();
+
+  // Stream teammates' task changes into the cache for every dashboard section
+  useLiveTaskUpdates(token);
+
+  const userId = getUserId(user);
+
+  // Remember the current section so "/" can land back on it
+  useEffect(() => {
+    const section = location.pathname.split('/')[2];
+    rememberDashboardSection(userId, section);
+  }, [userId, location.pathname]);
 
   // PUBLIC_INTERFACE
   /**
@@ -41,6 +69,7 @@ const Dashboard = () => {
             <h1 className="text-xl font-bold text-textColor">Dashboard</h1>
           </div>
           <div className="flex items-center space-x-4">
+            <ConnectionStatus />
             <span className="text-textColor hidden sm:inline">
               Welcome, {user?.name || 'User'}
             </span>
@@ -61,16 +90,22 @@ const Dashboard = () => {
         } md:translate-x-0`}
       >
         <nav className="p-4 space-y-2">
-          <button
-            onClick={() => {
-              setActiveTab('profile');
-              setSidebarOpen(false);
-            }}
-            className={`w-full text-left px-4 py-3 rounded-lg transition ${
-              activeTab === 'profile'
-                ? 'bg-primary text-white'
-                : 'text-textColor hover:bg-background'
-            }`}
+          <NavLink
+            to="/dashboard/overview"
+            onClick={() => setSidebarOpen(false)}
+            className={getNavLinkClass}
+          >
+            <div className="flex items-center">
+              <svg className="w-5 h-5 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+              </svg>
+              Overview
+            </div>
+          </NavLink>
+          <NavLink
+            to="/dashboard/profile"
+            onClick={() => setSidebarOpen(false)}
+            className={getNavLinkClass}
           >
             <div className="flex items-center">
               <svg className="w-5 h-5 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -78,17 +113,11 @@ const Dashboard = () => {
               </svg>
               Profile
             </div>
-          </button>
-          <button
-            onClick={() => {
-              setActiveTab('tasks');
-              setSidebarOpen(false);
-            }}
-            className={`w-full text-left px-4 py-3 rounded-lg transition ${
-              activeTab === 'tasks'
-                ? 'bg-primary text-white'
-                : 'text-textColor hover:bg-background'
-            }`}
+          </NavLink>
+          <NavLink
+            to={defaultView ? `/dashboard/tasks?${defaultView.query}` : '/dashboard/tasks'}
+            onClick={() => setSidebarOpen(false)}
+            className={getNavLinkClass}
           >
             <div className="flex items-center">
               <svg className="w-5 h-5 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -96,7 +125,14 @@ const Dashboard = () => {
               </svg>
               Tasks
             </div>
-          </button>
+          </NavLink>
+          <SavedViewsNav
+            onNavigate={() => setSidebarOpen(false)}
+            onManage={() => {
+              setSidebarOpen(false);
+              setManagingViews(true);
+            }}
+          />
         </nav>
       </aside>
 
@@ -108,11 +144,12 @@ const Dashboard = () => {
         />
       )}
 
+      {managingViews && <SavedViewsModal onClose={() => setManagingViews(false)} />}
+
       {/* Main Content */}
       <main className="pt-16 md:pl-64 min-h-screen">
         <div className="p-6">
-          {activeTab === 'profile' && <Profile />}
-          {activeTab === 'tasks' && <Tasks />}
+          <Outlet />
         </div>
       </main>
     </div>
@@ -73,8 +73,8 @@ const Login = () => {
 
     try {
       const response = await authAPI.login(formData);
-      const { token, user } = response.data;
-      login(token, user);
+      const { token, refreshToken, user } = response.data;
+      login(token, user, refreshToken);
       navigate('/dashboard');
     } catch (error) {
       setApiError(
@@ -86,8 +86,8 @@ const Signup = () => {
     try {
       const { confirmPassword, ...signupData } = formData;
       const response = await authAPI.signup(signupData);
-      const { token, user } = response.data;
-      login(token, user);
+      const { token, refreshToken, user } = response.data;
+      login(token, user, refreshToken);
       navigate('/dashboard');
     } catch (error) {
       setApiError(
@@ -0,0 +1,89 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker built by react-scripts (Workbox InjectManifest). It precaches
+// the app shell so the dashboard loads without a network, and keeps the last
+// profile and task responses for offline use.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { NetworkFirst } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+
+// Cache holding API responses; the app clears it on logout
+const API_CACHE_NAME = 'api-responses';
+
+// Header added to API responses served from the cache, so the app knows it is offline.
+// Keep in sync with OFFLINE_RESPONSE_HEADER in src/utils/api.js.
+const OFFLINE_RESPONSE_HEADER = 'X-Served-From-Cache';
+
+// Flag cached API responses as they are handed back in place of the network
+const markCachedResponsePlugin = {
+  cachedResponseWillBeUsed: async ({ cachedResponse }) => {
+    if (!cachedResponse) {
+      return cachedResponse;
+    }
+    const headers = new Headers(cachedResponse.headers);
+    headers.set(OFFLINE_RESPONSE_HEADER, 'true');
+    // The API is usually on another origin, where scripts only see the headers it exposes
+    const exposed = headers.get('Access-Control-Expose-Headers');
+    headers.set('Access-Control-Expose-Headers', exposed ? `${exposed}, ${OFFLINE_RESPONSE_HEADER}` : OFFLINE_RESPONSE_HEADER);
+    return new Response(cachedResponse.body, {
+      status: cachedResponse.status,
+      statusText: cachedResponse.statusText,
+      headers,
+    });
+  },
+};
+
+clientsClaim();
+
+// Precache every asset in the build; the list is injected at build time
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for client-side routes so deep links work offline
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') {
+      return false;
+    }
+    if (url.pathname.startsWith('/_')) {
+      return false;
+    }
+    if (url.pathname.match(fileExtensionRegexp)) {
+      return false;
+    }
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// API reads: always try the network, falling back to the last response only when the
+// request fails. There is no timeout, so a slow API isn't mistaken for being offline.
+// Matched on the path so it works whatever origin REACT_APP_API_BASE_URL points at.
+// The live task event stream is left alone; it can't be cached.
+const apiReadRegexp = /\/(profile|tasks|tags)(\/|$)/;
+registerRoute(
+  ({ request, url }) =>
+    request.method === 'GET' &&
+    request.mode !== 'navigate' &&
+    !(request.headers.get('Accept') || '').includes('text/event-stream') &&
+    apiReadRegexp.test(url.pathname),
+  new NetworkFirst({
+    cacheName: API_CACHE_NAME,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 100, maxAgeSeconds: 7 * 24 * 60 * 60 }),
+      markCachedResponsePlugin,
+    ],
+  })
+);
+
+// Let the page activate a waiting update once the user agrees to reload
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,182 @@
+// Registers the service worker in production builds and tracks when a new
+// version is waiting, so the app can offer to reload into it.
+
+// Cache the service worker fills with API responses (see src/service-worker.js)
+const API_CACHE_NAME = 'api-responses';
+
+// How often an open tab checks whether a new version has been deployed
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost' ||
+    // [::1] is the IPv6 localhost address
+    window.location.hostname === '[::1]' ||
+    // 127.0.0.0/8 are considered localhost for IPv4
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+// Installed worker waiting to take over, shared with the update prompt
+let waitingWorker = null;
+const listeners = new Set();
+
+/**
+ * Record a worker waiting to activate and notify subscribers
+ * @param {ServiceWorker} worker - Waiting service worker
+ */
+const setWaitingWorker = (worker) => {
+  waitingWorker = worker;
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Track installs on a registration and report when a new version is waiting
+ * @param {ServiceWorkerRegistration} registration - Service worker registration
+ */
+const watchForUpdates = (registration) => {
+  // An update may already have been installed before this page loaded
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    setWaitingWorker(registration.waiting);
+  }
+
+  registration.onupdatefound = () => {
+    const installingWorker = registration.installing;
+    if (!installingWorker) {
+      return;
+    }
+    installingWorker.onstatechange = () => {
+      // With a controller already in place this is an update, not the first install
+      if (installingWorker.state === 'installed' && navigator.serviceWorker.controller) {
+        setWaitingWorker(registration.waiting || installingWorker);
+      }
+    };
+  };
+
+  // Tabs left open for days would otherwise only see updates after a navigation
+  setInterval(() => {
+    registration.update().catch(() => {});
+  }, UPDATE_CHECK_INTERVAL_MS);
+};
+
+/**
+ * Register the service worker at the given URL
+ * @param {string} swUrl - Service worker script URL
+ */
+const registerValidSW = (swUrl) => {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then(watchForUpdates)
+    .catch((error) => {
+      console.error('Error during service worker registration:', error);
+    });
+};
+
+/**
+ * On localhost, check the service worker still exists before registering it,
+ * and reload without it if it has gone (e.g. a different app on the same port)
+ * @param {string} swUrl - Service worker script URL
+ */
+const checkValidServiceWorker = (swUrl) => {
+  fetch(swUrl, { headers: { 'Service-Worker': 'script' } })
+    .then((response) => {
+      const contentType = response.headers.get('content-type');
+      if (response.status === 404 || (contentType && !contentType.includes('javascript'))) {
+        navigator.serviceWorker.ready.then((registration) => {
+          registration.unregister().then(() => {
+            window.location.reload();
+          });
+        });
+      } else {
+        registerValidSW(swUrl);
+      }
+    })
+    .catch(() => {
+      // Offline: the registered worker keeps serving the app
+    });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Register the service worker. Only production builds register it, so
+ * development always runs against fresh files.
+ */
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  // The worker can't control pages outside its origin, e.g. when PUBLIC_URL points at a CDN
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl);
+    } else {
+      registerValidSW(swUrl);
+    }
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Subscribe to a new version becoming available (for useSyncExternalStore)
+ * @param {Function} listener - Called when an update is waiting
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToUpdates = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a new version is installed and waiting to activate
+ * @returns {boolean} Update availability
+ */
+export const isUpdateAvailable = () => waitingWorker !== null;
+
+// PUBLIC_INTERFACE
+/**
+ * Activate the waiting version and reload once it has taken control
+ */
+export const applyUpdate = () => {
+  if (!waitingWorker) {
+    return;
+  }
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Remove API responses cached for offline use, e.g. on logout so the next
+ * user never sees them
+ * @returns {Promise} Resolves once removed
+ */
+export const clearApiCache = async () => {
+  if (typeof caches === 'undefined') {
+    return;
+  }
+  try {
+    await caches.delete(API_CACHE_NAME);
+  } catch {
+    // Cache storage unavailable, e.g. in some private browsing modes
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Unregister the service worker
+ */
+export const unregister = () => {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => {
+        console.error(error.message);
+      });
+  }
+};
@@ -3,6 +3,9 @@ import axios from 'axios';
 // Get API base URL from environment variable or default to localhost:3001
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001';
 
+// Server-sent event stream of task changes, overridable to point at a separate events service
+const TASK_EVENTS_URL = process.env.REACT_APP_TASK_EVENTS_URL || `${API_BASE_URL}/tasks/events`;
+
 // Create axios instance with base configuration
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -11,9 +14,113 @@ const api = axios.create({
   },
 });
 
-// Request interceptor to add Authorization header
+// Header the service worker adds to API responses it serves from its cache while offline
+const OFFLINE_RESPONSE_HEADER = 'x-served-from-cache';
+
+// Auth endpoints that must never trigger a token refresh
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/signup', '/auth/refresh'];
+
+// Bare client for the refresh call so it bypasses the interceptors below
+const refreshClient = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+/**
+ * Default handlers used until AuthProvider registers its own. They keep the
+ * original behaviour: persist tokens to localStorage and hard-redirect on expiry.
+ */
+const defaultAuthHandlers = {
+  getRefreshToken: () => localStorage.getItem('refreshToken'),
+  onTokensRefreshed: ({ token, refreshToken }) => {
+    localStorage.setItem('token', token);
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
+  },
+  onSessionExpired: () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+    window.location.href = '/login';
+  },
+};
+
+let authHandlers = defaultAuthHandlers;
+
+// Pending refresh shared by every request that hits a 401 while it is in flight
+let refreshPromise = null;
+
+// PUBLIC_INTERFACE
+/**
+ * Register callbacks the client uses to read and rotate the token pair
+ * @param {Object} handlers - Auth handlers
+ * @param {Function} handlers.getRefreshToken - Returns the current refresh token
+ * @param {Function} handlers.onTokensRefreshed - Called with { token, refreshToken } after a refresh
+ * @param {Function} handlers.onSessionExpired - Called when the refresh fails and the user must log in again
+ * @returns {Function} Cleanup function restoring the default handlers
+ */
+export const setAuthHandlers = (handlers) => {
+  authHandlers = { ...defaultAuthHandlers, ...handlers };
+  return () => {
+    authHandlers = defaultAuthHandlers;
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Exchange the refresh token for a new token pair. Concurrent callers share
+ * the same pending request so the refresh endpoint is only hit once.
+ * @returns {Promise<string>} Resolves with the new access token
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = authHandlers.getRefreshToken();
+    refreshPromise = (refreshToken
+      ? authAPI.refresh(refreshToken)
+      : Promise.reject(new Error('No refresh token available'))
+    )
+      .then((response) => {
+        const token = response.data.token || response.data.accessToken;
+        if (!token) {
+          throw new Error('Refresh response did not include a token');
+        }
+        authHandlers.onTokensRefreshed({
+          token,
+          refreshToken: response.data.refreshToken || refreshToken,
+        });
+        return token;
+      })
+      .catch((error) => {
+        // Being offline says nothing about the session, so keep it for when the API is back
+        if (!isNetworkError(error)) {
+          authHandlers.onSessionExpired();
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Check whether a request URL targets one of the auth endpoints
+ * @param {string} url - Request URL
+ * @returns {boolean} Whether the URL is an auth endpoint
+ */
+const isAuthEndpoint = (url = '') => AUTH_ENDPOINTS.some((endpoint) => url.startsWith(endpoint));
+
+// Request interceptor to add Authorization header, holding requests while a refresh is pending
 api.interceptors.request.use(
-  (config) => {
+  async (config) => {
+    if (refreshPromise && !isAuthEndpoint(config.url)) {
+      // Rejects, and so fails this request too, if the session has expired
+      await refreshPromise;
+    }
     const token = localStorage.getItem('token');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
@@ -25,20 +132,72 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle 401 errors
+// Response interceptor to refresh the access token on 401 and replay the request
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response && error.response.status === 401) {
-      // Clear token and redirect to login
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+    if (
+      error.response &&
+      error.response.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !isAuthEndpoint(originalRequest.url)
+    ) {
+      originalRequest._retry = true;
+
+      // Another tab may already have rotated the token; replay with it instead of refreshing again
+      const storedToken = localStorage.getItem('token');
+      if (storedToken && originalRequest.headers.Authorization !== `Bearer ${storedToken}`) {
+        originalRequest.headers.Authorization = `Bearer ${storedToken}`;
+        return api(originalRequest);
+      }
+
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch {
+        return Promise.reject(error);
+      }
     }
     return Promise.reject(error);
   }
 );
 
+// PUBLIC_INTERFACE
+/**
+ * Check whether a request failed because it was aborted or cancelled
+ * @param {Error} error - Error thrown by an API call
+ * @returns {boolean} Whether the error is a cancellation
+ */
+export const isRequestCanceled = (error) => axios.isCancel(error);
+
+// PUBLIC_INTERFACE
+/**
+ * Check whether a request failed because the API could not be reached at all
+ * @param {Error} error - Error thrown by an API call
+ * @returns {boolean} Whether the error is a network failure with no response
+ */
+export const isNetworkError = (error) =>
+  Boolean(error?.isAxiosError && !error.response && !axios.isCancel(error));
+
+// PUBLIC_INTERFACE
+/**
+ * Check whether a request was rejected because the resource changed since it was read
+ * @param {Error} error - Error thrown by an API call
+ * @returns {boolean} Whether the API answered 409 Conflict or 412 Precondition Failed
+ */
+export const isConflictError = (error) => [409, 412].includes(error?.response?.status);
+
+// PUBLIC_INTERFACE
+/**
+ * Check whether a response came from the service worker's offline cache rather than the API
+ * @param {Object} response - Axios response
+ * @returns {boolean} Whether the API was unreachable and a cached copy was served
+ */
+export const isOfflineResponse = (response) => response?.headers?.[OFFLINE_RESPONSE_HEADER] === 'true';
+
 // PUBLIC_INTERFACE
 /**
  * Auth API endpoints
@@ -47,16 +206,23 @@ export const authAPI = {
   /**
    * Sign up a new user
    * @param {Object} userData - User registration data (name, email, password)
-   * @returns {Promise} API response with token and user data
+   * @returns {Promise} API response with token, refreshToken and user data
    */
   signup: (userData) => api.post('/auth/signup', userData),
   
   /**
    * Log in an existing user
    * @param {Object} credentials - User login credentials (email, password)
-   * @returns {Promise} API response with token and user data
+   * @returns {Promise} API response with token, refreshToken and user data
    */
   login: (credentials) => api.post('/auth/login', credentials),
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * @param {string} refreshToken - Current refresh token
+   * @returns {Promise} API response with token and refreshToken
+   */
+  refresh: (refreshToken) => refreshClient.post('/auth/refresh', { refreshToken }),
 };
 
 // PUBLIC_INTERFACE
@@ -85,10 +251,12 @@ export const profileAPI = {
 export const tasksAPI = {
   /**
    * Get all tasks with optional search and filter
-   * @param {Object} params - Query parameters (search, status, page, limit)
-   * @returns {Promise} API response with tasks array
+   * @param {Object} params - Query parameters (search, status, priority, tags, tagMode, dueFrom, dueTo, sort, page, limit);
+   *   `tags` is a comma-separated list matched per `tagMode`: 'any' (OR) or 'all' (AND)
+   * @param {Object} [config] - Extra axios config, e.g. { signal } from an AbortController
+   * @returns {Promise} API response with tasks array and total count
    */
-  getAll: (params) => api.get('/tasks', { params }),
+  getAll: (params, config = {}) => api.get('/tasks', { ...config, params }),
   
   /**
    * Get a single task by ID
@@ -99,18 +267,22 @@ export const tasksAPI = {
   
   /**
    * Create a new task
-   * @param {Object} taskData - Task data (title, description, status)
+   * @param {Object} taskData - Task data (title, description, status, priority, dueDate)
    * @returns {Promise} API response with created task
    */
   create: (taskData) => api.post('/tasks', taskData),
   
   /**
-   * Update an existing task
+   * Update an existing task. With `ifMatch`, the API rejects the update with
+   * 409/412 if the task has changed since that version was read.
    * @param {string} id - Task ID
    * @param {Object} taskData - Updated task data
+   * @param {Object} [options] - Options
+   * @param {string} [options.ifMatch] - Entity tag of the version being edited, sent as If-Match
    * @returns {Promise} API response with updated task
    */
-  update: (id, taskData) => api.put(`/tasks/${id}`, taskData),
+  update: (id, taskData, { ifMatch } = {}) =>
+    api.put(`/tasks/${id}`, taskData, ifMatch ? { headers: { 'If-Match': ifMatch } } : undefined),
   
   /**
    * Delete a task
@@ -118,6 +290,108 @@ export const tasksAPI = {
    * @returns {Promise} API response
    */
   delete: (id) => api.delete(`/tasks/${id}`),
+
+  /**
+   * Get the comments on a task
+   * @param {string} taskId - Task ID
+   * @returns {Promise} API response with comments array, oldest first
+   */
+  getComments: (taskId) => api.get(`/tasks/${taskId}/comments`),
+
+  /**
+   * Add a comment to a task
+   * @param {string} taskId - Task ID
+   * @param {string} body - Comment text in markdown
+   * @returns {Promise} API response with created comment
+   */
+  addComment: (taskId, body) => api.post(`/tasks/${taskId}/comments`, { body }),
+
+  /**
+   * Edit one of the current user's comments
+   * @param {string} taskId - Task ID
+   * @param {string} commentId - Comment ID
+   * @param {string} body - New comment text in markdown
+   * @returns {Promise} API response with updated comment
+   */
+  updateComment: (taskId, commentId, body) =>
+    api.put(`/tasks/${taskId}/comments/${commentId}`, { body }),
+
+  /**
+   * Delete one of the current user's comments
+   * @param {string} taskId - Task ID
+   * @param {string} commentId - Comment ID
+   * @returns {Promise} API response
+   */
+  deleteComment: (taskId, commentId) => api.delete(`/tasks/${taskId}/comments/${commentId}`),
+
+  /**
+   * Get the activity log of a task: creation, status and field changes
+   * @param {string} taskId - Task ID
+   * @returns {Promise} API response with activity entries, oldest first
+   */
+  getActivity: (taskId) => api.get(`/tasks/${taskId}/activity`),
+
+  /**
+   * Build the URL of the server-sent event stream of task changes. EventSource
+   * can't send headers, so the access token goes in the query string.
+   * @param {string} token - Access token
+   * @returns {string} Event stream URL
+   */
+  getEventsUrl: (token) => `${TASK_EVENTS_URL}?token=${encodeURIComponent(token)}`,
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Tag API endpoints. Tags are identified by name; changes apply to every task carrying the tag.
+ */
+export const tagsAPI = {
+  /**
+   * Get all tags in use
+   * @returns {Promise} API response with tags array ({ name, color, count })
+   */
+  getAll: () => api.get('/tags'),
+
+  /**
+   * Rename or recolor a tag
+   * @param {string} name - Current tag name
+   * @param {Object} changes - New values (name, color)
+   * @returns {Promise} API response with updated tag
+   */
+  update: (name, changes) => api.put(`/tags/${encodeURIComponent(name)}`, changes),
+
+  /**
+   * Merge a tag into another one, retagging its tasks and removing it
+   * @param {string} name - Tag to merge away
+   * @param {string} into - Tag that remains
+   * @returns {Promise} API response with the remaining tag
+   */
+  merge: (name, into) => api.post(`/tags/${encodeURIComponent(name)}/merge`, { into }),
+
+  /**
+   * Delete a tag, removing it from every task
+   * @param {string} name - Tag name
+   * @returns {Promise} API response
+   */
+  delete: (name) => api.delete(`/tags/${encodeURIComponent(name)}`),
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Calendar feed endpoints. The feed is an iCalendar file of the user's tasks with due
+ * dates at a secret URL, so calendar apps can subscribe without signing in.
+ */
+export const calendarAPI = {
+  /**
+   * Get the user's calendar feed
+   * @returns {Promise} API response with the feed URL ({ url })
+   */
+  getFeed: () => api.get('/calendar/feed'),
+
+  /**
+   * Replace the feed URL with a new one, so subscriptions to the old URL stop updating
+   * @returns {Promise} API response with the new feed URL ({ url })
+   */
+  resetFeed: () => api.post('/calendar/feed/reset'),
 };
 
 export default api;
@@ -0,0 +1,139 @@
+import { AxiosError } from 'axios';
+import api, { authAPI, setAuthHandlers } from './api';
+
+// Authorization header of every request as it was sent; replays reuse the same config object
+let sentTokens;
+
+/**
+ * Build an adapter answering 401 unless the request carries the given token
+ * @param {string} validToken - Access token the API accepts
+ * @returns {Function} Axios adapter
+ */
+const acceptOnly = (validToken) =>
+  jest.fn(async (config) => {
+    sentTokens.push(config.headers.Authorization);
+    if (config.headers.Authorization === `Bearer ${validToken}`) {
+      return { data: { url: config.url }, status: 200, statusText: 'OK', headers: {}, config };
+    }
+    const response = { data: {}, status: 401, statusText: 'Unauthorized', headers: {}, config };
+    throw new AxiosError('Unauthorized', AxiosError.ERR_BAD_REQUEST, config, null, response);
+  });
+
+/**
+ * Create a promise that is settled from the outside
+ * @returns {Object} { promise, resolve, reject }
+ */
+const defer = () => {
+  const deferred = {};
+  deferred.promise = new Promise((resolve, reject) => Object.assign(deferred, { resolve, reject }));
+  return deferred;
+};
+
+// Let pending requests reach the adapter and their 401s reach the interceptor
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+let handlers;
+let restoreHandlers;
+let refresh;
+const defaultAdapter = api.defaults.adapter;
+
+beforeEach(() => {
+  sentTokens = [];
+  localStorage.setItem('token', 'old');
+  handlers = {
+    getRefreshToken: jest.fn(() => 'refresh-1'),
+    onTokensRefreshed: jest.fn(({ token }) => localStorage.setItem('token', token)),
+    onSessionExpired: jest.fn(),
+  };
+  restoreHandlers = setAuthHandlers(handlers);
+  refresh = defer();
+  jest.spyOn(authAPI, 'refresh').mockReturnValue(refresh.promise);
+  api.defaults.adapter = acceptOnly('new');
+});
+
+afterEach(() => {
+  restoreHandlers();
+  api.defaults.adapter = defaultAdapter;
+  jest.restoreAllMocks();
+  localStorage.clear();
+});
+
+test('refreshes once for parallel 401s and replays both requests with the new token', async () => {
+  const requests = Promise.all([api.get('/tasks'), api.get('/tags')]);
+  await flush();
+  refresh.resolve({ data: { token: 'new', refreshToken: 'refresh-2' } });
+
+  const [tasks, tags] = await requests;
+  expect(authAPI.refresh).toHaveBeenCalledTimes(1);
+  expect(authAPI.refresh).toHaveBeenCalledWith('refresh-1');
+  expect(handlers.onTokensRefreshed).toHaveBeenCalledWith({ token: 'new', refreshToken: 'refresh-2' });
+  expect([tasks.data.url, tags.data.url]).toEqual(['/tasks', '/tags']);
+  expect(sentTokens).toEqual(['Bearer old', 'Bearer old', 'Bearer new', 'Bearer new']);
+  expect(handlers.onSessionExpired).not.toHaveBeenCalled();
+});
+
+test('holds requests made while a refresh is pending until it finishes', async () => {
+  const first = api.get('/tasks');
+  await flush();
+  const second = api.get('/tags');
+  await flush();
+  refresh.resolve({ data: { token: 'new' } });
+
+  await expect(first).resolves.toMatchObject({ status: 200 });
+  await expect(second).resolves.toMatchObject({ status: 200 });
+  expect(authAPI.refresh).toHaveBeenCalledTimes(1);
+  // The held request goes out once, with the new token
+  expect(sentTokens).toEqual(['Bearer old', 'Bearer new', 'Bearer new']);
+});
+
+test('expires the session once when the refresh is rejected', async () => {
+  const requests = Promise.allSettled([api.get('/tasks'), api.get('/tags')]);
+  await flush();
+  refresh.reject(
+    new AxiosError('Unauthorized', AxiosError.ERR_BAD_REQUEST, {}, null, { status: 401, data: {}, headers: {} })
+  );
+
+  const results = await requests;
+  expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+  expect(results[0].reason.response.status).toBe(401);
+  expect(handlers.onSessionExpired).toHaveBeenCalledTimes(1);
+  expect(handlers.onTokensRefreshed).not.toHaveBeenCalled();
+});
+
+test('keeps the session when the refresh fails for lack of a connection', async () => {
+  const request = api.get('/tasks');
+  await flush();
+  refresh.reject(new AxiosError('Network Error', AxiosError.ERR_NETWORK, {}));
+
+  await expect(request).rejects.toMatchObject({ response: { status: 401 } });
+  expect(handlers.onSessionExpired).not.toHaveBeenCalled();
+});
+
+test('expires the session without a refresh token to use', async () => {
+  handlers.getRefreshToken.mockReturnValue(null);
+
+  await expect(api.get('/tasks')).rejects.toMatchObject({ response: { status: 401 } });
+  expect(authAPI.refresh).not.toHaveBeenCalled();
+  expect(handlers.onSessionExpired).toHaveBeenCalledTimes(1);
+});
+
+test('replays with a token another tab has already refreshed', async () => {
+  api.defaults.adapter = jest.fn(async (config) => {
+    if (config.headers.Authorization === 'Bearer from-other-tab') {
+      return { data: {}, status: 200, statusText: 'OK', headers: {}, config };
+    }
+    // The other tab stores its new token while this request is on the wire
+    localStorage.setItem('token', 'from-other-tab');
+    const response = { data: {}, status: 401, statusText: 'Unauthorized', headers: {}, config };
+    throw new AxiosError('Unauthorized', AxiosError.ERR_BAD_REQUEST, config, null, response);
+  });
+
+  await expect(api.get('/tasks')).resolves.toMatchObject({ status: 200 });
+  expect(authAPI.refresh).not.toHaveBeenCalled();
+});
+
+test('never refreshes for the auth endpoints themselves', async () => {
+  await expect(api.post('/auth/login', {})).rejects.toMatchObject({ response: { status: 401 } });
+  expect(authAPI.refresh).not.toHaveBeenCalled();
+  expect(handlers.onSessionExpired).not.toHaveBeenCalled();
+});
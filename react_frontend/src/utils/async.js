@@ -0,0 +1,37 @@
+// PUBLIC_INTERFACE
+/**
+ * Run an async worker over a list of items with a limited number in flight.
+ * Failures don't stop the run; every item gets a settled result.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function called with (item, index)
+ * @param {Object} [options] - Options
+ * @param {number} [options.concurrency=3] - Maximum number of workers running at once
+ * @param {Function} [options.onProgress] - Called with (completedCount, total) after each item settles
+ * @returns {Promise<Array>} Results in input order: { item, ok: true, value } or { item, ok: false, error }
+ */
+export const settleWithConcurrency = async (items, worker, { concurrency = 3, onProgress } = {}) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let completed = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      const item = items[index];
+      try {
+        results[index] = { item, ok: true, value: await worker(item, index) };
+      } catch (error) {
+        results[index] = { item, ok: false, error };
+      }
+      completed += 1;
+      if (onProgress) {
+        onProgress(completed, items.length);
+      }
+    }
+  };
+
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, runNext);
+  await Promise.all(runners);
+  return results;
+};
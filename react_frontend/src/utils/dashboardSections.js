@@ -0,0 +1,46 @@
+// localStorage key prefix for the last dashboard section a user visited, one entry
+// per user so people sharing a browser don't land on each other's section. It is
+// forgotten on logout, so every login starts on the default section.
+const LAST_SECTION_PREFIX = 'lastDashboardSection:';
+
+// PUBLIC_INTERFACE
+/**
+ * Dashboard sections that can be routed to, in sidebar order
+ */
+export const DASHBOARD_SECTIONS = ['overview', 'profile', 'tasks'];
+
+export const DEFAULT_DASHBOARD_SECTION = 'overview';
+
+// PUBLIC_INTERFACE
+/**
+ * Remember the dashboard section the user is viewing
+ * @param {string|null} userId - ID of the signed-in user
+ * @param {string} section - Section name, one of DASHBOARD_SECTIONS
+ */
+export const rememberDashboardSection = (userId, section) => {
+  if (userId && DASHBOARD_SECTIONS.includes(section)) {
+    localStorage.setItem(LAST_SECTION_PREFIX + userId, section);
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Forget the section a user visited last, e.g. when they log out
+ * @param {string|null} userId - ID of the user
+ */
+export const forgetDashboardSection = (userId) => {
+  if (userId) {
+    localStorage.removeItem(LAST_SECTION_PREFIX + userId);
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Get the last visited dashboard section, falling back to the default one
+ * @param {string|null} userId - ID of the signed-in user
+ * @returns {string} Section name
+ */
+export const getLastDashboardSection = (userId) => {
+  const section = userId ? localStorage.getItem(LAST_SECTION_PREFIX + userId) : null;
+  return DASHBOARD_SECTIONS.includes(section) ? section : DEFAULT_DASHBOARD_SECTION;
+};
@@ -0,0 +1,28 @@
+import { rememberDashboardSection, forgetDashboardSection, getLastDashboardSection } from './dashboardSections';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('lands on the Overview until a section has been visited', () => {
+  expect(getLastDashboardSection('u1')).toBe('overview');
+  rememberDashboardSection('u1', 'tasks');
+  expect(getLastDashboardSection('u1')).toBe('tasks');
+});
+
+test('keeps each user to their own section', () => {
+  rememberDashboardSection('u1', 'tasks');
+  expect(getLastDashboardSection('u2')).toBe('overview');
+  expect(getLastDashboardSection(null)).toBe('overview');
+});
+
+test('forgets the section on logout', () => {
+  rememberDashboardSection('u1', 'profile');
+  forgetDashboardSection('u1');
+  expect(getLastDashboardSection('u1')).toBe('overview');
+});
+
+test('ignores paths that are not sections', () => {
+  rememberDashboardSection('u1', 'settings');
+  expect(getLastDashboardSection('u1')).toBe('overview');
+});
@@ -0,0 +1,220 @@
+import { getTaskId, parseDueDate, TASK_STATUSES } from './tasks';
+import { describeRecurrence } from './recurrence';
+
+// Domain part of task UIDs. The server's calendar feed uses the same UIDs, so a
+// calendar holding both an exported file and the feed sees the same events.
+const UID_DOMAIN = 'tasks.task-manager';
+
+const PRODUCT_ID = '-//Task Manager//Tasks//EN';
+
+// Lines longer than this many octets are folded (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const TODO_STATUSES = {
+  pending: 'NEEDS-ACTION',
+  'in-progress': 'IN-PROCESS',
+  completed: 'COMPLETED',
+};
+
+// iCalendar priorities run from 1 (highest) to 9 (lowest)
+const PRIORITY_LEVELS = {
+  high: 1,
+  medium: 5,
+  low: 9,
+};
+
+const RRULE_FREQUENCIES = {
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+  monthly: 'MONTHLY',
+};
+
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Count the UTF-8 octets of one character
+ * @param {string} char - Single code point
+ * @returns {number} 1 to 4
+ */
+const getOctets = (char) => {
+  const code = char.codePointAt(0);
+  return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+};
+
+/**
+ * Fold a content line into lines of at most 75 octets, continuing each with a space
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, joined with CRLF
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = getOctets(char);
+    // Continuation lines start with a space, which counts towards their length
+    if (octets + size > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+/**
+ * Format a local date as an iCalendar DATE value
+ * @param {Date} date - Date
+ * @returns {string} YYYYMMDD
+ */
+const formatDate = (date) =>
+  `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Format a timestamp as a UTC iCalendar DATE-TIME value
+ * @param {string|Date} value - Timestamp
+ * @returns {string|null} YYYYMMDDTHHMMSSZ, or null if missing or invalid
+ */
+const formatDateTime = (value) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Get the iCalendar UID of a task. It depends only on the task ID, so importing
+ * a newer export updates the task's entry instead of adding a second one.
+ * @param {Object} task - Task
+ * @returns {string} UID
+ */
+export const getTaskUid = (task) => `task-${getTaskId(task)}@${UID_DOMAIN}`;
+
+// PUBLIC_INTERFACE
+/**
+ * Convert a recurrence rule to an iCalendar RRULE value. Monthly rules on days
+ * after the 28th fall back to the last day of shorter months, as in the app.
+ * Weekly rules count weeks from Sunday, as the app does; calendars default to
+ * Monday, which would put every-other-week days on either side of it out of step.
+ * @param {Object} rule - Recurrence rule
+ * @returns {string} RRULE value, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;WKST=SU"
+ */
+export const toRRule = (rule) => {
+  const parts = [`FREQ=${RRULE_FREQUENCIES[rule.frequency]}`, `INTERVAL=${rule.interval}`];
+  if (rule.frequency === 'weekly') {
+    const days = [...new Set(rule.weekdays)].sort((a, b) => a - b);
+    parts.push(`BYDAY=${days.map(day => RRULE_WEEKDAYS[day]).join(',')}`, 'WKST=SU');
+  } else if (rule.frequency === 'monthly') {
+    parts.push(rule.monthDay > 28 ? `BYMONTHDAY=${rule.monthDay},-1;BYSETPOS=1` : `BYMONTHDAY=${rule.monthDay}`);
+  }
+  if (rule.ends === 'on' && parseDueDate(rule.until)) {
+    parts.push(`UNTIL=${formatDate(parseDueDate(rule.until))}`);
+  } else if (rule.ends === 'after') {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  return parts.join(';');
+};
+
+/**
+ * Build the content lines of one task
+ * @param {Object} task - Task with a due date
+ * @param {string} component - 'VTODO' or 'VEVENT'
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} Unfolded content lines
+ */
+const getTaskLines = (task, component, stamp) => {
+  const due = parseDueDate(task.dueDate);
+  const dueValue = formatDate(due);
+  const statusLabel = TASK_STATUSES.find(({ value }) => value === task.status)?.label;
+  const lines = [`BEGIN:${component}`, `UID:${getTaskUid(task)}`, `DTSTAMP:${stamp}`];
+
+  if (component === 'VTODO') {
+    // A repeating to-do needs a start for its rule to count from
+    if (task.recurrence) {
+      lines.push(`DTSTART;VALUE=DATE:${dueValue}`);
+    }
+    lines.push(`DUE;VALUE=DATE:${dueValue}`);
+    if (TODO_STATUSES[task.status]) {
+      lines.push(`STATUS:${TODO_STATUSES[task.status]}`);
+    }
+    const completedAt = task.status === 'completed' && formatDateTime(task.completedAt || task.updatedAt);
+    if (completedAt) {
+      lines.push(`COMPLETED:${completedAt}`, 'PERCENT-COMPLETE:100');
+    }
+  } else {
+    // All-day event on the due date
+    const next = new Date(due.getFullYear(), due.getMonth(), due.getDate() + 1);
+    lines.push(`DTSTART;VALUE=DATE:${dueValue}`, `DTEND;VALUE=DATE:${formatDate(next)}`, 'TRANSP:TRANSPARENT');
+  }
+
+  lines.push(`SUMMARY:${escapeText(task.title || '')}`);
+  // Events have no completion status of their own, so it leads the description
+  const description =
+    component === 'VEVENT' && statusLabel
+      ? [`Status: ${statusLabel}`, task.description].filter(Boolean).join('\n\n')
+      : task.description;
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  if (PRIORITY_LEVELS[task.priority]) {
+    lines.push(`PRIORITY:${PRIORITY_LEVELS[task.priority]}`);
+  }
+  if (task.tags?.length) {
+    lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+  }
+  if (task.recurrence) {
+    lines.push(`RRULE:${toRRule(task.recurrence)}`, `COMMENT:${escapeText(`Repeats: ${describeRecurrence(task.recurrence)}`)}`);
+  }
+  const created = formatDateTime(task.createdAt);
+  if (created) {
+    lines.push(`CREATED:${created}`);
+  }
+  const modified = formatDateTime(task.updatedAt);
+  if (modified) {
+    lines.push(`LAST-MODIFIED:${modified}`);
+  }
+  lines.push(`END:${component}`);
+  return lines;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Build an RFC 5545 iCalendar file from the tasks that have due dates
+ * @param {Array} tasks - Tasks; those without a due date are left out
+ * @param {Object} [options] - Options
+ * @param {string} [options.component='VTODO'] - 'VTODO' for to-do apps, or 'VEVENT' for
+ *   all-day events in calendars that don't show to-dos
+ * @param {Date} [options.now=new Date()] - Time the file is generated, used for DTSTAMP
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const toICalendar = (tasks, { component = 'VTODO', now = new Date() } = {}) => {
+  const stamp = formatDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Tasks',
+    ...tasks.filter(task => parseDueDate(task.dueDate)).flatMap(task => getTaskLines(task, component, stamp)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,144 @@
+import { getTaskUid, toRRule, toICalendar } from './icalendar';
+
+const now = new Date(Date.UTC(2026, 9, 19, 8, 30));
+
+const rule = (overrides) => ({
+  frequency: 'daily',
+  interval: 1,
+  weekdays: [],
+  monthDay: null,
+  ends: 'never',
+  until: '',
+  count: null,
+  ...overrides,
+});
+
+/**
+ * Undo line folding and split an iCalendar file into its content lines
+ * @param {string} text - iCalendar text
+ * @returns {Array<string>} Content lines
+ */
+const unfold = (text) => text.replace(/\r\n /g, '').split('\r\n');
+
+describe('toRRule', () => {
+  test('converts daily rules with an end', () => {
+    expect(toRRule(rule({ interval: 3, ends: 'after', count: 5 }))).toBe('FREQ=DAILY;INTERVAL=3;COUNT=5');
+    expect(toRRule(rule({ ends: 'on', until: '2027-03-01' }))).toBe('FREQ=DAILY;INTERVAL=1;UNTIL=20270301');
+  });
+
+  test('counts weeks from Sunday, as the app does', () => {
+    expect(toRRule(rule({ frequency: 'weekly', interval: 2, weekdays: [4, 1, 4] }))).toBe(
+      'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;WKST=SU'
+    );
+  });
+
+  test('falls back to the last day of shorter months', () => {
+    expect(toRRule(rule({ frequency: 'monthly', monthDay: 15 }))).toBe('FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=15');
+    expect(toRRule(rule({ frequency: 'monthly', monthDay: 31 }))).toBe(
+      'FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=31,-1;BYSETPOS=1'
+    );
+  });
+});
+
+describe('toICalendar', () => {
+  const task = {
+    _id: 't1',
+    title: 'Pay rent',
+    description: 'Landlord',
+    status: 'completed',
+    priority: 'high',
+    dueDate: '2026-10-31',
+    tags: ['home'],
+    createdAt: '2026-10-01T09:00:00.000Z',
+    updatedAt: '2026-10-30T18:15:00.000Z',
+  };
+
+  test('writes a to-do per task with a due date', () => {
+    const text = toICalendar([task, { _id: 't2', title: 'Someday', description: 'No date' }], { now });
+    expect(text.endsWith('\r\n')).toBe(true);
+    expect(unfold(text.trimEnd())).toEqual([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Task Manager//Tasks//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:Tasks',
+      'BEGIN:VTODO',
+      'UID:task-t1@tasks.task-manager',
+      'DTSTAMP:20261019T083000Z',
+      'DUE;VALUE=DATE:20261031',
+      'STATUS:COMPLETED',
+      'COMPLETED:20261030T181500Z',
+      'PERCENT-COMPLETE:100',
+      'SUMMARY:Pay rent',
+      'DESCRIPTION:Landlord',
+      'PRIORITY:1',
+      'CATEGORIES:home',
+      'CREATED:20261001T090000Z',
+      'LAST-MODIFIED:20261030T181500Z',
+      'END:VTODO',
+      'END:VCALENDAR',
+    ]);
+  });
+
+  test('writes all-day events ending the next day, with the status in the description', () => {
+    const lines = unfold(toICalendar([task], { component: 'VEVENT', now }));
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20261031',
+        'DTEND;VALUE=DATE:20261101',
+        'TRANSP:TRANSPARENT',
+        'DESCRIPTION:Status: Completed\\n\\nLandlord',
+      ])
+    );
+    expect(lines.some(line => line.startsWith('STATUS:') || line.startsWith('DUE'))).toBe(false);
+  });
+
+  test('gives repeating to-dos a start and their rule', () => {
+    const lines = unfold(
+      toICalendar([{ ...task, status: 'pending', recurrence: rule({ frequency: 'weekly', weekdays: [6] }) }], { now })
+    );
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        'DTSTART;VALUE=DATE:20261031',
+        'RRULE:FREQ=WEEKLY;INTERVAL=1;BYDAY=SA;WKST=SU',
+        'COMMENT:Repeats: Weekly on Sat',
+      ])
+    );
+  });
+
+  test('escapes TEXT values', () => {
+    const lines = unfold(
+      toICalendar([{ ...task, title: 'Rent; deposit, keys \\ fob', description: 'One\r\nTwo', tags: ['a,b', 'c'] }], {
+        now,
+      })
+    );
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        'SUMMARY:Rent\\; deposit\\, keys \\\\ fob',
+        'DESCRIPTION:One\\nTwo',
+        'CATEGORIES:a\\,b,c',
+      ])
+    );
+  });
+
+  test('folds lines at 75 octets without splitting characters', () => {
+    const description = 'Café crème 🍰 '.repeat(20);
+    const text = toICalendar([{ ...task, description }], { now });
+    const physical = text.trimEnd().split('\r\n');
+
+    physical.forEach(line => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      // A split surrogate pair wouldn't survive encoding
+      expect(Buffer.from(line).toString()).toBe(line);
+    });
+    expect(physical.filter(line => line.startsWith(' ')).length).toBeGreaterThan(1);
+    expect(unfold(text)).toContain(`DESCRIPTION:${description}`);
+  });
+});
+
+test('getTaskUid depends only on the task ID', () => {
+  expect(getTaskUid({ _id: 't1', title: 'A' })).toBe(getTaskUid({ _id: 't1', title: 'B', updatedAt: 'later' }));
+  expect(getTaskUid({ id: 't2' })).toBe('task-t2@tasks.task-manager');
+});
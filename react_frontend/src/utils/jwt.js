@@ -0,0 +1,51 @@
+// PUBLIC_INTERFACE
+/**
+ * Decode the payload of a JWT without verifying its signature
+ * @param {string} token - JWT string
+ * @returns {Object|null} Decoded payload, or null if the token is malformed
+ */
+export const decodeJwt = (token) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  try {
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+    const json = decodeURIComponent(
+      atob(padded)
+        .split('')
+        .map((char) => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`)
+        .join('')
+    );
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Get the expiry time of a JWT from its `exp` claim
+ * @param {string} token - JWT string
+ * @returns {number|null} Expiry as a millisecond timestamp, or null if the token has no exp claim
+ */
+export const getTokenExpiry = (token) => {
+  const payload = decodeJwt(token);
+  return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Check whether a JWT has expired
+ * @param {string} token - JWT string
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} Whether the token is past its exp claim; tokens without exp never expire
+ */
+export const isTokenExpired = (token, now = Date.now()) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry <= now;
+};
@@ -0,0 +1,244 @@
+import { readOffline, writeOffline } from './offlineStore';
+
+// Offline storage key for queued mutations and unresolved conflicts
+const QUEUE_STORAGE_KEY = 'offlineQueue';
+
+// Connectivity, queued task mutations and sync problems, shared app-wide
+let online = typeof navigator === 'undefined' ? true : navigator.onLine;
+let syncing = false;
+let mutations = [];
+let conflicts = [];
+let failures = [];
+let nextMutationId = 1;
+let loadPromise = null;
+// Whether the queue saved in offline storage has been read into memory
+let loaded = false;
+const listeners = new Set();
+let snapshot = null;
+
+const buildSnapshot = () => ({
+  online,
+  syncing,
+  pendingCount: mutations.length,
+  conflicts,
+  failures,
+});
+snapshot = buildSnapshot();
+
+const emitChange = () => {
+  snapshot = buildSnapshot();
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Save queued mutations and conflicts so they survive a reload
+ */
+const persistQueue = () => {
+  writeOffline(QUEUE_STORAGE_KEY, { mutations, conflicts });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Subscribe to queue and connectivity changes (for useSyncExternalStore)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Get the current offline state (for useSyncExternalStore)
+ * @returns {Object} { online, syncing, pendingCount, conflicts, failures }
+ */
+export const getSnapshot = () => snapshot;
+
+// PUBLIC_INTERFACE
+/**
+ * Whether the API is believed to be reachable
+ * @returns {boolean} Online state
+ */
+export const isOnline = () => online;
+
+// PUBLIC_INTERFACE
+/**
+ * Record whether the API is reachable
+ * @param {boolean} value - Online state
+ */
+export const setOnline = (value) => {
+  if (online !== value) {
+    online = value;
+    emitChange();
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Record whether queued mutations are being replayed
+ * @param {boolean} value - Syncing state
+ */
+export const setSyncing = (value) => {
+  if (syncing !== value) {
+    syncing = value;
+    emitChange();
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Load mutations and conflicts queued in an earlier session. Runs once;
+ * anything queued before loading finishes is kept after the loaded entries.
+ * @returns {Promise} Resolves once loaded
+ */
+export const loadQueue = () => {
+  if (!loadPromise) {
+    const promise = readOffline(QUEUE_STORAGE_KEY).then((stored) => {
+      // Reset while reading, e.g. by a logout: the entries belong to the previous session
+      if (loadPromise !== promise) {
+        return;
+      }
+      loaded = true;
+      if (!stored) {
+        return;
+      }
+      mutations = [...(stored.mutations || []), ...mutations];
+      conflicts = [...(stored.conflicts || []), ...conflicts];
+      nextMutationId = Math.max(nextMutationId, ...mutations.map(m => m.id + 1), ...conflicts.map(c => c.id + 1));
+      emitChange();
+    });
+    loadPromise = promise;
+  }
+  return loadPromise;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Whether there are mutations or conflicts still to sync. A queue that hasn't been
+ * loaded from offline storage yet counts, as it may hold some.
+ * @returns {boolean} Whether anything is waiting to sync
+ */
+export const hasQueuedChanges = () => !loaded || mutations.length > 0 || conflicts.length > 0;
+
+// PUBLIC_INTERFACE
+/**
+ * Get the queued mutations in the order they were made
+ * @returns {Array} Mutations as { id, type, taskId, data, baseUpdatedAt, title }
+ */
+export const getQueuedMutations = () => mutations;
+
+// PUBLIC_INTERFACE
+/**
+ * Queue a task mutation to send once back online. Changes to a task that is
+ * still queued are folded into the pending mutation so replay stays minimal:
+ * edits to an unsent task update its create, and deleting it drops it entirely.
+ * @param {Object} mutation - Mutation to queue
+ * @param {string} mutation.type - 'create', 'update' or 'delete'
+ * @param {string} mutation.taskId - Task ID, or the temporary ID of an unsent task
+ * @param {Object} [mutation.data] - Task data for creates and updates
+ * @param {string} [mutation.baseUpdatedAt] - Server `updatedAt` the change was made against
+ * @param {string} [mutation.ifMatch] - Entity tag of that version, sent as If-Match
+ * @param {string} [mutation.title] - Task title for messages
+ */
+export const enqueueMutation = (mutation) => {
+  const { type, taskId } = mutation;
+  const pendingCreate = mutations.find(m => m.type === 'create' && m.taskId === taskId);
+  const pendingUpdate = mutations.find(m => m.type === 'update' && m.taskId === taskId);
+
+  if (type === 'update' && (pendingCreate || pendingUpdate)) {
+    const target = pendingCreate || pendingUpdate;
+    mutations = mutations.map(m =>
+      m === target ? { ...m, data: { ...m.data, ...mutation.data }, title: mutation.title || m.title } : m
+    );
+  } else if (type === 'delete' && pendingCreate) {
+    mutations = mutations.filter(m => m.taskId !== taskId);
+  } else {
+    // A delete supersedes any queued edits to the same task
+    const remaining = type === 'delete' ? mutations.filter(m => m.taskId !== taskId) : mutations;
+    mutations = [...remaining, { ...mutation, id: nextMutationId++ }];
+  }
+  persistQueue();
+  emitChange();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Remove a mutation once it has been replayed or given up on
+ * @param {number} id - Mutation ID
+ */
+export const removeMutation = (id) => {
+  mutations = mutations.filter(m => m.id !== id);
+  persistQueue();
+  emitChange();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Point queued mutations at a new task ID, e.g. once an offline-created task has its server ID
+ * @param {string} fromId - Previous task ID
+ * @param {string} toId - New task ID
+ */
+export const renameQueuedTask = (fromId, toId) => {
+  mutations = mutations.map(m => (m.taskId === fromId ? { ...m, taskId: toId } : m));
+  persistQueue();
+  emitChange();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Record a queued edit that clashes with a newer version on the server
+ * @param {Object} conflict - { taskId, title, local, server }
+ */
+export const addConflict = (conflict) => {
+  conflicts = [...conflicts, { ...conflict, id: nextMutationId++ }];
+  persistQueue();
+  emitChange();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Remove a conflict once the user has resolved it
+ * @param {number} id - Conflict ID
+ */
+export const removeConflict = (id) => {
+  conflicts = conflicts.filter(c => c.id !== id);
+  persistQueue();
+  emitChange();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Record a queued mutation the API rejected so it can be reported
+ * @param {Object} failure - { title, message }
+ */
+export const addFailure = (failure) => {
+  failures = [...failures, { ...failure, id: nextMutationId++ }];
+  emitChange();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Clear reported failures
+ */
+export const dismissFailures = () => {
+  if (failures.length) {
+    failures = [];
+    emitChange();
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Drop all queued mutations, conflicts and failures from memory, e.g. on logout.
+ * Offline storage is left alone, and the next loadQueue reads it again.
+ */
+export const resetQueue = () => {
+  loadPromise = null;
+  loaded = false;
+  mutations = [];
+  conflicts = [];
+  failures = [];
+  syncing = false;
+  emitChange();
+};
@@ -0,0 +1,114 @@
+import {
+  enqueueMutation,
+  getQueuedMutations,
+  getSnapshot,
+  hasQueuedChanges,
+  loadQueue,
+  removeMutation,
+  renameQueuedTask,
+  addConflict,
+  resetQueue,
+} from './offlineQueue';
+import { readOffline, writeOffline } from './offlineStore';
+
+jest.mock('./offlineStore', () => ({
+  readOffline: jest.fn(),
+  writeOffline: jest.fn(),
+}));
+
+beforeEach(async () => {
+  resetQueue();
+  jest.clearAllMocks();
+  readOffline.mockResolvedValue(undefined);
+  await loadQueue();
+});
+
+const summarize = () => getQueuedMutations().map(({ type, taskId, data }) => ({ type, taskId, data }));
+
+test('queues mutations in order and persists them', () => {
+  enqueueMutation({ type: 'update', taskId: 't1', data: { title: 'A' } });
+  enqueueMutation({ type: 'delete', taskId: 't2' });
+  expect(summarize()).toEqual([
+    { type: 'update', taskId: 't1', data: { title: 'A' } },
+    { type: 'delete', taskId: 't2', data: undefined },
+  ]);
+  expect(getSnapshot().pendingCount).toBe(2);
+  expect(writeOffline).toHaveBeenLastCalledWith('offlineQueue', { mutations: getQueuedMutations(), conflicts: [] });
+});
+
+test('folds edits to an unsent task into its create', () => {
+  enqueueMutation({ type: 'create', taskId: 'temp-1', data: { title: 'Draft', status: 'pending' }, title: 'Draft' });
+  enqueueMutation({ type: 'update', taskId: 'temp-1', data: { status: 'completed' }, title: 'Final' });
+  expect(summarize()).toEqual([
+    { type: 'create', taskId: 'temp-1', data: { title: 'Draft', status: 'completed' } },
+  ]);
+  expect(getQueuedMutations()[0].title).toBe('Final');
+});
+
+test('drops an unsent task entirely when it is deleted', () => {
+  enqueueMutation({ type: 'create', taskId: 'temp-1', data: { title: 'Draft' } });
+  enqueueMutation({ type: 'delete', taskId: 'temp-1' });
+  expect(getQueuedMutations()).toEqual([]);
+});
+
+test('merges repeated updates to the same task', () => {
+  enqueueMutation({ type: 'update', taskId: 't1', data: { title: 'A' }, baseUpdatedAt: 'v1' });
+  enqueueMutation({ type: 'update', taskId: 't1', data: { priority: 'high' }, baseUpdatedAt: 'v2' });
+  expect(summarize()).toEqual([{ type: 'update', taskId: 't1', data: { title: 'A', priority: 'high' } }]);
+  // The edit still applies against the version it was first made on
+  expect(getQueuedMutations()[0].baseUpdatedAt).toBe('v1');
+});
+
+test('lets a delete supersede queued edits to the same task', () => {
+  enqueueMutation({ type: 'update', taskId: 't1', data: { title: 'A' } });
+  enqueueMutation({ type: 'update', taskId: 't2', data: { title: 'B' } });
+  enqueueMutation({ type: 'delete', taskId: 't1' });
+  expect(summarize()).toEqual([
+    { type: 'update', taskId: 't2', data: { title: 'B' } },
+    { type: 'delete', taskId: 't1', data: undefined },
+  ]);
+});
+
+test('renames and removes queued mutations', () => {
+  enqueueMutation({ type: 'create', taskId: 'temp-1', data: { title: 'Draft' } });
+  enqueueMutation({ type: 'update', taskId: 't2', data: { title: 'B' } });
+  renameQueuedTask('temp-1', 't1');
+  expect(getQueuedMutations()[0].taskId).toBe('t1');
+  removeMutation(getQueuedMutations()[0].id);
+  expect(summarize()).toEqual([{ type: 'update', taskId: 't2', data: { title: 'B' } }]);
+});
+
+test('puts mutations from an earlier session before new ones', async () => {
+  resetQueue();
+  readOffline.mockResolvedValue({
+    mutations: [{ id: 7, type: 'update', taskId: 't1', data: { title: 'Old' } }],
+    conflicts: [],
+  });
+  const loading = loadQueue();
+  enqueueMutation({ type: 'delete', taskId: 't2' });
+  await loading;
+  expect(summarize().map(m => m.taskId)).toEqual(['t1', 't2']);
+  // New IDs don't collide with loaded ones
+  enqueueMutation({ type: 'delete', taskId: 't3' });
+  expect(getQueuedMutations()[2].id).toBeGreaterThan(7);
+});
+
+test('reports queued changes, counting a queue that has not been loaded yet', async () => {
+  expect(hasQueuedChanges()).toBe(false);
+  addConflict({ taskId: 't1', title: 'A', local: {}, server: {} });
+  expect(hasQueuedChanges()).toBe(true);
+
+  resetQueue();
+  expect(hasQueuedChanges()).toBe(true);
+  await loadQueue();
+  expect(hasQueuedChanges()).toBe(false);
+});
+
+test('ignores a load that finishes after the queue was reset', async () => {
+  resetQueue();
+  readOffline.mockResolvedValue({ mutations: [{ id: 1, type: 'delete', taskId: 'previous-user' }], conflicts: [] });
+  const loading = loadQueue();
+  resetQueue();
+  await loading;
+  expect(getQueuedMutations()).toEqual([]);
+});
@@ -0,0 +1,105 @@
+// IndexedDB database holding the task cache snapshot and queued offline changes
+const DB_NAME = 'task-manager';
+const DB_VERSION = 1;
+const STORE_NAME = 'keyval';
+
+let dbPromise = null;
+// Prefix of the signed-in user's keys, so each user's offline data is kept apart
+let keyPrefix = '';
+
+/**
+ * Open the database once, creating the key-value store on first use
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      // Let a later call try again, e.g. after the user leaves private browsing
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run a single request against the store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} run - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} Resolves with the request result
+ */
+const withStore = async (mode, run) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = run(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Set whose offline data later reads, writes and clears apply to
+ * @param {string|null} userId - Signed-in user's ID, or null when signed out
+ */
+export const setOfflineUser = (userId) => {
+  keyPrefix = userId ? `${userId}:` : '';
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read a value from offline storage. Storage being unavailable reads as missing.
+ * @param {string} key - Storage key
+ * @returns {Promise<*>} Stored value, or undefined
+ */
+export const readOffline = async (key) => {
+  const storageKey = `${keyPrefix}${key}`;
+  try {
+    return await withStore('readonly', store => store.get(storageKey));
+  } catch {
+    return undefined;
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Write a value to offline storage. Failures are ignored; the app keeps working online.
+ * @param {string} key - Storage key
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise} Resolves once written
+ */
+export const writeOffline = async (key, value) => {
+  const storageKey = `${keyPrefix}${key}`;
+  try {
+    await withStore('readwrite', store => store.put(value, storageKey));
+  } catch {
+    // Offline support is best effort
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Remove the signed-in user's offline data, e.g. on logout
+ * @returns {Promise} Resolves once cleared
+ */
+export const clearOffline = async () => {
+  const prefix = keyPrefix;
+  try {
+    await withStore('readwrite', store => store.delete(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+  } catch {
+    // Nothing stored, or storage is unavailable
+  }
+};
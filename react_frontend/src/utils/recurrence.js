@@ -0,0 +1,215 @@
+// Recurrence rules repeat a task from its due date:
+// { frequency, interval, weekdays, monthDay, ends, until, count }
+// `count` is how many occurrences are left including the current one, so each
+// new occurrence carries the rule with one fewer.
+
+// PUBLIC_INTERFACE
+/**
+ * Recurrence frequencies with their display labels and the unit an interval counts in
+ */
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' },
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Short weekday names, indexed like Date.getDay() (Sunday first)
+ */
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// PUBLIC_INTERFACE
+/**
+ * Largest repeat interval accepted, in days, weeks or months
+ */
+export const MAX_RECURRENCE_INTERVAL = 99;
+
+// PUBLIC_INTERFACE
+/**
+ * Largest number of occurrences a rule can end after
+ */
+export const MAX_RECURRENCE_COUNT = 999;
+
+/**
+ * Parse a YYYY-MM-DD date (or the date part of a timestamp) as local midnight
+ * @param {string} value - Date
+ * @returns {Date|null} Parsed date, or null if missing or invalid
+ */
+const parseDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value ? String(value) : '');
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+/**
+ * Format a local date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+const formatDay = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Check that a value is a whole number within a range
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest value allowed
+ * @param {number} max - Largest value allowed
+ * @returns {boolean} Whether the value is in range
+ */
+const isWholeNumber = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// PUBLIC_INTERFACE
+/**
+ * Build a rule repeating every day, week or month from a due date
+ * @param {string} frequency - 'daily', 'weekly' or 'monthly'
+ * @param {string} [dueDate] - Due date the rule starts from; today when missing
+ * @returns {Object} Recurrence rule that never ends
+ */
+export const createRecurrence = (frequency, dueDate) => {
+  const start = parseDay(dueDate) || new Date();
+  return {
+    frequency,
+    interval: 1,
+    weekdays: frequency === 'weekly' ? [start.getDay()] : [],
+    monthDay: frequency === 'monthly' ? start.getDate() : null,
+    ends: 'never',
+    until: '',
+    count: null,
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Check a recurrence rule
+ * @param {Object|null} rule - Recurrence rule, or null for a one-off task
+ * @param {string} [dueDate] - Due date of the task; recurring tasks repeat from it
+ * @returns {string|undefined} Error message, or undefined when valid
+ */
+export const validateRecurrence = (rule, dueDate) => {
+  if (!rule) {
+    return undefined;
+  }
+  if (!RECURRENCE_FREQUENCIES.some(({ value }) => value === rule.frequency)) {
+    return 'Repeat frequency is invalid';
+  }
+  if (!parseDay(dueDate)) {
+    return 'Recurring tasks need a due date to repeat from';
+  }
+  if (!isWholeNumber(rule.interval, 1, MAX_RECURRENCE_INTERVAL)) {
+    return `Repeat interval must be a whole number from 1 to ${MAX_RECURRENCE_INTERVAL}`;
+  }
+  if (rule.frequency === 'weekly' && !rule.weekdays?.some(day => isWholeNumber(day, 0, 6))) {
+    return 'Choose at least one weekday';
+  }
+  if (rule.frequency === 'monthly' && !isWholeNumber(rule.monthDay, 1, 31)) {
+    return 'Day of the month must be from 1 to 31';
+  }
+  if (rule.ends === 'on' && !(parseDay(rule.until) >= parseDay(dueDate))) {
+    return 'End date must be on or after the due date';
+  }
+  if (rule.ends === 'after' && !isWholeNumber(rule.count, 1, MAX_RECURRENCE_COUNT)) {
+    return `Number of occurrences must be from 1 to ${MAX_RECURRENCE_COUNT}`;
+  }
+  return undefined;
+};
+
+/**
+ * Work out the date of the occurrence after a given one, ignoring when the rule ends.
+ * Months without the chosen day use their last day instead.
+ * @param {Object} rule - Valid recurrence rule
+ * @param {Date} date - Date of the current occurrence
+ * @returns {Date} Date of the next occurrence
+ */
+const getFollowingDate = (rule, date) => {
+  const { interval } = rule;
+  if (rule.frequency === 'daily') {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + interval);
+  }
+  if (rule.frequency === 'weekly') {
+    const days = [...new Set(rule.weekdays)].sort((a, b) => a - b);
+    const laterThisWeek = days.find(day => day > date.getDay());
+    const weekStart = date.getDate() - date.getDay();
+    return laterThisWeek !== undefined
+      ? new Date(date.getFullYear(), date.getMonth(), weekStart + laterThisWeek)
+      : new Date(date.getFullYear(), date.getMonth(), weekStart + 7 * interval + days[0]);
+  }
+  const dayIn = (year, month) => Math.min(rule.monthDay, new Date(year, month + 1, 0).getDate());
+  if (dayIn(date.getFullYear(), date.getMonth()) > date.getDate()) {
+    return new Date(date.getFullYear(), date.getMonth(), dayIn(date.getFullYear(), date.getMonth()));
+  }
+  const target = new Date(date.getFullYear(), date.getMonth() + interval, 1);
+  return new Date(target.getFullYear(), target.getMonth(), dayIn(target.getFullYear(), target.getMonth()));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Work out when the occurrence after the current one is due
+ * @param {Object} rule - Valid recurrence rule
+ * @param {string} dueDate - Due date of the current occurrence
+ * @returns {string|null} Next due date as YYYY-MM-DD, or null once the rule has ended
+ */
+export const getNextDueDate = (rule, dueDate) => {
+  const current = parseDay(dueDate);
+  if (!current || (rule.ends === 'after' && rule.count <= 1)) {
+    return null;
+  }
+  const next = getFollowingDate(rule, current);
+  return rule.ends === 'on' && next > parseDay(rule.until) ? null : formatDay(next);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Get the rule carried by the next occurrence: the same rule, with one fewer occurrence left
+ * @param {Object} rule - Recurrence rule of the current occurrence
+ * @returns {Object} Recurrence rule for the next occurrence
+ */
+export const advanceRecurrence = (rule) =>
+  rule.ends === 'after' ? { ...rule, count: rule.count - 1 } : rule;
+
+// PUBLIC_INTERFACE
+/**
+ * List the due dates of upcoming occurrences, starting with the current one
+ * @param {Object} rule - Valid recurrence rule
+ * @param {string} dueDate - Due date of the current occurrence
+ * @param {number} limit - Most dates to return
+ * @returns {Array<string>} Due dates as YYYY-MM-DD; fewer than the limit if the rule ends first
+ */
+export const getUpcomingDueDates = (rule, dueDate, limit) => {
+  const dates = [];
+  let current = parseDay(dueDate) && formatDay(parseDay(dueDate));
+  let remaining = rule;
+  while (current && dates.length < limit) {
+    dates.push(current);
+    current = getNextDueDate(remaining, current);
+    remaining = advanceRecurrence(remaining);
+  }
+  return dates;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Describe a recurrence rule in words, e.g. "Every 2 weeks on Mon, Thu until 3/1/2027"
+ * @param {Object|null} rule - Recurrence rule
+ * @returns {string} Description, or an empty string for a one-off task
+ */
+export const describeRecurrence = (rule) => {
+  const frequency = RECURRENCE_FREQUENCIES.find(({ value }) => value === rule?.frequency);
+  if (!frequency) {
+    return '';
+  }
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${frequency.unit}s` : frequency.label;
+  if (rule.frequency === 'weekly') {
+    const days = [...new Set(rule.weekdays)].sort((a, b) => a - b);
+    text += ` on ${days.map(day => WEEKDAY_LABELS[day]).join(', ')}`;
+  } else if (rule.frequency === 'monthly') {
+    text += ` on day ${rule.monthDay}`;
+  }
+  if (rule.ends === 'on' && parseDay(rule.until)) {
+    text += ` until ${parseDay(rule.until).toLocaleDateString()}`;
+  } else if (rule.ends === 'after') {
+    text += `, ${rule.count} ${rule.count === 1 ? 'occurrence' : 'occurrences'} left`;
+  }
+  return text;
+};
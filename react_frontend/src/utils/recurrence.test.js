@@ -0,0 +1,113 @@
+import {
+  createRecurrence,
+  validateRecurrence,
+  getNextDueDate,
+  getUpcomingDueDates,
+  describeRecurrence,
+} from './recurrence';
+
+const rule = (overrides) => ({
+  frequency: 'daily',
+  interval: 1,
+  weekdays: [],
+  monthDay: null,
+  ends: 'never',
+  until: '',
+  count: null,
+  ...overrides,
+});
+
+describe('getNextDueDate', () => {
+  test('adds the interval in days across month and year ends', () => {
+    expect(getNextDueDate(rule({ interval: 3 }), '2026-12-30')).toBe('2027-01-02');
+  });
+
+  test('reads the date part of a timestamp', () => {
+    expect(getNextDueDate(rule(), '2026-10-19T00:00:00.000Z')).toBe('2026-10-20');
+  });
+
+  test('moves to a later weekday in the same week before skipping weeks', () => {
+    const weekly = rule({ frequency: 'weekly', interval: 2, weekdays: [4, 1] });
+    expect(getNextDueDate(weekly, '2026-10-19')).toBe('2026-10-22');
+    expect(getNextDueDate(weekly, '2026-10-22')).toBe('2026-11-02');
+  });
+
+  test('uses the last day of months without the chosen day', () => {
+    const monthly = rule({ frequency: 'monthly', monthDay: 31 });
+    expect(getNextDueDate(monthly, '2026-01-31')).toBe('2026-02-28');
+    expect(getNextDueDate(monthly, '2026-02-28')).toBe('2026-03-31');
+    expect(getNextDueDate(monthly, '2028-01-31')).toBe('2028-02-29');
+  });
+
+  test('moves to the chosen day when the due date is earlier in the month', () => {
+    const quarterly = rule({ frequency: 'monthly', monthDay: 15, interval: 3 });
+    expect(getNextDueDate(quarterly, '2026-01-10')).toBe('2026-01-15');
+    expect(getNextDueDate(quarterly, '2026-01-15')).toBe('2026-04-15');
+  });
+
+  test('returns null once the rule has ended', () => {
+    expect(getNextDueDate(rule({ ends: 'after', count: 1 }), '2026-10-19')).toBeNull();
+    expect(getNextDueDate(rule({ ends: 'on', until: '2026-10-19' }), '2026-10-19')).toBeNull();
+    expect(getNextDueDate(rule({ ends: 'on', until: '2026-10-20' }), '2026-10-19')).toBe('2026-10-20');
+    expect(getNextDueDate(rule(), '')).toBeNull();
+  });
+});
+
+describe('getUpcomingDueDates', () => {
+  test('counts weeks from Sunday', () => {
+    const weekly = rule({ frequency: 'weekly', interval: 2, weekdays: [0, 1] });
+    expect(getUpcomingDueDates(weekly, '2026-10-19', 4)).toEqual([
+      '2026-10-19',
+      '2026-11-01',
+      '2026-11-02',
+      '2026-11-15',
+    ]);
+  });
+
+  test('stops after the remaining number of occurrences', () => {
+    expect(getUpcomingDueDates(rule({ ends: 'after', count: 3 }), '2026-10-19', 5)).toEqual([
+      '2026-10-19',
+      '2026-10-20',
+      '2026-10-21',
+    ]);
+  });
+
+  test('stops at the end date', () => {
+    expect(getUpcomingDueDates(rule({ interval: 7, ends: 'on', until: '2026-11-01' }), '2026-10-19', 5)).toEqual([
+      '2026-10-19',
+      '2026-10-26',
+    ]);
+  });
+
+  test('returns nothing without a due date', () => {
+    expect(getUpcomingDueDates(rule(), null, 5)).toEqual([]);
+  });
+});
+
+describe('validateRecurrence', () => {
+  test('accepts rules built by createRecurrence', () => {
+    ['daily', 'weekly', 'monthly'].forEach(frequency => {
+      expect(validateRecurrence(createRecurrence(frequency, '2026-10-19'), '2026-10-19')).toBeUndefined();
+    });
+  });
+
+  test('reports what is wrong with a rule', () => {
+    expect(validateRecurrence(rule(), '')).toBe('Recurring tasks need a due date to repeat from');
+    expect(validateRecurrence(rule({ interval: 0 }), '2026-10-19')).toMatch(/^Repeat interval/);
+    expect(validateRecurrence(rule({ frequency: 'weekly' }), '2026-10-19')).toBe('Choose at least one weekday');
+    expect(validateRecurrence(rule({ ends: 'on', until: '2026-10-18' }), '2026-10-19')).toBe(
+      'End date must be on or after the due date'
+    );
+  });
+});
+
+test('describeRecurrence', () => {
+  expect(describeRecurrence(null)).toBe('');
+  expect(describeRecurrence(rule())).toBe('Daily');
+  expect(describeRecurrence(rule({ frequency: 'weekly', interval: 2, weekdays: [4, 1, 1] }))).toBe(
+    'Every 2 weeks on Mon, Thu'
+  );
+  expect(describeRecurrence(rule({ frequency: 'monthly', monthDay: 31, ends: 'after', count: 1 }))).toBe(
+    'Monthly on day 31, 1 occurrence left'
+  );
+});
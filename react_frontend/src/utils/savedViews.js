@@ -0,0 +1,168 @@
+// Saved task views live in localStorage, one entry per user so people sharing a
+// browser keep their own: { views: [{ id, name, query }], defaultId }
+const STORAGE_PREFIX = 'savedTaskViews:';
+
+// PUBLIC_INTERFACE
+/**
+ * Longest saved view name accepted
+ */
+export const MAX_VIEW_NAME_LENGTH = 40;
+
+const EMPTY_VIEWS = { views: [], defaultId: null };
+
+let nextViewId = 1;
+
+// Parsed entries by user, kept so snapshots stay referentially stable between changes
+const cache = new Map();
+const listeners = new Set();
+
+const emitChange = () => {
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Pick up changes saved by other tabs
+ * @param {StorageEvent} event - Storage event
+ */
+const handleStorage = (event) => {
+  if (event.key === null || event.key.startsWith(STORAGE_PREFIX)) {
+    cache.clear();
+    emitChange();
+  }
+};
+
+/**
+ * Read a user's saved views from localStorage
+ * @param {string} userId - User identifier
+ * @returns {Object} { views, defaultId }
+ */
+const readViews = (userId) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_PREFIX + userId));
+    if (stored && Array.isArray(stored.views)) {
+      return { views: stored.views, defaultId: stored.defaultId ?? null };
+    }
+  } catch {
+    // Fall through to no views for unreadable values
+  }
+  return EMPTY_VIEWS;
+};
+
+/**
+ * Store a user's saved views and notify subscribers
+ * @param {string} userId - User identifier
+ * @param {Object} value - { views, defaultId }
+ */
+const writeViews = (userId, value) => {
+  cache.set(userId, value);
+  localStorage.setItem(STORAGE_PREFIX + userId, JSON.stringify(value));
+  emitChange();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Subscribe to saved view changes, including those from other tabs (for useSyncExternalStore)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  if (listeners.size === 0) {
+    window.addEventListener('storage', handleStorage);
+  }
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      window.removeEventListener('storage', handleStorage);
+    }
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Get a user's saved views (for useSyncExternalStore)
+ * @param {string|null} userId - User identifier
+ * @returns {Object} { views, defaultId }
+ */
+export const getSavedViews = (userId) => {
+  if (!userId) {
+    return EMPTY_VIEWS;
+  }
+  if (!cache.has(userId)) {
+    cache.set(userId, readViews(userId));
+  }
+  return cache.get(userId);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Save the current filters as a named view, at the end of the list
+ * @param {string} userId - User identifier
+ * @param {string} name - View name
+ * @param {string} query - Filter query string from toFilterQuery
+ * @returns {Object} The saved view
+ */
+export const saveView = (userId, name, query) => {
+  const current = getSavedViews(userId);
+  const view = { id: `view-${Date.now()}-${nextViewId++}`, name, query };
+  writeViews(userId, { ...current, views: [...current.views, view] });
+  return view;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Rename a saved view
+ * @param {string} userId - User identifier
+ * @param {string} id - View ID
+ * @param {string} name - New name
+ */
+export const renameView = (userId, id, name) => {
+  const current = getSavedViews(userId);
+  writeViews(userId, {
+    ...current,
+    views: current.views.map(view => (view.id === id ? { ...view, name } : view)),
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Move a saved view up or down the list
+ * @param {string} userId - User identifier
+ * @param {string} id - View ID
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+export const moveView = (userId, id, offset) => {
+  const current = getSavedViews(userId);
+  const index = current.views.findIndex(view => view.id === id);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= current.views.length) {
+    return;
+  }
+  const views = [...current.views];
+  [views[index], views[target]] = [views[target], views[index]];
+  writeViews(userId, { ...current, views });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Delete a saved view; deleting the default view leaves no default
+ * @param {string} userId - User identifier
+ * @param {string} id - View ID
+ */
+export const deleteView = (userId, id) => {
+  const current = getSavedViews(userId);
+  writeViews(userId, {
+    views: current.views.filter(view => view.id !== id),
+    defaultId: current.defaultId === id ? null : current.defaultId,
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Choose the view Tasks opens with when no filters are in the URL
+ * @param {string} userId - User identifier
+ * @param {string|null} id - View ID, or null to open with no filters
+ */
+export const setDefaultView = (userId, id) => {
+  writeViews(userId, { ...getSavedViews(userId), defaultId: id });
+};
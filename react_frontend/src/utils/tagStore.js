@@ -0,0 +1,204 @@
+import { tagsAPI } from './api';
+import { retagCachedTasks } from './taskCache';
+
+// PUBLIC_INTERFACE
+/**
+ * Colors a tag can be given, with the chip classes for each
+ */
+export const TAG_COLORS = [
+  { value: 'gray', label: 'Gray', className: 'bg-gray-500/20 text-gray-300 border-gray-500' },
+  { value: 'red', label: 'Red', className: 'bg-red-500/20 text-red-300 border-red-500' },
+  { value: 'orange', label: 'Orange', className: 'bg-orange-500/20 text-orange-300 border-orange-500' },
+  { value: 'yellow', label: 'Yellow', className: 'bg-yellow-500/20 text-yellow-300 border-yellow-500' },
+  { value: 'green', label: 'Green', className: 'bg-green-500/20 text-green-300 border-green-500' },
+  { value: 'teal', label: 'Teal', className: 'bg-teal-500/20 text-teal-300 border-teal-500' },
+  { value: 'blue', label: 'Blue', className: 'bg-blue-500/20 text-blue-300 border-blue-500' },
+  { value: 'purple', label: 'Purple', className: 'bg-purple-500/20 text-purple-300 border-purple-500' },
+  { value: 'pink', label: 'Pink', className: 'bg-pink-500/20 text-pink-300 border-pink-500' },
+];
+
+// Tags known to the client, sorted by name: { name, color, count }
+let tags = [];
+let loaded = false;
+let loading = false;
+let error = null;
+let loadPromise = null;
+const listeners = new Set();
+let snapshot = null;
+
+const buildSnapshot = () => ({ tags, loaded, loading, error });
+snapshot = buildSnapshot();
+
+const emitChange = () => {
+  snapshot = buildSnapshot();
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Sort tags by name, ignoring case
+ * @param {Array} list - Tags
+ * @returns {Array} Sorted copy
+ */
+const sortTags = (list) => [...list].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+
+/**
+ * Compare two tag names the way the API does, ignoring case
+ * @param {string} a - Tag name
+ * @param {string} b - Tag name
+ * @returns {boolean} Whether the names refer to the same tag
+ */
+const isSameTag = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// PUBLIC_INTERFACE
+/**
+ * Tidy a tag name typed by the user: trimmed, with runs of whitespace collapsed
+ * @param {string} name - Raw tag name
+ * @returns {string} Normalized tag name
+ */
+export const normalizeTagName = (name) => String(name).trim().replace(/\s+/g, ' ');
+
+// PUBLIC_INTERFACE
+/**
+ * Subscribe to tag changes (for useSyncExternalStore)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Get the tag state (for useSyncExternalStore)
+ * @returns {Object} { tags, loaded, loading, error }
+ */
+export const getSnapshot = () => snapshot;
+
+// PUBLIC_INTERFACE
+/**
+ * Load the tags in use from the API. Concurrent callers share one request.
+ * @returns {Promise<Array>} Resolves with the tags
+ */
+export const loadTags = () => {
+  if (!loadPromise) {
+    loading = true;
+    error = null;
+    emitChange();
+    loadPromise = tagsAPI
+      .getAll()
+      .then((response) => {
+        const list = response.data.tags || response.data || [];
+        tags = sortTags(list.map(tag => (typeof tag === 'string' ? { name: tag } : tag)));
+        loaded = true;
+        return tags;
+      })
+      .catch((err) => {
+        error = err;
+        throw err;
+      })
+      .finally(() => {
+        loading = false;
+        loadPromise = null;
+        emitChange();
+      });
+  }
+  return loadPromise;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Get the chip classes for a tag: its chosen color, or one picked from its name
+ * so untouched tags still look different from each other
+ * @param {string} name - Tag name
+ * @returns {string} CSS classes
+ */
+export const getTagColorClasses = (name) => {
+  const color = tags.find(tag => isSameTag(tag.name, name))?.color;
+  const chosen = TAG_COLORS.find(option => option.value === color);
+  if (chosen) {
+    return chosen.className;
+  }
+  const hash = [...name.toLowerCase()].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 7);
+  return TAG_COLORS[hash % TAG_COLORS.length].className;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Add tags just saved on a task to the known tags, so they show up in
+ * autocomplete before the next load
+ * @param {Array<string>} names - Tag names
+ */
+export const rememberTags = (names = []) => {
+  const added = names.filter(name => !tags.some(tag => isSameTag(tag.name, name)));
+  if (added.length > 0) {
+    tags = sortTags([...tags, ...added.map(name => ({ name }))]);
+    emitChange();
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Rename a tag on every task carrying it
+ * @param {string} name - Current tag name
+ * @param {string} newName - New tag name
+ */
+export const renameTag = async (name, newName) => {
+  await tagsAPI.update(name, { name: newName });
+  tags = sortTags(tags.map(tag => (tag.name === name ? { ...tag, name: newName } : tag)));
+  emitChange();
+  retagCachedTasks(name, newName);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Change the color of a tag
+ * @param {string} name - Tag name
+ * @param {string} color - One of the TAG_COLORS values
+ */
+export const recolorTag = async (name, color) => {
+  await tagsAPI.update(name, { color });
+  tags = tags.map(tag => (tag.name === name ? { ...tag, color } : tag));
+  emitChange();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Merge a tag into another: its tasks are retagged and it is removed
+ * @param {string} name - Tag to merge away
+ * @param {string} into - Tag that remains
+ */
+export const mergeTags = async (name, into) => {
+  await tagsAPI.merge(name, into);
+  const source = tags.find(tag => tag.name === name);
+  tags = tags
+    .filter(tag => tag !== source)
+    .map(tag =>
+      tag.name === into && tag.count !== undefined ? { ...tag, count: tag.count + (source?.count || 0) } : tag
+    );
+  emitChange();
+  retagCachedTasks(name, into);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Delete a tag, removing it from every task
+ * @param {string} name - Tag name
+ */
+export const deleteTag = async (name) => {
+  await tagsAPI.delete(name);
+  tags = tags.filter(tag => tag.name !== name);
+  emitChange();
+  retagCachedTasks(name, null);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Forget all tags, e.g. when the user logs out
+ */
+export const clearTags = () => {
+  tags = [];
+  loaded = false;
+  error = null;
+  emitChange();
+};
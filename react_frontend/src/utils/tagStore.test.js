@@ -0,0 +1,100 @@
+import { loadTags, renameTag, mergeTags, deleteTag, clearTags, getSnapshot } from './tagStore';
+import {
+  ALL_TASKS_QUERY_KEY,
+  clearTaskCache,
+  fetchAllTaskQuery,
+  fetchTaskQuery,
+  getCachedQuery,
+  getQueryKey,
+} from './taskCache';
+import { tagsAPI, tasksAPI } from './api';
+
+jest.mock('./api', () => ({
+  ...jest.requireActual('./api'),
+  tagsAPI: { getAll: jest.fn(), update: jest.fn(), merge: jest.fn(), delete: jest.fn() },
+  tasksAPI: { getAll: jest.fn() },
+}));
+
+jest.mock('./offlineStore', () => ({
+  readOffline: jest.fn(() => Promise.resolve()),
+  writeOffline: jest.fn(),
+  clearOffline: jest.fn(),
+}));
+
+const PAGE_PARAMS = { page: 1, limit: 10 };
+
+/**
+ * Read the tags of every task in the cached list of every task
+ * @returns {Object} Tags by task ID
+ */
+const getCachedTags = () =>
+  Object.fromEntries(getCachedQuery(ALL_TASKS_QUERY_KEY).tasks.map(task => [task._id, task.tags]));
+
+beforeEach(async () => {
+  clearTaskCache();
+  clearTags();
+  jest.clearAllMocks();
+  tagsAPI.getAll.mockResolvedValue({
+    data: [
+      { name: 'home', count: 2 },
+      { name: 'Work', count: 2 },
+      { name: 'urgent', count: 1 },
+    ],
+  });
+  tasksAPI.getAll.mockResolvedValue({
+    data: {
+      tasks: [
+        { _id: 't1', title: 'Rent', tags: ['home', 'urgent'] },
+        { _id: 't2', title: 'Report', tags: ['Work'] },
+        { _id: 't3', title: 'Taxes', tags: ['work', 'home'] },
+      ],
+      total: 3,
+    },
+  });
+  await loadTags();
+  await fetchAllTaskQuery();
+  await fetchTaskQuery(PAGE_PARAMS);
+});
+
+test('renames a tag on every cached task', async () => {
+  await renameTag('home', 'house');
+
+  expect(tagsAPI.update).toHaveBeenCalledWith('home', { name: 'house' });
+  expect(getSnapshot().tags.map(tag => tag.name)).toEqual(['house', 'urgent', 'Work']);
+  expect(getCachedTags()).toEqual({ t1: ['house', 'urgent'], t2: ['Work'], t3: ['work', 'house'] });
+});
+
+test('merges a tag into an existing one without tagging a task twice', async () => {
+  await mergeTags('home', 'Work');
+
+  expect(tagsAPI.merge).toHaveBeenCalledWith('home', 'Work');
+  expect(getSnapshot().tags).toEqual([
+    { name: 'urgent', count: 1 },
+    { name: 'Work', count: 4 },
+  ]);
+  expect(getCachedTags()).toEqual({ t1: ['Work', 'urgent'], t2: ['Work'], t3: ['work'] });
+});
+
+test('deletes a tag from every cached task', async () => {
+  await deleteTag('urgent');
+
+  expect(tagsAPI.delete).toHaveBeenCalledWith('urgent');
+  expect(getSnapshot().tags.map(tag => tag.name)).toEqual(['home', 'Work']);
+  expect(getCachedTags()).toEqual({ t1: ['home'], t2: ['Work'], t3: ['work', 'home'] });
+});
+
+test('keeps the list of every task fresh and marks paged lists stale', async () => {
+  await renameTag('home', 'house');
+
+  expect(getCachedQuery(ALL_TASKS_QUERY_KEY).stale).toBe(false);
+  expect(getCachedQuery(getQueryKey(PAGE_PARAMS)).stale).toBe(true);
+});
+
+test('leaves tags and tasks alone when the API rejects the change', async () => {
+  tagsAPI.delete.mockRejectedValue(new Error('Forbidden'));
+
+  await expect(deleteTag('urgent')).rejects.toThrow('Forbidden');
+  expect(getSnapshot().tags).toHaveLength(3);
+  expect(getCachedTags().t1).toEqual(['home', 'urgent']);
+  expect(getCachedQuery(getQueryKey(PAGE_PARAMS)).stale).toBe(false);
+});
@@ -0,0 +1,918 @@
+import { tasksAPI, isNetworkError, isOfflineResponse, isConflictError } from './api';
+import { getTaskId, getTaskVersionTag, getNextOccurrence } from './tasks';
+import { readOffline, writeOffline, clearOffline } from './offlineStore';
+import {
+  isOnline,
+  setOnline,
+  setSyncing,
+  loadQueue,
+  getQueuedMutations,
+  enqueueMutation,
+  removeMutation,
+  renameQueuedTask,
+  addConflict,
+  removeConflict,
+  addFailure,
+  hasQueuedChanges,
+  resetQueue,
+} from './offlineQueue';
+
+// Cached query results younger than this are served without refetching
+export const STALE_TIME_MS = 30 * 1000;
+
+// PUBLIC_INTERFACE
+/**
+ * Cache key of the query holding every task, filled by fetchAllTaskQuery
+ */
+export const ALL_TASKS_QUERY_KEY = 'all';
+
+// The list of every task follows local changes and pushed events, so it only
+// needs refetching now and then to catch anything missed
+const ALL_TASKS_STALE_TIME_MS = 5 * 60 * 1000;
+
+// Page size used to read every page of a list
+const ALL_TASKS_PAGE_SIZE = 100;
+
+// Offline storage key for the cache snapshot shown when the API is unreachable
+const SNAPSHOT_STORAGE_KEY = 'taskCache';
+
+// Batch snapshot writes instead of writing on every change
+const PERSIST_DELAY_MS = 500;
+
+// Normalized store: every task lives once in `tasks`; queries hold ordered IDs
+const tasks = new Map();
+const queries = new Map();
+const inFlight = new Map();
+const listeners = new Set();
+let version = 0;
+let tempIdCounter = 0;
+let persistTimer = null;
+let hydratePromise = null;
+let syncPromise = null;
+
+/**
+ * Write the cache to offline storage
+ */
+const persistSnapshot = () => {
+  writeOffline(SNAPSHOT_STORAGE_KEY, {
+    tasks: [...tasks.values()],
+    queries: [...queries.entries()],
+  });
+};
+
+/**
+ * Write the cache to offline storage shortly after it changes
+ */
+const schedulePersist = () => {
+  clearTimeout(persistTimer);
+  persistTimer = setTimeout(persistSnapshot, PERSIST_DELAY_MS);
+};
+
+const emitChange = () => {
+  version += 1;
+  listeners.forEach(listener => listener());
+  schedulePersist();
+};
+
+/**
+ * Check whether an ID belongs to a task created offline that the API has not saved yet
+ * @param {string} id - Task ID
+ * @returns {boolean} Whether the ID is temporary
+ */
+const isTempId = (id) => String(id).startsWith('temp-');
+
+/**
+ * Fill the cache from the last snapshot saved to offline storage. Runs once;
+ * anything already in memory is newer and is kept.
+ * @returns {Promise} Resolves once hydrated
+ */
+const hydrateFromOffline = () => {
+  if (!hydratePromise) {
+    const promise = readOffline(SNAPSHOT_STORAGE_KEY).then((snapshot) => {
+      // Cleared while reading, e.g. by a logout: the snapshot belongs to the previous session
+      if (!snapshot || hydratePromise !== promise) {
+        return;
+      }
+      snapshot.tasks.forEach((task) => {
+        const id = getTaskId(task);
+        if (!tasks.has(id)) {
+          tasks.set(id, task);
+        }
+      });
+      snapshot.queries.forEach(([key, query]) => {
+        if (!queries.has(key)) {
+          queries.set(key, { ...query, stale: true });
+        }
+      });
+      emitChange();
+    });
+    hydratePromise = promise;
+  }
+  return hydratePromise;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Subscribe to cache changes (for useSyncExternalStore)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Get a number that changes whenever the cache does (for useSyncExternalStore)
+ * @returns {number} Cache version
+ */
+export const getVersion = () => version;
+
+// PUBLIC_INTERFACE
+/**
+ * Build a stable cache key for a set of list query params
+ * @param {Object} params - Query params for tasksAPI.getAll
+ * @returns {string} Cache key
+ */
+export const getQueryKey = (params) =>
+  JSON.stringify(
+    Object.keys(params)
+      .sort()
+      .reduce((sorted, key) => ({ ...sorted, [key]: params[key] }), {})
+  );
+
+/**
+ * Read the total task count from a paginated response. Supports a top-level
+ * `total`, a nested `pagination.total`, `totalCount` or an `X-Total-Count` header.
+ * @param {Object} response - Axios response
+ * @param {number} fallback - Count to use when the response has none, e.g. the
+ *   number of returned tasks for unpaginated responses
+ * @returns {number} Total number of tasks matching the query
+ */
+const getTotalCount = (response, fallback) => {
+  const { data, headers } = response;
+  const total =
+    data?.total ??
+    data?.pagination?.total ??
+    data?.totalCount ??
+    headers?.['x-total-count'];
+  const parsed = parseInt(total, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Read the task from a single-task API response
+ * @param {Object} response - Axios response
+ * @returns {Object|null} Task, or null if the response has no task body
+ */
+const unwrapTask = (response) => {
+  const task = response?.data?.task || response?.data;
+  if (!task || typeof task !== 'object' || !getTaskId(task)) {
+    return null;
+  }
+  const etag = response.headers?.etag;
+  return etag ? { ...task, etag } : task;
+};
+
+/**
+ * Get the server copy of a task after a 409/412, from the error body if the API sent it
+ * @param {string} id - Task ID
+ * @param {Error} error - Conflict error
+ * @returns {Promise<Object|null>} Current server version of the task
+ */
+const getServerCopy = async (id, error) =>
+  unwrapTask(error.response) || unwrapTask(await tasksAPI.getOne(id));
+
+/**
+ * Merge a task into the store without emitting
+ * @param {Object} task - Task from the API
+ */
+const mergeTask = (task) => {
+  const id = getTaskId(task);
+  const existing = tasks.get(id);
+  const merged = { ...existing, ...task };
+  // An ETag only describes the version it arrived with, e.g. not a newer copy from a list
+  if (!task.etag && existing?.etag && existing.updatedAt !== task.updatedAt) {
+    delete merged.etag;
+  }
+  tasks.set(id, merged);
+};
+
+/**
+ * Replace the IDs of every cached query, keeping totals in step
+ * @param {Function} update - Called with a query, returns the new { ids, total } or null to leave it
+ */
+const updateQueries = (update) => {
+  queries.forEach((query, key) => {
+    const next = update(query);
+    if (next) {
+      queries.set(key, { ...query, ...next });
+    }
+  });
+};
+
+/**
+ * Store the server copy of a task, dropping the flag marking unsynced offline changes
+ * @param {string} id - Task ID
+ * @param {Object|null} saved - Task returned by the API, if any
+ */
+const settleTask = (id, saved) => {
+  const task = { ...tasks.get(id), ...saved };
+  delete task.queued;
+  tasks.set(id, task);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Get a cached task
+ * @param {string} id - Task ID
+ * @returns {Object|undefined} Task
+ */
+export const getCachedTask = (id) => tasks.get(id);
+
+// PUBLIC_INTERFACE
+/**
+ * Get a cached list query with its tasks resolved from the store
+ * @param {string} key - Query key from getQueryKey
+ * @returns {Object|null} { tasks, total, fetchedAt, stale } or null if never fetched
+ */
+export const getCachedQuery = (key) => {
+  const query = queries.get(key);
+  if (!query) {
+    return null;
+  }
+  return {
+    tasks: query.ids.map(id => tasks.get(id)).filter(Boolean),
+    total: query.total,
+    fetchedAt: query.fetchedAt,
+    stale:
+      query.stale || Date.now() - query.fetchedAt > (query.complete ? ALL_TASKS_STALE_TIME_MS : STALE_TIME_MS),
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Mark every cached list query as stale so mounted lists revalidate in the background.
+ * The list of every task follows single-task changes itself, so it is left alone
+ * unless many tasks may have changed at once, e.g. after an import or a resync.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeComplete=false] - Mark the list of every task stale too
+ */
+export const invalidateQueries = ({ includeComplete = false } = {}) => {
+  updateQueries(query => (query.complete && !includeComplete ? null : { stale: true }));
+  emitChange();
+};
+
+/**
+ * Run a list request into the cache under a key. Identical requests already in
+ * flight share one request; it is aborted only when every caller has aborted.
+ * @param {string} key - Query key
+ * @param {Object} fields - Stored with the query: its params, and `complete` for the list of every task
+ * @param {Function} request - Called with an AbortSignal; resolves with { list, total, offline }
+ * @param {AbortSignal} [signal] - Signal to stop waiting for the result
+ * @returns {Promise<Object>} Resolves with the cached query once fetched
+ */
+const loadQuery = (key, fields, request, signal) => {
+  let entry = inFlight.get(key);
+
+  if (!entry) {
+    const controller = new AbortController();
+    const promise = request(controller.signal)
+      .then(({ list, total, offline }) => {
+        // Tasks with unsynced offline changes keep them until the queue is replayed
+        list.filter(task => !tasks.get(getTaskId(task))?.queued).forEach(mergeTask);
+        const unsyncedIds = (queries.get(key)?.ids || []).filter(id => isTempId(id) && tasks.has(id));
+        queries.set(key, {
+          ...fields,
+          ids: [...unsyncedIds, ...list.map(getTaskId)],
+          total: total + unsyncedIds.length,
+          fetchedAt: Date.now(),
+          // A copy served by the service worker while offline is refetched once back online
+          stale: offline,
+        });
+        setOnline(!offline);
+        emitChange();
+        return getCachedQuery(key);
+      })
+      .catch(async (error) => {
+        if (!isNetworkError(error)) {
+          throw error;
+        }
+        // Unreachable API: fall back to the last list saved for offline use
+        setOnline(false);
+        await hydrateFromOffline();
+        if (!queries.has(key)) {
+          throw error;
+        }
+        return getCachedQuery(key);
+      })
+      .finally(() => {
+        if (inFlight.get(key) === entry) {
+          inFlight.delete(key);
+        }
+      });
+    entry = { promise, controller, waiters: 0 };
+    inFlight.set(key, entry);
+  }
+
+  const current = entry;
+  current.waiters += 1;
+  signal?.addEventListener('abort', () => {
+    current.waiters -= 1;
+    if (current.waiters === 0) {
+      current.controller.abort();
+      // Let the next caller start a fresh request instead of joining the aborted one
+      if (inFlight.get(key) === current) {
+        inFlight.delete(key);
+      }
+    }
+  }, { once: true });
+
+  return current.promise;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Fetch a list query into the cache. When the API is unreachable, the last
+ * copy saved for offline use is returned instead.
+ * @param {Object} params - Query params for tasksAPI.getAll
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Signal to stop waiting for the result
+ * @returns {Promise<Object>} Resolves with the cached query once fetched
+ */
+export const fetchTaskQuery = (params, { signal } = {}) =>
+  loadQuery(
+    getQueryKey(params),
+    { params },
+    async (requestSignal) => {
+      const response = await tasksAPI.getAll(params, { signal: requestSignal });
+      const list = response.data.tasks || response.data || [];
+      return { list, total: getTotalCount(response, list.length), offline: isOfflineResponse(response) };
+    },
+    signal
+  );
+
+/**
+ * Read every task matching a list query, page by page, until a short page or the
+ * reported total. An API that ignores paging sends the whole list at once, so a page
+ * bringing no new tasks ends the run too.
+ * @param {Object} params - Query params for tasksAPI.getAll, without page and limit
+ * @param {AbortSignal} [signal] - Signal to abort the requests
+ * @returns {Promise<Object>} { list, total, offline }; `offline` if any page came from the service worker's cache
+ */
+const requestAllPages = async (params, signal) => {
+  const found = new Map();
+  let offline = false;
+  for (let page = 1; ; page += 1) {
+    const response = await tasksAPI.getAll({ ...params, page, limit: ALL_TASKS_PAGE_SIZE }, { signal });
+    const list = response.data.tasks || response.data || [];
+    const before = found.size;
+    list.forEach(task => found.set(getTaskId(task), task));
+    offline = offline || isOfflineResponse(response);
+    const total = getTotalCount(response, Infinity);
+    if (list.length < ALL_TASKS_PAGE_SIZE || found.size === before || found.size >= total) {
+      return { list: [...found.values()], total: found.size, offline };
+    }
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read every task matching a list query straight from the API, e.g. for an export
+ * @param {Object} params - Query params for tasksAPI.getAll, without page and limit
+ * @returns {Promise<Array>} All matching tasks
+ */
+export const fetchAllTasks = async (params) => (await requestAllPages(params)).list;
+
+// PUBLIC_INTERFACE
+/**
+ * Fetch every task into the cache as one query, under ALL_TASKS_QUERY_KEY. Creates,
+ * deletes and pushed events keep it complete afterwards, so it is refetched far less
+ * often than a list page; offline, the copy saved for offline use is returned.
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Signal to stop waiting for the result
+ * @returns {Promise<Object>} Resolves with the cached query once fetched
+ */
+export const fetchAllTaskQuery = ({ signal } = {}) =>
+  loadQuery(
+    ALL_TASKS_QUERY_KEY,
+    { params: {}, complete: true },
+    requestSignal => requestAllPages({}, requestSignal),
+    signal
+  );
+
+// PUBLIC_INTERFACE
+/**
+ * Fetch a single task into the cache, falling back to the offline copy when the API is unreachable
+ * @param {string} id - Task ID
+ * @returns {Promise<Object>} Resolves with the task
+ */
+export const fetchTask = async (id) => {
+  let response;
+  try {
+    response = await tasksAPI.getOne(id);
+  } catch (error) {
+    if (!isNetworkError(error)) {
+      throw error;
+    }
+    setOnline(false);
+    await hydrateFromOffline();
+    if (!tasks.has(id)) {
+      throw error;
+    }
+    return tasks.get(id);
+  }
+  const task = unwrapTask(response) || { ...response.data, id };
+  if (!tasks.get(getTaskId(task))?.queued) {
+    mergeTask(task);
+  }
+  emitChange();
+  return tasks.get(getTaskId(task));
+};
+
+/**
+ * Swap a temporary task for the copy the API saved
+ * @param {string} tempId - Temporary task ID
+ * @param {Object} saved - Task returned by the API
+ */
+const replaceTempTask = (tempId, saved) => {
+  const id = getTaskId(saved);
+  mergeTask(saved);
+  tasks.delete(tempId);
+  updateQueries(query => {
+    if (!query.ids.includes(tempId)) {
+      return null;
+    }
+    // A pushed event may have added the saved task before the API answered
+    return query.ids.includes(id)
+      ? { ids: query.ids.filter(taskId => taskId !== tempId), total: Math.max(0, query.total - 1) }
+      : { ids: query.ids.map(taskId => (taskId === tempId ? id : taskId)) };
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Create a task. It shows up at the top of first-page lists straight away and
+ * is swapped for the server copy once saved, or removed again if saving fails.
+ * Offline, it stays in the cache flagged `queued` and is created on sync.
+ * @param {Object} taskData - Task data
+ * @returns {Promise<Object>} Resolves with the created task
+ */
+export const createTask = async (taskData) => {
+  tempIdCounter += 1;
+  // Unique across reloads, since tasks created offline are restored from offline storage
+  const tempId = `temp-${Date.now()}-${tempIdCounter}`;
+  const isFirstPage = (query) => (query.params.page || 1) === 1;
+
+  tasks.set(tempId, { ...taskData, id: tempId, createdAt: new Date().toISOString(), optimistic: true });
+  updateQueries(query =>
+    isFirstPage(query) ? { ids: [tempId, ...query.ids], total: query.total + 1 } : null
+  );
+  emitChange();
+
+  const removeTemp = () => {
+    tasks.delete(tempId);
+    updateQueries(query =>
+      query.ids.includes(tempId)
+        ? { ids: query.ids.filter(id => id !== tempId), total: Math.max(0, query.total - 1) }
+        : null
+    );
+  };
+
+  const queueCreate = () => {
+    tasks.set(tempId, { ...tasks.get(tempId), queued: true });
+    enqueueMutation({ type: 'create', taskId: tempId, data: taskData, title: taskData.title });
+    emitChange();
+    return tasks.get(tempId);
+  };
+
+  if (!isOnline()) {
+    return queueCreate();
+  }
+
+  try {
+    const response = await tasksAPI.create(taskData);
+    const saved = unwrapTask(response);
+    if (saved) {
+      replaceTempTask(tempId, saved);
+    } else {
+      removeTemp();
+    }
+    invalidateQueries();
+    return saved || { ...taskData };
+  } catch (error) {
+    if (isNetworkError(error)) {
+      setOnline(false);
+      return queueCreate();
+    }
+    removeTemp();
+    emitChange();
+    throw error;
+  }
+};
+
+/**
+ * Update a task, applying the change at once and rolling it back if the API rejects it.
+ * The version last seen is sent as If-Match; if someone else has changed the task
+ * since, the cache takes the server copy and the thrown error carries it as `serverTask`.
+ * Offline, the change is kept, flagged `queued` and sent on sync.
+ * @param {string} id - Task ID
+ * @param {Object} taskData - Updated task data
+ * @param {Object} [options] - Options
+ * @param {string} [options.ifMatch] - Version to check against instead of the cached one,
+ *   e.g. the server copy after the user has resolved a conflict
+ * @returns {Promise<Object>} Resolves with the task as saved by the server
+ */
+const applyUpdate = async (id, taskData, { ifMatch } = {}) => {
+  const previous = tasks.get(id);
+  const versionTag = ifMatch ?? getTaskVersionTag(previous);
+  tasks.set(id, { ...previous, ...taskData });
+  emitChange();
+
+  const queueUpdate = () => {
+    tasks.set(id, { ...tasks.get(id), queued: true });
+    enqueueMutation({
+      type: 'update',
+      taskId: id,
+      data: taskData,
+      baseUpdatedAt: previous?.updatedAt,
+      ifMatch: versionTag,
+      title: taskData.title || previous?.title,
+    });
+    emitChange();
+    return tasks.get(id);
+  };
+
+  if (!isOnline() || isTempId(id)) {
+    return queueUpdate();
+  }
+
+  try {
+    const response = await tasksAPI.update(id, taskData, { ifMatch: versionTag });
+    const saved = unwrapTask(response);
+    if (saved) {
+      mergeTask(saved);
+    }
+    invalidateQueries();
+    return tasks.get(id);
+  } catch (error) {
+    if (isNetworkError(error)) {
+      setOnline(false);
+      return queueUpdate();
+    }
+    if (isConflictError(error)) {
+      const server = await getServerCopy(id, error).catch(() => null);
+      if (server) {
+        tasks.set(id, server);
+        emitChange();
+        error.serverTask = server;
+        throw error;
+      }
+    }
+    if (previous) {
+      tasks.set(id, previous);
+    } else {
+      tasks.delete(id);
+    }
+    emitChange();
+    throw error;
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Update a task (see applyUpdate). Completing a recurring task hands its rule on to
+ * a newly created next occurrence; the completed one drops the rule so completing
+ * it again later doesn't repeat it twice. If the next occurrence can't be created,
+ * the task is reopened with its rule so the series isn't lost, and the thrown error
+ * is flagged `nextOccurrenceFailed` with a message saying so.
+ * @param {string} id - Task ID
+ * @param {Object} taskData - Updated task data
+ * @param {Object} [options] - Options passed to applyUpdate
+ * @returns {Promise<Object>} Resolves with the task as saved by the server
+ */
+export const updateTask = async (id, taskData, options) => {
+  const previous = tasks.get(id);
+  const task = { ...previous, ...taskData };
+  const nextOccurrence =
+    taskData.status === 'completed' && previous?.status !== 'completed'
+      ? getNextOccurrence(task)
+      : null;
+  if (!nextOccurrence) {
+    return applyUpdate(id, taskData, options);
+  }
+  const saved = await applyUpdate(id, { ...taskData, recurrence: null }, options);
+  try {
+    await createTask(nextOccurrence);
+  } catch (error) {
+    const reopened = await applyUpdate(id, {
+      ...taskData,
+      status: previous.status,
+      recurrence: task.recurrence,
+    }).then(() => true, () => false);
+    const reason = error.response?.data?.message;
+    const failure = new Error(
+      (reopened
+        ? `"${task.title}" was not completed because its next occurrence could not be created`
+        : `"${task.title}" was completed, but its next occurrence could not be created`) +
+        (reason ? `: ${reason}` : '')
+    );
+    failure.nextOccurrenceFailed = true;
+    failure.cause = error;
+    throw failure;
+  }
+  return saved;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Delete a task, removing it from every cached list at once and restoring it if the API rejects it.
+ * Offline, the delete is queued and sent on sync.
+ * @param {string} id - Task ID
+ * @returns {Promise} Resolves once the task is deleted
+ */
+export const deleteTask = async (id) => {
+  const previousTask = tasks.get(id);
+  const previousQueries = new Map(queries);
+
+  updateQueries(query =>
+    query.ids.includes(id)
+      ? { ids: query.ids.filter(taskId => taskId !== id), total: Math.max(0, query.total - 1) }
+      : null
+  );
+  emitChange();
+
+  const queueDelete = () => {
+    tasks.delete(id);
+    enqueueMutation({ type: 'delete', taskId: id, title: previousTask?.title });
+    emitChange();
+  };
+
+  if (!isOnline() || isTempId(id)) {
+    queueDelete();
+    return;
+  }
+
+  try {
+    await tasksAPI.delete(id);
+    tasks.delete(id);
+    invalidateQueries();
+  } catch (error) {
+    if (isNetworkError(error)) {
+      setOnline(false);
+      queueDelete();
+      return;
+    }
+    previousQueries.forEach((query, key) => {
+      if (queries.has(key)) {
+        queries.set(key, query);
+      }
+    });
+    if (previousTask) {
+      tasks.set(id, previousTask);
+    }
+    emitChange();
+    throw error;
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Merge a change pushed by the server, e.g. made by a teammate. Lists are
+ * marked stale so their filters, sorting and totals catch up in the background.
+ * @param {Object} event - Task event
+ * @param {string} event.type - 'created', 'updated' or 'deleted'
+ * @param {Object} [event.task] - The task, for creates and updates
+ * @param {string} [event.id] - Task ID, for deletes without a task body
+ */
+export const applyTaskEvent = ({ type, task, id }) => {
+  const taskId = task ? getTaskId(task) : id;
+  if (!taskId) {
+    return;
+  }
+
+  if (type === 'deleted') {
+    tasks.delete(taskId);
+    updateQueries(query =>
+      query.ids.includes(taskId)
+        ? { ids: query.ids.filter(queryId => queryId !== taskId), total: Math.max(0, query.total - 1) }
+        : null
+    );
+    emitChange();
+    return;
+  }
+
+  // Unsynced offline edits win until they are replayed or resolved as a conflict
+  if (task && !tasks.get(taskId)?.queued) {
+    mergeTask(task);
+  }
+  // The list of every task isn't revalidated with the others, so it takes in new tasks here
+  updateQueries(query => {
+    if (!query.complete || query.ids.includes(taskId)) {
+      return null;
+    }
+    return task ? { ids: [taskId, ...query.ids], total: query.total + 1 } : { stale: true };
+  });
+  invalidateQueries();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Rename or remove a tag on every cached task once the API has done the same.
+ * Names match ignoring case, as in the API, and a task never ends up with a tag twice.
+ * Lists are marked stale so their tag filters catch up.
+ * @param {string} name - Tag to replace
+ * @param {string|null} replacement - Tag to put in its place, or null to remove it
+ */
+export const retagCachedTasks = (name, replacement) => {
+  const isSame = (a, b) => a.toLowerCase() === b.toLowerCase();
+  tasks.forEach((task, id) => {
+    if (!task.tags?.some(tag => isSame(tag, name))) {
+      return;
+    }
+    const retagged = [];
+    task.tags.forEach(tag => {
+      const next = isSame(tag, name) ? replacement : tag;
+      if (next && !retagged.some(kept => isSame(kept, next))) {
+        retagged.push(next);
+      }
+    });
+    tasks.set(id, { ...task, tags: retagged });
+  });
+  invalidateQueries();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Drop everything from the cache and the offline queue, e.g. on logout or when the
+ * signed-in user changes. The user's offline storage is cleared too, unless changes
+ * are still waiting to sync: then it is kept, so they sync at the user's next login.
+ */
+export const clearTaskCache = () => {
+  inFlight.forEach(entry => entry.controller.abort());
+  inFlight.clear();
+  clearTimeout(persistTimer);
+  if (hasQueuedChanges()) {
+    // Save the tasks as edited offline, unless nothing was loaded to overwrite the stored copy with
+    if (tasks.size > 0) {
+      persistSnapshot();
+    }
+  } else {
+    clearOffline();
+  }
+  tasks.clear();
+  queries.clear();
+  hydratePromise = null;
+  resetQueue();
+  emitChange();
+  clearTimeout(persistTimer);
+};
+
+/**
+ * Send one queued mutation to the API
+ * @param {Object} mutation - Queued mutation
+ */
+const replayMutation = async (mutation) => {
+  const { type, taskId, data, baseUpdatedAt, ifMatch, title } = mutation;
+
+  if (type === 'create') {
+    const saved = unwrapTask(await tasksAPI.create(data));
+    if (saved) {
+      replaceTempTask(taskId, saved);
+      renameQueuedTask(taskId, getTaskId(saved));
+    } else {
+      tasks.delete(taskId);
+    }
+    return;
+  }
+
+  if (type === 'update') {
+    // Don't overwrite changes made on the server since this edit was queued
+    if (baseUpdatedAt) {
+      const server = unwrapTask(await tasksAPI.getOne(taskId));
+      if (server?.updatedAt && server.updatedAt !== baseUpdatedAt) {
+        addConflict({ taskId, title, local: data, server });
+        return;
+      }
+    }
+    try {
+      settleTask(taskId, unwrapTask(await tasksAPI.update(taskId, data, { ifMatch })));
+    } catch (error) {
+      if (!isConflictError(error)) {
+        throw error;
+      }
+      addConflict({ taskId, title, local: data, server: await getServerCopy(taskId, error) });
+    }
+    return;
+  }
+
+  try {
+    await tasksAPI.delete(taskId);
+  } catch (error) {
+    // Already gone is as good as deleted
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Replay queued offline mutations in order. Stops at the first network failure
+ * and leaves the rest queued; mutations the API rejects are dropped and reported
+ * as failures, and edits that clash with newer server changes become conflicts.
+ * With nothing queued it just checks whether the API is reachable again.
+ * Concurrent calls share the same run.
+ * @returns {Promise} Resolves once the run finishes
+ */
+export const syncOfflineChanges = () => {
+  if (!syncPromise) {
+    syncPromise = (async () => {
+      await loadQueue();
+      await hydrateFromOffline();
+      const wasOnline = isOnline();
+      setSyncing(true);
+      try {
+        if (!getQueuedMutations().length) {
+          // Any response, even an error status, means the API is reachable
+          const response = await tasksAPI.getAll({ page: 1, limit: 1 }).catch((error) => {
+            if (isNetworkError(error)) {
+              throw error;
+            }
+          });
+          if (isOfflineResponse(response)) {
+            setOnline(false);
+            return;
+          }
+        }
+        while (getQueuedMutations().length) {
+          const mutation = getQueuedMutations()[0];
+          try {
+            await replayMutation(mutation);
+          } catch (error) {
+            if (isNetworkError(error)) {
+              throw error;
+            }
+            if (mutation.type === 'create') {
+              tasks.delete(mutation.taskId);
+            }
+            addFailure({
+              title: mutation.title,
+              message: error.response?.status === 404
+                ? 'It was deleted on the server.'
+                : error.response?.data?.message || 'The server rejected the change.',
+            });
+          }
+          removeMutation(mutation.id);
+          emitChange();
+        }
+        setOnline(true);
+        if (!wasOnline) {
+          invalidateQueries({ includeComplete: true });
+        }
+      } catch (error) {
+        if (!isNetworkError(error)) {
+          throw error;
+        }
+        setOnline(false);
+      } finally {
+        setSyncing(false);
+        syncPromise = null;
+      }
+    })();
+  }
+  return syncPromise;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Resolve a sync conflict by saving the user's choice of field values, or by
+ * taking the server version as it is
+ * @param {Object} conflict - Conflict from the offline queue
+ * @param {Object|null} data - Task data to save over the server version, or null to keep the server version
+ * @returns {Promise} Resolves once resolved
+ */
+export const resolveConflict = async (conflict, data) => {
+  const { id, taskId, server } = conflict;
+  removeConflict(id);
+
+  if (!data) {
+    settleTask(taskId, server);
+    invalidateQueries();
+    return;
+  }
+
+  tasks.set(taskId, { ...server, ...data, queued: true });
+  emitChange();
+  // Queued against the server version the user has now seen, so it won't clash again
+  enqueueMutation({
+    type: 'update',
+    taskId,
+    data,
+    baseUpdatedAt: server.updatedAt,
+    ifMatch: getTaskVersionTag(server),
+    title: data.title || conflict.title,
+  });
+  await syncOfflineChanges();
+};
@@ -0,0 +1,295 @@
+import { renderHook, waitFor, act } from '@testing-library/react';
+import {
+  ALL_TASKS_QUERY_KEY,
+  applyTaskEvent,
+  clearTaskCache,
+  createTask,
+  fetchAllTaskQuery,
+  fetchAllTasks,
+  getCachedQuery,
+  getCachedTask,
+  invalidateQueries,
+  updateTask,
+} from './taskCache';
+import { enqueueMutation, getQueuedMutations, loadQueue, setOnline } from './offlineQueue';
+import { readOffline, writeOffline, clearOffline } from './offlineStore';
+import { tasksAPI } from './api';
+import { useAllTasks } from '../hooks/useTaskQuery';
+
+jest.mock('./offlineStore', () => ({
+  readOffline: jest.fn(),
+  writeOffline: jest.fn(),
+  clearOffline: jest.fn(),
+}));
+
+jest.mock('./api', () => ({
+  ...jest.requireActual('./api'),
+  tasksAPI: {
+    getAll: jest.fn(),
+    getOne: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+}));
+
+const makeTasks = (count) =>
+  Array.from({ length: count }, (_, index) => ({ _id: `t${index + 1}`, title: `Task ${index + 1}` }));
+
+beforeEach(async () => {
+  clearTaskCache();
+  setOnline(true);
+  jest.clearAllMocks();
+  readOffline.mockResolvedValue(undefined);
+  await loadQueue();
+});
+
+describe('clearTaskCache', () => {
+  test('clears offline storage when nothing is waiting to sync', () => {
+    applyTaskEvent({ type: 'created', task: { _id: 't1', title: 'Synced' } });
+    clearTaskCache();
+    expect(getCachedTask('t1')).toBeUndefined();
+    expect(clearOffline).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps queued changes and the tasks they apply to for the next login', async () => {
+    applyTaskEvent({ type: 'created', task: { _id: 't1', title: 'Edited offline' } });
+    enqueueMutation({ type: 'update', taskId: 't1', data: { title: 'Edited offline' } });
+    writeOffline.mockClear();
+
+    clearTaskCache();
+    expect(clearOffline).not.toHaveBeenCalled();
+    expect(writeOffline).toHaveBeenCalledWith('taskCache', {
+      tasks: [{ _id: 't1', title: 'Edited offline' }],
+      queries: [],
+    });
+    expect(getCachedTask('t1')).toBeUndefined();
+    expect(getQueuedMutations()).toEqual([]);
+
+    // Logging back in reads the queue from offline storage again
+    const stored = { mutations: [{ id: 1, type: 'update', taskId: 't1', data: { title: 'Edited offline' } }], conflicts: [] };
+    readOffline.mockResolvedValue(stored);
+    await loadQueue();
+    expect(getQueuedMutations()).toEqual(stored.mutations);
+  });
+
+  test('leaves offline storage alone if the queue was never loaded', () => {
+    clearTaskCache();
+    clearOffline.mockClear();
+    writeOffline.mockClear();
+    clearTaskCache();
+    expect(clearOffline).not.toHaveBeenCalled();
+    expect(writeOffline).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateTask', () => {
+  const recurrence = { frequency: 'daily', interval: 1, weekdays: [], monthDay: null, ends: 'never', until: '', count: null };
+  const task = {
+    _id: 't1',
+    title: 'Water plants',
+    description: 'Balcony',
+    status: 'pending',
+    dueDate: '2026-10-19',
+    recurrence,
+  };
+
+  beforeEach(() => {
+    applyTaskEvent({ type: 'created', task });
+    tasksAPI.update.mockImplementation(async (id, data) => ({ data: { ...task, ...data } }));
+  });
+
+  test('creates the next occurrence when a recurring task is completed', async () => {
+    tasksAPI.create.mockImplementation(async (data) => ({ data: { ...data, _id: 't2' } }));
+    await updateTask('t1', { ...task, status: 'completed' });
+
+    expect(tasksAPI.update).toHaveBeenCalledWith(
+      't1',
+      expect.objectContaining({ status: 'completed', recurrence: null }),
+      expect.anything()
+    );
+    expect(tasksAPI.create).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'pending', dueDate: '2026-10-20', recurrence })
+    );
+    expect(getCachedTask('t2')).toMatchObject({ dueDate: '2026-10-20' });
+  });
+
+  test('reopens the task with its rule when the next occurrence cannot be created', async () => {
+    tasksAPI.create.mockRejectedValue({ response: { status: 400, data: { message: 'Too many tasks' } } });
+
+    await expect(updateTask('t1', { ...task, status: 'completed' })).rejects.toMatchObject({
+      nextOccurrenceFailed: true,
+      message: '"Water plants" was not completed because its next occurrence could not be created: Too many tasks',
+    });
+    expect(tasksAPI.update).toHaveBeenLastCalledWith(
+      't1',
+      expect.objectContaining({ status: 'pending', recurrence }),
+      expect.anything()
+    );
+    expect(getCachedTask('t1')).toMatchObject({ status: 'pending', recurrence });
+  });
+});
+
+describe('updateTask conflicts', () => {
+  const task = { _id: 't1', title: 'Pay rent', status: 'pending', updatedAt: '2026-10-19T08:00:00.000Z' };
+  const server = {
+    _id: 't1',
+    title: 'Pay rent and fees',
+    status: 'in-progress',
+    updatedAt: '2026-10-19T09:00:00.000Z',
+  };
+
+  beforeEach(() => {
+    applyTaskEvent({ type: 'created', task });
+  });
+
+  test('sends the version last seen as If-Match and keeps the ETag of the saved copy', async () => {
+    tasksAPI.update.mockResolvedValueOnce({ data: { ...task, status: 'completed' }, headers: { etag: '"v2"' } });
+    await updateTask('t1', { status: 'completed' });
+    expect(tasksAPI.update).toHaveBeenCalledWith(
+      't1',
+      { status: 'completed' },
+      { ifMatch: '"2026-10-19T08:00:00.000Z"' }
+    );
+    expect(getCachedTask('t1')).toMatchObject({ status: 'completed', etag: '"v2"' });
+
+    tasksAPI.update.mockResolvedValueOnce({ data: { ...task, status: 'pending' } });
+    await updateTask('t1', { status: 'pending' });
+    expect(tasksAPI.update).toHaveBeenLastCalledWith('t1', { status: 'pending' }, { ifMatch: '"v2"' });
+  });
+
+  test('takes the server copy from a 412 response and hands it to the caller', async () => {
+    tasksAPI.update.mockRejectedValue({
+      response: { status: 412, data: { task: server }, headers: { etag: '"v3"' } },
+    });
+
+    await expect(updateTask('t1', { title: 'Pay rent today' })).rejects.toMatchObject({
+      serverTask: { ...server, etag: '"v3"' },
+    });
+    expect(tasksAPI.getOne).not.toHaveBeenCalled();
+    expect(getCachedTask('t1')).toEqual({ ...server, etag: '"v3"' });
+  });
+
+  test('fetches the server copy when a 409 response has no task body', async () => {
+    tasksAPI.update.mockRejectedValue({ response: { status: 409, data: { message: 'Conflict' } } });
+    tasksAPI.getOne.mockResolvedValue({ data: server, headers: {} });
+
+    await expect(updateTask('t1', { title: 'Pay rent today' })).rejects.toMatchObject({ serverTask: server });
+    expect(tasksAPI.getOne).toHaveBeenCalledWith('t1');
+    expect(getCachedTask('t1')).toEqual(server);
+  });
+
+  test('rolls the edit back when the server copy cannot be fetched', async () => {
+    tasksAPI.update.mockRejectedValue({ response: { status: 409, data: {} } });
+    tasksAPI.getOne.mockRejectedValue(new Error('Not found'));
+
+    const error = await updateTask('t1', { title: 'Pay rent today' }).catch(caught => caught);
+    expect(error.serverTask).toBeUndefined();
+    expect(getCachedTask('t1')).toEqual(task);
+  });
+});
+
+describe('fetchAllTasks', () => {
+  const all = makeTasks(250);
+  const page = ({ page: number, limit }) => all.slice((number - 1) * limit, number * limit);
+
+  beforeEach(() => {
+    tasksAPI.getAll.mockReset();
+  });
+
+  test.each([
+    ['data.total', (list) => ({ data: { tasks: list, total: 250 } })],
+    ['data.pagination.total', (list) => ({ data: { tasks: list, pagination: { total: 250 } } })],
+    ['data.totalCount', (list) => ({ data: { tasks: list, totalCount: 250 } })],
+    ['an X-Total-Count header', (list) => ({ data: list, headers: { 'x-total-count': '250' } })],
+    ['no total at all', (list) => ({ data: { tasks: list } })],
+  ])('reads every page when the count is in %s', async (_, respond) => {
+    tasksAPI.getAll.mockImplementation(async (params) => respond(page(params)));
+    const tasks = await fetchAllTasks({ status: 'pending' });
+    expect(tasks).toHaveLength(250);
+    expect(tasksAPI.getAll).toHaveBeenCalledTimes(3);
+    expect(tasksAPI.getAll).toHaveBeenCalledWith({ status: 'pending', page: 1, limit: 100 }, expect.anything());
+  });
+
+  test('stops at the reported total without asking for an empty page', async () => {
+    const exact = makeTasks(200);
+    tasksAPI.getAll.mockImplementation(async ({ page: number }) => ({
+      data: { tasks: exact.slice((number - 1) * 100, number * 100), total: 200 },
+    }));
+    expect(await fetchAllTasks({})).toHaveLength(200);
+    expect(tasksAPI.getAll).toHaveBeenCalledTimes(2);
+  });
+
+  test('stops when an API that ignores paging sends the same tasks again', async () => {
+    const unpaged = makeTasks(100);
+    tasksAPI.getAll.mockResolvedValue({ data: unpaged });
+    expect(await fetchAllTasks({})).toHaveLength(100);
+    expect(tasksAPI.getAll).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('fetchAllTaskQuery', () => {
+  beforeEach(() => {
+    tasksAPI.getAll.mockResolvedValue({ data: { tasks: makeTasks(2), total: 2 } });
+  });
+
+  test('caches every task under one query', async () => {
+    const query = await fetchAllTaskQuery();
+    expect(query).toMatchObject({ total: 2, stale: false });
+    expect(query.tasks.map(task => task._id)).toEqual(['t1', 't2']);
+    expect(tasksAPI.getAll).toHaveBeenCalledWith({ page: 1, limit: 100 }, expect.anything());
+    expect(getCachedQuery(ALL_TASKS_QUERY_KEY)).toEqual(query);
+  });
+
+  test('stays fresh when other lists are invalidated, taking in new tasks instead', async () => {
+    await fetchAllTaskQuery();
+    tasksAPI.create.mockResolvedValue({ data: { _id: 't3', title: 'Created here' } });
+    await createTask({ title: 'Created here' });
+    applyTaskEvent({ type: 'created', task: { _id: 't4', title: 'Created elsewhere' } });
+    applyTaskEvent({ type: 'deleted', id: 't1' });
+    invalidateQueries();
+
+    const query = getCachedQuery(ALL_TASKS_QUERY_KEY);
+    expect(query.stale).toBe(false);
+    expect(query.total).toBe(3);
+    expect(query.tasks.map(task => task._id)).toEqual(['t4', 't3', 't2']);
+  });
+
+  test('is refetched after an invalidation that includes it', async () => {
+    const { result } = renderHook(() => useAllTasks());
+    await waitFor(() => expect(result.current.tasks).toHaveLength(2));
+    expect(tasksAPI.getAll).toHaveBeenCalledTimes(1);
+
+    tasksAPI.getAll.mockResolvedValue({ data: { tasks: makeTasks(3), total: 3 } });
+    act(() => invalidateQueries({ includeComplete: true }));
+    await waitFor(() => expect(result.current.tasks).toHaveLength(3));
+    expect(tasksAPI.getAll).toHaveBeenCalledTimes(2);
+  });
+
+  test('counts a task once when its created event arrives before the API answers', async () => {
+    await fetchAllTaskQuery();
+    let respond;
+    tasksAPI.create.mockReturnValue(new Promise(resolve => { respond = resolve; }));
+    const creating = createTask({ title: 'Created here' });
+    applyTaskEvent({ type: 'created', task: { _id: 't3', title: 'Created here' } });
+    respond({ data: { _id: 't3', title: 'Created here' } });
+    await creating;
+
+    const query = getCachedQuery(ALL_TASKS_QUERY_KEY);
+    expect(query.tasks.map(task => task._id)).toEqual(['t3', 't1', 't2']);
+    expect(query.total).toBe(3);
+  });
+
+  test('falls back to the offline snapshot when the API is unreachable', async () => {
+    const snapshot = {
+      tasks: makeTasks(1),
+      queries: [[ALL_TASKS_QUERY_KEY, { params: {}, complete: true, ids: ['t1'], total: 1 }]],
+    };
+    readOffline.mockImplementation(async (key) => (key === 'taskCache' ? snapshot : undefined));
+    tasksAPI.getAll.mockRejectedValue({ isAxiosError: true });
+
+    const query = await fetchAllTaskQuery();
+    expect(query.tasks).toEqual(makeTasks(1));
+    expect(query.stale).toBe(true);
+  });
+});
@@ -0,0 +1,156 @@
+import { tasksAPI } from './api';
+import { applyTaskEvent, invalidateQueries } from './taskCache';
+
+// Reconnect delays double from the base up to the cap, with jitter so
+// clients dropped together don't all come back at the same moment
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+
+// Event names sent by the server, mapped to the change they describe
+const TASK_EVENT_TYPES = {
+  'task.created': 'created',
+  'task.updated': 'updated',
+  'task.deleted': 'deleted',
+};
+
+// Connection state shared with the live indicator: 'off', 'connecting', 'live' or 'reconnecting'
+let status = 'off';
+const listeners = new Set();
+
+const setStatus = (value) => {
+  if (status !== value) {
+    status = value;
+    listeners.forEach(listener => listener());
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Subscribe to live connection status changes (for useSyncExternalStore)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Get the live connection status (for useSyncExternalStore)
+ * @returns {string} 'off', 'connecting', 'live' or 'reconnecting'
+ */
+export const getStatus = () => status;
+
+/**
+ * Get the delay before the next reconnect attempt
+ * @param {number} attempt - Number of failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+const getReconnectDelay = (attempt) => {
+  const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+/**
+ * Parse an event payload into a task event
+ * @param {string} type - Change type, or undefined to read it from the payload
+ * @param {string} data - Raw event data
+ * @returns {Object|null} { type, task, id }, or null if the payload is unusable
+ */
+const parseTaskEvent = (type, data) => {
+  try {
+    const payload = JSON.parse(data);
+    const eventType = type || TASK_EVENT_TYPES[payload.type] || payload.type;
+    if (!Object.values(TASK_EVENT_TYPES).includes(eventType)) {
+      return null;
+    }
+    return { type: eventType, task: payload.task, id: payload.id || payload.taskId };
+  } catch {
+    return null;
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Open the live task event stream and merge incoming changes into the task cache.
+ * Dropped connections are retried with exponential backoff, straight away when the
+ * browser comes back online, and lists are revalidated after a reconnect to pick
+ * up anything missed while disconnected.
+ * @param {string} token - Access token used to authenticate the stream
+ * @returns {Function} Closes the stream and stops reconnecting
+ */
+export const connectTaskEvents = (token) => {
+  if (typeof EventSource === 'undefined') {
+    return () => {};
+  }
+
+  let source = null;
+  let reconnectTimer = null;
+  let attempt = 0;
+  let closed = false;
+
+  const handleMessage = (type) => (event) => {
+    const taskEvent = parseTaskEvent(type, event.data);
+    if (taskEvent) {
+      applyTaskEvent(taskEvent);
+    }
+  };
+
+  const scheduleReconnect = () => {
+    clearTimeout(reconnectTimer);
+    setStatus('reconnecting');
+    reconnectTimer = setTimeout(open, getReconnectDelay(attempt));
+    attempt += 1;
+  };
+
+  const open = () => {
+    clearTimeout(reconnectTimer);
+    source?.close();
+    if (closed) {
+      return;
+    }
+    if (!navigator.onLine) {
+      // Wait for the online event rather than burning through retries
+      setStatus('reconnecting');
+      return;
+    }
+
+    setStatus(attempt === 0 ? 'connecting' : 'reconnecting');
+    source = new EventSource(tasksAPI.getEventsUrl(token));
+
+    source.onopen = () => {
+      if (attempt > 0) {
+        invalidateQueries({ includeComplete: true });
+      }
+      attempt = 0;
+      setStatus('live');
+    };
+    // EventSource retries on its own with a fixed delay; take over to back off instead
+    source.onerror = () => {
+      source.close();
+      scheduleReconnect();
+    };
+    source.onmessage = handleMessage();
+    Object.entries(TASK_EVENT_TYPES).forEach(([name, type]) => {
+      source.addEventListener(name, handleMessage(type));
+    });
+  };
+
+  const handleOnline = () => {
+    if (status !== 'live') {
+      open();
+    }
+  };
+
+  window.addEventListener('online', handleOnline);
+  open();
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    source?.close();
+    window.removeEventListener('online', handleOnline);
+    setStatus('off');
+  };
+};
@@ -0,0 +1,134 @@
+import { connectTaskEvents, getStatus } from './taskEvents';
+import { applyTaskEvent, invalidateQueries } from './taskCache';
+
+jest.mock('./taskCache', () => ({
+  applyTaskEvent: jest.fn(),
+  invalidateQueries: jest.fn(),
+}));
+
+// Stand-in for the event stream server: records every connection and lets tests push events
+class MockEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.closed = false;
+    MockEventSource.instances.push(this);
+  }
+
+  addEventListener(name, listener) {
+    this.listeners[name] = listener;
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  emit(name, payload) {
+    const event = { data: typeof payload === 'string' ? payload : JSON.stringify(payload) };
+    if (name === 'message') {
+      this.onmessage(event);
+    } else {
+      this.listeners[name](event);
+    }
+  }
+}
+
+const latest = () => MockEventSource.instances[MockEventSource.instances.length - 1];
+
+let disconnect;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(Math, 'random').mockReturnValue(1);
+  MockEventSource.instances = [];
+  window.EventSource = MockEventSource;
+  global.EventSource = MockEventSource;
+  disconnect = connectTaskEvents('secret token');
+});
+
+afterEach(() => {
+  disconnect();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  delete global.EventSource;
+  delete window.EventSource;
+});
+
+test('authenticates the stream with the access token', () => {
+  expect(latest().url).toMatch(/\?token=secret%20token$/);
+  expect(getStatus()).toBe('connecting');
+  latest().onopen();
+  expect(getStatus()).toBe('live');
+});
+
+test('applies named task events to the cache', () => {
+  const task = { _id: 't1', title: 'Shared' };
+  latest().emit('task.updated', { task });
+  latest().emit('task.deleted', { taskId: 't2' });
+  expect(applyTaskEvent).toHaveBeenNthCalledWith(1, { type: 'updated', task, id: undefined });
+  expect(applyTaskEvent).toHaveBeenNthCalledWith(2, { type: 'deleted', task: undefined, id: 't2' });
+});
+
+test('reads the change type of unnamed messages from the payload', () => {
+  latest().emit('message', { type: 'task.created', task: { _id: 't1' } });
+  latest().emit('message', { type: 'created', task: { _id: 't2' } });
+  expect(applyTaskEvent).toHaveBeenCalledTimes(2);
+  expect(applyTaskEvent.mock.calls.map(([event]) => event.type)).toEqual(['created', 'created']);
+});
+
+test('ignores malformed payloads and unknown event types', () => {
+  latest().emit('message', 'not json');
+  latest().emit('message', { type: 'comment.created' });
+  expect(applyTaskEvent).not.toHaveBeenCalled();
+});
+
+test('reconnects with exponential backoff capped at 30 seconds', () => {
+  const delays = [];
+  for (let attempt = 0; attempt < 7; attempt += 1) {
+    const source = latest();
+    source.onerror();
+    expect(source.closed).toBe(true);
+    expect(getStatus()).toBe('reconnecting');
+    const before = MockEventSource.instances.length;
+    let waited = 0;
+    while (MockEventSource.instances.length === before) {
+      jest.advanceTimersByTime(500);
+      waited += 500;
+    }
+    delays.push(waited);
+  }
+  expect(delays).toEqual([1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+});
+
+test('adds jitter of up to half the delay', () => {
+  Math.random.mockReturnValue(0);
+  latest().onerror();
+  jest.advanceTimersByTime(499);
+  expect(MockEventSource.instances).toHaveLength(1);
+  jest.advanceTimersByTime(1);
+  expect(MockEventSource.instances).toHaveLength(2);
+});
+
+test('revalidates lists and resets the backoff after reconnecting', () => {
+  latest().onerror();
+  jest.advanceTimersByTime(1000);
+  latest().onopen();
+  expect(invalidateQueries).toHaveBeenCalledTimes(1);
+  expect(invalidateQueries).toHaveBeenCalledWith({ includeComplete: true });
+  expect(getStatus()).toBe('live');
+
+  latest().onerror();
+  jest.advanceTimersByTime(1000);
+  expect(MockEventSource.instances).toHaveLength(3);
+});
+
+test('stops reconnecting once closed', () => {
+  latest().onerror();
+  disconnect();
+  jest.advanceTimersByTime(60 * 1000);
+  expect(MockEventSource.instances).toHaveLength(1);
+  expect(getStatus()).toBe('off');
+});
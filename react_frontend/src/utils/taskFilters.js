@@ -0,0 +1,111 @@
+import { TASK_STATUSES, TASK_PRIORITIES, TASK_SORT_OPTIONS } from './tasks';
+
+// PUBLIC_INTERFACE
+/**
+ * Task list filters with their defaults, in the order they appear in URLs.
+ * Keys double as query string names and tasksAPI.getAll params.
+ */
+export const EMPTY_TASK_FILTERS = {
+  search: '',
+  status: '',
+  priority: '',
+  tags: [],
+  tagMode: 'any',
+  dueFrom: '',
+  dueTo: '',
+  sort: '',
+};
+
+// PUBLIC_INTERFACE
+/**
+ * How tasks can match the selected tags: 'any' (OR) or 'all' (AND)
+ */
+export const TAG_MATCH_MODES = [
+  { value: 'any', label: 'Any tag' },
+  { value: 'all', label: 'All tags' },
+];
+
+/**
+ * Check that a value is one of a list of options
+ * @param {Array} options - Options with a `value`
+ * @returns {Function} Validator
+ */
+const isOneOf = (options) => (value) => options.some(option => option.value === value);
+
+const isDateValue = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Checks a hand-edited or outdated URL must pass; anything else falls back to the default
+const FILTER_VALIDATORS = {
+  status: isOneOf(TASK_STATUSES),
+  priority: isOneOf(TASK_PRIORITIES),
+  sort: isOneOf(TASK_SORT_OPTIONS),
+  tagMode: isOneOf(TAG_MATCH_MODES),
+  dueFrom: isDateValue,
+  dueTo: isDateValue,
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read task filters from a query string, ignoring invalid values
+ * @param {URLSearchParams} searchParams - Query string
+ * @returns {Object} Filters shaped like EMPTY_TASK_FILTERS
+ */
+export const parseTaskFilters = (searchParams) =>
+  Object.fromEntries(
+    Object.entries(EMPTY_TASK_FILTERS).map(([key, fallback]) => {
+      const raw = searchParams.get(key);
+      if (raw === null) {
+        return [key, fallback];
+      }
+      if (Array.isArray(fallback)) {
+        return [key, [...new Set(raw.split(',').map(item => item.trim()).filter(Boolean))]];
+      }
+      const validate = FILTER_VALIDATORS[key];
+      return [key, !validate || validate(raw) ? raw : fallback];
+    })
+  );
+
+// PUBLIC_INTERFACE
+/**
+ * Write values into a query string, removing those equal to their default so
+ * URLs only carry what differs. Lists are written comma-separated.
+ * @param {URLSearchParams} searchParams - Current query string
+ * @param {Object} updates - Values to set
+ * @param {Object} defaults - Default value for each key
+ * @returns {URLSearchParams} New query string
+ */
+export const setQueryValues = (searchParams, updates, defaults) => {
+  const next = new URLSearchParams(searchParams);
+  Object.entries(updates).forEach(([key, value]) => {
+    const serialized = Array.isArray(value) ? value.join(',') : String(value ?? '');
+    const fallback = defaults[key];
+    if (serialized === (Array.isArray(fallback) ? fallback.join(',') : String(fallback ?? ''))) {
+      next.delete(key);
+    } else {
+      next.set(key, serialized);
+    }
+  });
+  return next;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Serialize filters into the canonical query string used for saved views, so
+ * the same filters always give the same string whatever order they were set in
+ * @param {Object} filters - Filters shaped like EMPTY_TASK_FILTERS
+ * @returns {string} Query string without the leading '?'
+ */
+export const toFilterQuery = (filters) => {
+  const { tagMode, ...rest } = filters;
+  // The match mode means nothing without tags to match
+  const relevant = filters.tags?.length ? { ...rest, tagMode } : rest;
+  return setQueryValues(new URLSearchParams(), relevant, EMPTY_TASK_FILTERS).toString();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Check whether any filter differs from its default
+ * @param {Object} filters - Filters shaped like EMPTY_TASK_FILTERS
+ * @returns {boolean} Whether filters are applied
+ */
+export const hasActiveFilters = (filters) => toFilterQuery(filters) !== '';
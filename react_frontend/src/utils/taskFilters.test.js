@@ -0,0 +1,81 @@
+import {
+  EMPTY_TASK_FILTERS,
+  parseTaskFilters,
+  setQueryValues,
+  toFilterQuery,
+  hasActiveFilters,
+} from './taskFilters';
+
+const parse = (query) => parseTaskFilters(new URLSearchParams(query));
+
+describe('parseTaskFilters', () => {
+  test('fills in defaults for an empty query string', () => {
+    expect(parse('')).toEqual(EMPTY_TASK_FILTERS);
+  });
+
+  test('reads valid values', () => {
+    expect(parse('search=rent&status=completed&priority=high&dueFrom=2026-10-01&dueTo=2026-10-31&sort=dueDate')).toEqual({
+      ...EMPTY_TASK_FILTERS,
+      search: 'rent',
+      status: 'completed',
+      priority: 'high',
+      dueFrom: '2026-10-01',
+      dueTo: '2026-10-31',
+      sort: 'dueDate',
+    });
+  });
+
+  test('falls back to defaults for invalid values', () => {
+    expect(parse('status=archived&priority=urgent&dueFrom=yesterday&tagMode=some&sort=random')).toEqual(
+      EMPTY_TASK_FILTERS
+    );
+  });
+
+  test('splits tags, trimming blanks and duplicates', () => {
+    const filters = parse('tags=home, work,,home&tagMode=all');
+    expect(filters.tags).toEqual(['home', 'work']);
+    expect(filters.tagMode).toBe('all');
+  });
+});
+
+describe('setQueryValues', () => {
+  test('sets values and removes those equal to their default', () => {
+    const next = setQueryValues(
+      new URLSearchParams('status=pending&page=3&other=kept'),
+      { status: '', page: 1, search: 'rent', tags: ['a', 'b'] },
+      { status: '', page: 1, search: '', tags: [] }
+    );
+    expect(next.toString()).toBe('other=kept&search=rent&tags=a%2Cb');
+  });
+
+  test('leaves the original query string untouched', () => {
+    const original = new URLSearchParams('status=pending');
+    setQueryValues(original, { status: 'completed' }, EMPTY_TASK_FILTERS);
+    expect(original.get('status')).toBe('pending');
+  });
+});
+
+describe('toFilterQuery', () => {
+  test('gives the same string for the same filters', () => {
+    const a = { ...parse(''), sort: 'dueDate', search: 'rent' };
+    const b = { ...parse(''), search: 'rent', sort: 'dueDate' };
+    expect(toFilterQuery(a)).toBe(toFilterQuery(b));
+    expect(toFilterQuery(a)).toBe('search=rent&sort=dueDate');
+  });
+
+  test('leaves out the tag match mode when no tags are selected', () => {
+    expect(toFilterQuery({ ...EMPTY_TASK_FILTERS, tagMode: 'all' })).toBe('');
+    expect(toFilterQuery({ ...EMPTY_TASK_FILTERS, tags: ['home'], tagMode: 'all' })).toBe('tags=home&tagMode=all');
+  });
+
+  test('round-trips through parseTaskFilters', () => {
+    const filters = { ...EMPTY_TASK_FILTERS, search: 'a&b', tags: ['x', 'y'], tagMode: 'all', dueTo: '2026-12-31' };
+    expect(parse(toFilterQuery(filters))).toEqual(filters);
+  });
+});
+
+test('hasActiveFilters', () => {
+  expect(hasActiveFilters(EMPTY_TASK_FILTERS)).toBe(false);
+  expect(hasActiveFilters({ ...EMPTY_TASK_FILTERS, tagMode: 'all' })).toBe(false);
+  expect(hasActiveFilters({ ...EMPTY_TASK_FILTERS, priority: 'low' })).toBe(true);
+});
@@ -0,0 +1,124 @@
+import { TASK_STATUSES, getTaskId, getDueState } from './tasks';
+
+/**
+ * Parse an API timestamp
+ * @param {string} value - Timestamp
+ * @returns {Date|null} Date, or null if missing or invalid
+ */
+const parseTime = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Get when a task was completed. Tasks without a completedAt timestamp fall
+ * back to their last update, which is when most were marked done.
+ * @param {Object} task - Task
+ * @returns {Date|null} Completion time, or null if the task isn't completed
+ */
+export const getCompletedAt = (task) =>
+  task.status === 'completed' ? parseTime(task.completedAt || task.updatedAt) : null;
+
+// PUBLIC_INTERFACE
+/**
+ * Count tasks per status, overdue and due soon
+ * @param {Array} tasks - Tasks
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} { total, byStatus: { [status]: count }, overdue, dueSoon, completionRate }
+ */
+export const getTaskCounts = (tasks, now = new Date()) => {
+  const byStatus = Object.fromEntries(TASK_STATUSES.map(({ value }) => [value, 0]));
+  let overdue = 0;
+  let dueSoon = 0;
+  tasks.forEach(task => {
+    byStatus[task.status] = (byStatus[task.status] || 0) + 1;
+    const dueState = getDueState(task, now);
+    if (dueState === 'overdue') {
+      overdue += 1;
+    } else if (dueState === 'due-soon') {
+      dueSoon += 1;
+    }
+  });
+  return {
+    total: tasks.length,
+    byStatus,
+    overdue,
+    dueSoon,
+    completionRate: tasks.length ? byStatus.completed / tasks.length : 0,
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Tally tasks created and completed in each of the last few weeks, with the
+ * share of all tasks created so far that were completed by each week's end
+ * @param {Array} tasks - Tasks
+ * @param {number} weeks - Number of weeks, ending with the current one
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Array} Oldest first: { start, created, completed, completionRate }
+ */
+export const getWeeklyStats = (tasks, weeks, now = new Date()) => {
+  const thisWeek = new Date(now.getFullYear(), now.getMonth(), now.getDate() - now.getDay());
+  const buckets = Array.from({ length: weeks }, (_, index) => {
+    const start = new Date(thisWeek.getFullYear(), thisWeek.getMonth(), thisWeek.getDate() - 7 * (weeks - 1 - index));
+    const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+    return { start, end, created: 0, completed: 0, createdBefore: 0, completedBefore: 0 };
+  });
+
+  tasks.forEach(task => {
+    const createdAt = parseTime(task.createdAt);
+    const completedAt = getCompletedAt(task);
+    buckets.forEach(bucket => {
+      if (createdAt && createdAt < bucket.end) {
+        bucket.createdBefore += 1;
+        if (createdAt >= bucket.start) {
+          bucket.created += 1;
+        }
+      }
+      if (completedAt && completedAt < bucket.end) {
+        bucket.completedBefore += 1;
+        if (completedAt >= bucket.start) {
+          bucket.completed += 1;
+        }
+      }
+    });
+  });
+
+  return buckets.map(({ start, created, completed, createdBefore, completedBefore }) => ({
+    start,
+    created,
+    completed,
+    completionRate: createdBefore ? Math.min(1, completedBefore / createdBefore) : 0,
+  }));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * List recent task events (created, completed, updated), newest first
+ * @param {Array} tasks - Tasks
+ * @param {number} limit - Most events to return
+ * @returns {Array} { id, taskId, title, type, at }
+ */
+export const getRecentActivity = (tasks, limit) =>
+  tasks
+    .flatMap(task => {
+      const taskId = getTaskId(task);
+      const createdAt = parseTime(task.createdAt);
+      const completedAt = getCompletedAt(task);
+      const updatedAt = parseTime(task.updatedAt);
+      const events = [];
+      if (createdAt) {
+        events.push({ type: 'created', at: createdAt });
+      }
+      if (completedAt) {
+        events.push({ type: 'completed', at: completedAt });
+      }
+      // Updates within a minute of another event are part of it, not a separate edit
+      if (updatedAt && events.every(event => Math.abs(updatedAt - event.at) > 60 * 1000)) {
+        events.push({ type: 'updated', at: updatedAt });
+      }
+      return events.map(event => ({ ...event, id: `${taskId}-${event.type}`, taskId, title: task.title }));
+    })
+    .sort((a, b) => b.at - a.at)
+    .slice(0, limit);
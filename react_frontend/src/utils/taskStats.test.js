@@ -0,0 +1,80 @@
+import { getCompletedAt, getTaskCounts, getWeeklyStats, getRecentActivity } from './taskStats';
+
+// Wednesday; the week started on Sunday, October 18
+const now = new Date(2026, 9, 21, 12);
+
+const tasks = [
+  {
+    _id: 'a',
+    title: 'Overdue',
+    status: 'pending',
+    dueDate: '2026-10-20',
+    createdAt: '2026-10-19T10:00:00',
+    updatedAt: '2026-10-20T15:00:00',
+  },
+  {
+    _id: 'b',
+    title: 'Due soon',
+    status: 'in-progress',
+    dueDate: '2026-10-23',
+    createdAt: '2026-10-12T10:00:00',
+    updatedAt: '2026-10-12T10:00:00',
+  },
+  {
+    _id: 'c',
+    title: 'Done late',
+    status: 'completed',
+    dueDate: '2026-10-01',
+    createdAt: '2026-10-05T09:00:00',
+    completedAt: '2026-10-19T09:00:00',
+    updatedAt: '2026-10-19T09:00:30',
+  },
+  {
+    _id: 'd',
+    title: 'Done before completedAt existed',
+    status: 'completed',
+    createdAt: '2026-10-13T07:00:00',
+    updatedAt: '2026-10-13T08:00:00',
+  },
+];
+
+test('getCompletedAt falls back to the last update', () => {
+  expect(getCompletedAt(tasks[2])).toEqual(new Date(2026, 9, 19, 9));
+  expect(getCompletedAt(tasks[3])).toEqual(new Date(2026, 9, 13, 8));
+  expect(getCompletedAt(tasks[0])).toBeNull();
+});
+
+test('getTaskCounts counts statuses and due dates of open tasks only', () => {
+  expect(getTaskCounts(tasks, now)).toEqual({
+    total: 4,
+    byStatus: { pending: 1, 'in-progress': 1, completed: 2 },
+    overdue: 1,
+    dueSoon: 1,
+    completionRate: 0.5,
+  });
+  expect(getTaskCounts([], now).completionRate).toBe(0);
+});
+
+test('getWeeklyStats tallies weeks starting on Sunday, oldest first', () => {
+  expect(getWeeklyStats(tasks, 2, now)).toEqual([
+    { start: new Date(2026, 9, 11), created: 2, completed: 1, completionRate: 1 / 3 },
+    { start: new Date(2026, 9, 18), created: 1, completed: 1, completionRate: 0.5 },
+  ]);
+});
+
+test('getRecentActivity lists events newest first, folding updates into nearby events', () => {
+  expect(getRecentActivity(tasks, 5).map(event => event.id)).toEqual([
+    'a-updated',
+    'a-created',
+    'c-completed',
+    'd-completed',
+    'd-created',
+  ]);
+  expect(getRecentActivity(tasks, 1)[0]).toEqual({
+    id: 'a-updated',
+    taskId: 'a',
+    title: 'Overdue',
+    type: 'updated',
+    at: new Date(2026, 9, 20, 15),
+  });
+});
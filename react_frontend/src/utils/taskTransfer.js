@@ -0,0 +1,342 @@
+import {
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  DEFAULT_PRIORITY,
+  toDateInputValue,
+} from './tasks';
+
+// PUBLIC_INTERFACE
+/**
+ * Task fields written to exports, in column order
+ */
+export const EXPORT_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'tags',
+  'subtasks',
+  'autoStatus',
+  'recurrence',
+  'createdAt',
+  'updatedAt',
+];
+
+// How fields a task may lack are exported; the rest fall back to ''
+const EXPORT_VALUES = {
+  tags: (task) => task.tags || [],
+  subtasks: (task) => (task.subtasks || []).map(({ title, completed }) => ({ title, completed: Boolean(completed) })),
+  autoStatus: (task) => Boolean(task.autoStatus),
+  recurrence: (task) => task.recurrence || null,
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Task fields an import can fill, with the column names recognised for each
+ */
+export const IMPORT_FIELDS = [
+  { name: 'title', label: 'Title', required: true, aliases: ['title', 'name', 'summary', 'task'] },
+  { name: 'description', label: 'Description', required: true, aliases: ['description', 'details', 'notes', 'body'] },
+  { name: 'status', label: 'Status', aliases: ['status', 'state'] },
+  { name: 'priority', label: 'Priority', aliases: ['priority', 'importance'] },
+  { name: 'dueDate', label: 'Due date', aliases: ['duedate', 'due', 'deadline', 'due_date'] },
+  { name: 'tags', label: 'Tags', aliases: ['tags', 'labels', 'tag'] },
+  { name: 'subtasks', label: 'Checklist', aliases: ['subtasks', 'checklist'] },
+  { name: 'autoStatus', label: 'Auto status', aliases: ['autostatus'] },
+  { name: 'recurrence', label: 'Repeat', aliases: ['recurrence', 'repeat', 'repeats'] },
+];
+
+// Words other trackers use for our statuses
+const STATUS_ALIASES = {
+  todo: 'pending',
+  'to do': 'pending',
+  open: 'pending',
+  new: 'pending',
+  doing: 'in-progress',
+  'in progress': 'in-progress',
+  started: 'in-progress',
+  done: 'completed',
+  closed: 'completed',
+  complete: 'completed',
+  resolved: 'completed',
+};
+
+// Cells a spreadsheet would run as a formula, and cells already starting with the
+// guard quote in front of one, which get another quote so parsing can tell them apart
+const FORMULA_GUARD_REGEXP = /^'*[=+\-@\t\r]/;
+
+/**
+ * Escape one CSV cell. Cells that a spreadsheet would run as a formula are
+ * prefixed with a quote so an exported task can't execute anything when opened.
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+const escapeCsvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_GUARD_REGEXP.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Build CSV text from rows of values
+ * @param {Array<Array>} rows - Rows, the first usually being the header
+ * @returns {string} CSV text with CRLF line endings
+ */
+export const toCsv = (rows) => rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
+
+/**
+ * Remove the quote escapeCsvCell puts in front of formula-like cells
+ * @param {string} cell - Parsed cell
+ * @returns {string} Original cell value
+ */
+const unescapeCsvCell = (cell) =>
+  cell.startsWith("'") && FORMULA_GUARD_REGEXP.test(cell.slice(1)) ? cell.slice(1) : cell;
+
+// PUBLIC_INTERFACE
+/**
+ * Parse CSV text into rows of cells, handling quoted cells, escaped quotes,
+ * line breaks inside quotes, a leading byte order mark and the formula guard
+ * quote added by toCsv
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, with blank lines dropped
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(unescapeCsvCell(cell));
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(unescapeCsvCell(cell));
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(unescapeCsvCell(cell));
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read an uploaded CSV or JSON file into columns and row objects
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to tell the formats apart
+ * @returns {Object} { columns, rows }; rows are objects keyed by column name
+ * @throws {Error} If the file can't be read as a list of tasks
+ */
+export const parseImportFile = (text, fileName) => {
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('The file is not valid JSON.');
+    }
+    const list = Array.isArray(data) ? data : data?.tasks;
+    if (!Array.isArray(list) || list.some(item => !item || typeof item !== 'object')) {
+      throw new Error('The JSON file must contain a list of task objects.');
+    }
+    const columns = [...new Set(list.flatMap(item => Object.keys(item)))];
+    return { columns, rows: list };
+  }
+
+  const [header, ...body] = parseCsv(text);
+  if (!header) {
+    throw new Error('The file is empty.');
+  }
+  const columns = header.map((name, index) => name.trim() || `Column ${index + 1}`);
+  const rows = body.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+  return { columns, rows };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Suggest which column fills each task field, matching column names to field aliases
+ * @param {Array<string>} columns - Column names from the file
+ * @returns {Object} Map of field name to column name, or '' when nothing matches
+ */
+export const guessColumnMapping = (columns) =>
+  Object.fromEntries(
+    IMPORT_FIELDS.map(({ name, aliases }) => [
+      name,
+      columns.find(column => aliases.includes(column.trim().toLowerCase().replace(/\s+/g, ''))) ||
+        columns.find(column => aliases.includes(column.trim().toLowerCase())) ||
+        '',
+    ])
+  );
+
+/**
+ * Match an imported value against a list of options by value or label
+ * @param {*} raw - Imported value
+ * @param {Array} options - Options with value and label
+ * @param {Object} [aliases={}] - Extra words mapped to option values
+ * @returns {string} Option value, the raw text if nothing matches, or '' if empty
+ */
+const matchOption = (raw, options, aliases = {}) => {
+  const text = String(raw ?? '').trim();
+  const key = text.toLowerCase();
+  const option = options.find(o => o.value === key || o.label.toLowerCase() === key);
+  return option ? option.value : aliases[key] || text;
+};
+
+/**
+ * Convert an imported due date to YYYY-MM-DD
+ * @param {*} raw - Imported value
+ * @returns {string} Date, the raw text if it can't be read, or '' if empty
+ */
+const normalizeDueDate = (raw) => {
+  const text = String(raw ?? '').trim();
+  if (!text || /^\d{4}-\d{2}-\d{2}/.test(text)) {
+    return toDateInputValue(text);
+  }
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) {
+    return text;
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Read a value exported as JSON text in a CSV cell, or already parsed from a JSON file
+ * @param {*} raw - Imported value
+ * @returns {*} Parsed value, the raw text if it isn't JSON, or null if empty
+ */
+const readJsonValue = (raw) => {
+  if (typeof raw !== 'string') {
+    return raw ?? null;
+  }
+  const text = raw.trim();
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Read imported checklist items: a list of items as exported, or one item title per line
+ * @param {*} raw - Imported value
+ * @returns {Array} Items as { title, completed }
+ */
+const readSubtasks = (raw) => {
+  const value = readJsonValue(raw);
+  if (Array.isArray(value)) {
+    return value.map(item =>
+      item && typeof item === 'object'
+        ? { title: String(item.title ?? '').trim(), completed: Boolean(item.completed) }
+        : { title: String(item).trim(), completed: false }
+    );
+  }
+  return typeof value === 'string'
+    ? value.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(title => ({ title, completed: false }))
+    : [];
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Build the task data for one imported row. Values that can't be understood are
+ * passed through so validateTask reports them instead of them being dropped silently.
+ * @param {Object} row - Row object keyed by column name
+ * @param {Object} mapping - Map of field name to column name from guessColumnMapping
+ * @returns {Object} Task data for tasksAPI.create
+ */
+export const buildImportTask = (row, mapping) => {
+  const read = (field) => (mapping[field] ? row[mapping[field]] : undefined);
+  const tags = read('tags');
+
+  return {
+    title: String(read('title') ?? '').trim(),
+    description: String(read('description') ?? '').trim(),
+    status: matchOption(read('status'), TASK_STATUSES, STATUS_ALIASES) || 'pending',
+    priority: matchOption(read('priority'), TASK_PRIORITIES) || DEFAULT_PRIORITY,
+    dueDate: normalizeDueDate(read('dueDate')) || null,
+    tags: (Array.isArray(tags) ? tags : String(tags ?? '').split(/[,;]/))
+      .map(tag => String(tag).trim())
+      .filter(Boolean),
+    subtasks: readSubtasks(read('subtasks')),
+    autoStatus: ['true', 'yes', '1'].includes(String(read('autoStatus') ?? '').trim().toLowerCase()),
+    recurrence: readJsonValue(read('recurrence')),
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Serialize tasks for download
+ * @param {Array} tasks - Tasks to export
+ * @param {string} format - 'csv' or 'json'
+ * @returns {string} File contents
+ */
+export const serializeTasks = (tasks, format) => {
+  const records = tasks.map(task =>
+    Object.fromEntries(
+      EXPORT_FIELDS.map(field => [field, EXPORT_VALUES[field] ? EXPORT_VALUES[field](task) : task[field] ?? ''])
+    )
+  );
+  if (format === 'json') {
+    return JSON.stringify(records, null, 2);
+  }
+  // Tags stay readable; the checklist and repeat rule are written as JSON so they import back
+  return toCsv([
+    EXPORT_FIELDS,
+    ...records.map(record =>
+      EXPORT_FIELDS.map(field => {
+        const value = record[field];
+        if (field === 'tags') {
+          return value.join(', ');
+        }
+        return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+      })
+    ),
+  ]);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Offer text to the user as a file download
+ * @param {string} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,101 @@
+import {
+  toCsv,
+  parseCsv,
+  serializeTasks,
+  parseImportFile,
+  guessColumnMapping,
+  buildImportTask,
+} from './taskTransfer';
+
+describe('toCsv and parseCsv', () => {
+  test('quotes cells with commas, quotes and line breaks', () => {
+    const rows = [['title', 'description'], ['A, B', 'Say "hi"\nthen leave'], ['', 'plain']];
+    const csv = toCsv(rows);
+    expect(csv).toBe('title,description\r\n"A, B","Say ""hi""\nthen leave"\r\n,plain');
+    expect(parseCsv(csv)).toEqual(rows);
+  });
+
+  test('guards cells a spreadsheet would run as formulas', () => {
+    expect(toCsv([['=SUM(A1)', '+1', '-2', '@cmd', 'safe']])).toBe("'=SUM(A1),'+1,'-2,'@cmd,safe");
+  });
+
+  test('round-trips guarded cells unchanged', () => {
+    const rows = [['- step one', '=1+1', "'=quoted", "''-twice", "it's fine", "'plain"]];
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+
+  test('reads CRLF, LF and a byte order mark, skipping blank lines', () => {
+    expect(parseCsv('\uFEFFa,b\r\n1,2\n\n3,4\n')).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+      ['3', '4'],
+    ]);
+  });
+});
+
+describe('export and import', () => {
+  const task = {
+    _id: 't1',
+    title: '=Budget, Q4',
+    description: '- step one\n- step two',
+    status: 'completed',
+    priority: 'high',
+    dueDate: '2024-01-02',
+    tags: ['work', 'money'],
+    subtasks: [
+      { _id: 's1', title: 'Collect receipts', completed: true },
+      { _id: 's2', title: 'Fill in form', completed: false },
+    ],
+    autoStatus: true,
+    recurrence: { frequency: 'monthly', interval: 1, weekdays: [], monthDay: 2, ends: 'never', until: '', count: null },
+    createdAt: '2023-12-01T10:00:00.000Z',
+    updatedAt: '2024-01-02T10:00:00.000Z',
+  };
+  const imported = {
+    title: task.title,
+    description: task.description,
+    status: task.status,
+    priority: task.priority,
+    dueDate: task.dueDate,
+    tags: task.tags,
+    subtasks: [
+      { title: 'Collect receipts', completed: true },
+      { title: 'Fill in form', completed: false },
+    ],
+    autoStatus: true,
+    recurrence: task.recurrence,
+  };
+
+  /**
+   * Export the task and read the file back the way the import wizard does
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Array} Task data built from each row
+   */
+  const roundTrip = (format) => {
+    const { columns, rows } = parseImportFile(serializeTasks([task], format), `tasks.${format}`);
+    return rows.map(row => buildImportTask(row, guessColumnMapping(columns)));
+  };
+
+  test.each(['json', 'csv'])('round-trips every editable field through %s', (format) => {
+    expect(roundTrip(format)).toEqual([imported]);
+  });
+
+  test('exports tasks without optional fields with empty values', () => {
+    const [record] = JSON.parse(serializeTasks([{ _id: 't2', title: 'Bare', description: 'x', status: 'pending' }], 'json'));
+    expect(record).toMatchObject({ tags: [], subtasks: [], autoStatus: false, recurrence: null, dueDate: '' });
+  });
+
+  test('reads checklists from other trackers as one item per line', () => {
+    const task = buildImportTask({ Checklist: 'Call bank\n\n Pay bill ' }, { subtasks: 'Checklist' });
+    expect(task.subtasks).toEqual([
+      { title: 'Call bank', completed: false },
+      { title: 'Pay bill', completed: false },
+    ]);
+    expect(task.autoStatus).toBe(false);
+    expect(task.recurrence).toBeNull();
+  });
+
+  test('passes unreadable repeat rules through for validation to report', () => {
+    expect(buildImportTask({ Repeat: 'every other tuesday' }, { recurrence: 'Repeat' }).recurrence).toBe('every other tuesday');
+  });
+});
@@ -0,0 +1,315 @@
+import { validateRecurrence, getNextDueDate, advanceRecurrence } from './recurrence';
+
+// PUBLIC_INTERFACE
+/**
+ * Task statuses with their display labels, in workflow order
+ */
+export const TASK_STATUSES = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'in-progress', label: 'In Progress' },
+  { value: 'completed', label: 'Completed' },
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Task priorities with their display labels, lowest first
+ */
+export const TASK_PRIORITIES = [
+  { value: 'low', label: 'Low' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'high', label: 'High' },
+];
+
+export const DEFAULT_PRIORITY = 'medium';
+
+// PUBLIC_INTERFACE
+/**
+ * Longest tag name accepted
+ */
+export const MAX_TAG_LENGTH = 30;
+
+// PUBLIC_INTERFACE
+/**
+ * Sort options for the task list; values are passed to the API as `sort`
+ */
+export const TASK_SORT_OPTIONS = [
+  { value: '', label: 'Newest first' },
+  { value: 'createdAt', label: 'Oldest first' },
+  { value: 'dueDate', label: 'Due date (soonest)' },
+  { value: '-dueDate', label: 'Due date (latest)' },
+  { value: '-priority', label: 'Priority (high to low)' },
+  { value: 'priority', label: 'Priority (low to high)' },
+];
+
+// Tasks due within this many days are flagged as due soon
+const DUE_SOON_DAYS = 2;
+
+// PUBLIC_INTERFACE
+/**
+ * Get the ID of a task, whichever key the API uses
+ * @param {Object} task - Task object
+ * @returns {string} Task ID
+ */
+export const getTaskId = (task) => task._id || task.id;
+
+// PUBLIC_INTERFACE
+/**
+ * Get the If-Match value identifying the version of a task the client last saw.
+ * Prefers the ETag the API sent with the task, falling back to its version
+ * counter or last-modified time.
+ * @param {Object} task - Task object
+ * @returns {string|undefined} Entity tag, or undefined if the task carries no version
+ */
+export const getTaskVersionTag = (task) => {
+  if (!task) {
+    return undefined;
+  }
+  if (task.etag) {
+    return task.etag;
+  }
+  const version = task.version ?? task.__v ?? task.updatedAt;
+  return version == null ? undefined : `"${version}"`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Get status badge color
+ * @param {string} status - Task status
+ * @returns {string} CSS classes for status badge
+ */
+export const getStatusColor = (status) => {
+  switch (status) {
+    case 'completed':
+      return 'bg-success text-white';
+    case 'in-progress':
+      return 'bg-secondary text-white';
+    default:
+      return 'bg-gray-500 text-white';
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Get priority badge color
+ * @param {string} priority - Task priority
+ * @returns {string} CSS classes for priority badge
+ */
+export const getPriorityColor = (priority) => {
+  switch (priority) {
+    case 'high':
+      return 'border border-error text-error';
+    case 'low':
+      return 'border border-gray-500 text-gray-400';
+    default:
+      return 'border border-secondary text-secondary';
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Convert an API date to the YYYY-MM-DD value used by date inputs
+ * @param {string} value - ISO timestamp or YYYY-MM-DD date
+ * @returns {string} Date input value, or an empty string if missing
+ */
+export const toDateInputValue = (value) => (value ? String(value).slice(0, 10) : '');
+
+// PUBLIC_INTERFACE
+/**
+ * Parse a due date as a local calendar day, ignoring any time or timezone part
+ * @param {string} value - ISO timestamp or YYYY-MM-DD date
+ * @returns {Date|null} Local midnight of the due day, or null if missing or invalid
+ */
+export const parseDueDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(toDateInputValue(value));
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Format a due date for display
+ * @param {string} value - ISO timestamp or YYYY-MM-DD date
+ * @returns {string} Localized date, or an empty string if missing or invalid
+ */
+export const formatDueDate = (value) => {
+  const date = parseDueDate(value);
+  return date ? date.toLocaleDateString() : '';
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Work out whether an open task is overdue or due soon
+ * @param {Object} task - Task with optional dueDate and status
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string|null} 'overdue', 'due-soon', or null
+ */
+export const getDueState = (task, now = new Date()) => {
+  const due = parseDueDate(task.dueDate);
+  if (!due || task.status === 'completed') {
+    return null;
+  }
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const dueSoonLimit = new Date(today);
+  dueSoonLimit.setDate(dueSoonLimit.getDate() + DUE_SOON_DAYS);
+
+  if (due < today) {
+    return 'overdue';
+  }
+  if (due <= dueSoonLimit) {
+    return 'due-soon';
+  }
+  return null;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Validate task fields
+ * @param {Object} taskData - Task data (title, description, status, priority, dueDate, tags, subtasks, recurrence)
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.isNew=false] - Whether the task is being created; new tasks can't be due in the past
+ * @returns {Object} Map of field name to error message; empty when valid
+ */
+export const validateTask = (taskData, { isNew = false } = {}) => {
+  const errors = {};
+
+  if (!taskData.title?.trim()) {
+    errors.title = 'Title is required';
+  }
+
+  if (!taskData.description?.trim()) {
+    errors.description = 'Description is required';
+  }
+
+  if (taskData.status && !TASK_STATUSES.some(({ value }) => value === taskData.status)) {
+    errors.status = 'Status is invalid';
+  }
+
+  if (taskData.priority && !TASK_PRIORITIES.some(({ value }) => value === taskData.priority)) {
+    errors.priority = 'Priority is invalid';
+  }
+
+  if (taskData.dueDate) {
+    const due = parseDueDate(taskData.dueDate);
+    const now = new Date();
+    if (!due) {
+      errors.dueDate = 'Due date is invalid';
+    } else if (isNew && due < new Date(now.getFullYear(), now.getMonth(), now.getDate())) {
+      errors.dueDate = 'Due date cannot be in the past';
+    }
+  }
+
+  if (taskData.tags?.some(tag => typeof tag !== 'string' || !tag.trim() || tag.length > MAX_TAG_LENGTH)) {
+    errors.tags = `Tags must be 1 to ${MAX_TAG_LENGTH} characters`;
+  }
+
+  if (taskData.subtasks?.some(subtask => !subtask.title?.trim())) {
+    errors.subtasks = 'Checklist items need a title';
+  }
+
+  const recurrenceError = validateRecurrence(taskData.recurrence, taskData.dueDate);
+  if (recurrenceError) {
+    errors.recurrence = recurrenceError;
+  }
+
+  return errors;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Pick the editable fields of a task for a full update via tasksAPI.update
+ * @param {Object} task - Task object
+ * @returns {Object} Task data (title, description, status, priority, dueDate, tags, subtasks, autoStatus, recurrence)
+ */
+export const toTaskPayload = (task) => ({
+  title: task.title,
+  description: task.description,
+  status: task.status,
+  priority: task.priority || DEFAULT_PRIORITY,
+  dueDate: task.dueDate || null,
+  tags: task.tags || [],
+  subtasks: task.subtasks || [],
+  autoStatus: Boolean(task.autoStatus),
+  recurrence: task.recurrence || null,
+});
+
+// PUBLIC_INTERFACE
+/**
+ * Build the next occurrence of a recurring task: due on the rule's next date,
+ * pending, with the checklist unchecked and one fewer occurrence left
+ * @param {Object} task - Recurring task being completed
+ * @returns {Object|null} Task data for the next occurrence, or null if the task doesn't recur again
+ */
+export const getNextOccurrence = (task) => {
+  const dueDate = task.recurrence ? getNextDueDate(task.recurrence, task.dueDate) : null;
+  if (!dueDate) {
+    return null;
+  }
+  return {
+    ...toTaskPayload(task),
+    status: 'pending',
+    dueDate,
+    subtasks: (task.subtasks || []).map(({ title }) => ({ title, completed: false })),
+    recurrence: advanceRecurrence(task.recurrence),
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Count the checked-off checklist items of a task
+ * @param {Object} task - Task with optional subtasks
+ * @returns {Object} { done, total }
+ */
+export const getSubtaskProgress = (task) => {
+  const subtasks = task.subtasks || [];
+  return { done: subtasks.filter(subtask => subtask.completed).length, total: subtasks.length };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Work out the status a task should move to after its checklist changes, for
+ * tasks that take their status from the checklist: completed once every item is
+ * checked, and back in progress when a completed task has an item unchecked.
+ * @param {string} status - Current status
+ * @param {Array} subtasks - Checklist items after the change
+ * @returns {string} New status
+ */
+export const getChecklistStatus = (status, subtasks) => {
+  if (subtasks.length === 0) {
+    return status;
+  }
+  if (subtasks.every(subtask => subtask.completed)) {
+    return 'completed';
+  }
+  return status === 'completed' ? 'in-progress' : status;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Build query params for tasksAPI.getAll, leaving out empty values. Lists such
+ * as `tags` are sent comma-separated, and `tagMode` only when tags are selected.
+ * @param {Object} query - Search text and filters (search, status, priority, tags, tagMode, dueFrom, dueTo, sort)
+ * @returns {Object} Query params
+ */
+export const buildTaskQueryParams = (query) =>
+  Object.fromEntries(
+    Object.entries({ ...query, tagMode: query.tags?.length ? query.tagMode : undefined })
+      .map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : value])
+      .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+  );
+
+// PUBLIC_INTERFACE
+/**
+ * Format an API timestamp for display
+ * @param {string|number|Date} value - Timestamp
+ * @returns {string} Localized date and time, or an empty string if missing or invalid
+ */
+export const formatDateTime = (value) => {
+  if (!value) {
+    return '';
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
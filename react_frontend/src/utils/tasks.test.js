@@ -0,0 +1,29 @@
+import { getChecklistStatus, getSubtaskProgress } from './tasks';
+
+const item = (completed) => ({ title: completed ? 'Done' : 'Open', completed });
+
+describe('getChecklistStatus', () => {
+  const statuses = ['pending', 'in-progress', 'completed'];
+
+  test.each(statuses)('keeps the %s status of a task without a checklist', (status) => {
+    expect(getChecklistStatus(status, [])).toBe(status);
+  });
+
+  test.each(statuses)('completes a %s task once every item is checked', (status) => {
+    expect(getChecklistStatus(status, [item(true), item(true)])).toBe('completed');
+  });
+
+  test('moves a completed task back in progress when an item is unchecked', () => {
+    expect(getChecklistStatus('completed', [item(true), item(false)])).toBe('in-progress');
+  });
+
+  test.each(['pending', 'in-progress'])('leaves a partly done %s task as it is', (status) => {
+    expect(getChecklistStatus(status, [item(true), item(false)])).toBe(status);
+    expect(getChecklistStatus(status, [item(false)])).toBe(status);
+  });
+});
+
+test('getSubtaskProgress counts checked items', () => {
+  expect(getSubtaskProgress({ subtasks: [item(true), item(false), item(true)] })).toEqual({ done: 2, total: 3 });
+  expect(getSubtaskProgress({})).toEqual({ done: 0, total: 0 });
+});